@@ -28,31 +28,35 @@ function formatMonths(totalMonths) {
 }
 
 /*
-  mortgageFreeDateFromNow(months)
+  formatMonthYear(date, month = "long")
 
   PURPOSE:
-  Convert number of months into a real calendar month + year.
+  Convert an engine date ("YYYY-MM-DD") into a calendar month + year.
 
   Example:
-    If today is Jan 2026 and months = 24,
-    returns "January 2028".
+    "2028-01-15" → "January 2028" ("Jan 2028" with month "short")
 
   This is purely cosmetic.
 */
-function mortgageFreeDateFromNow(months) {
-  const now = new Date();
-  const future = new Date(
-    now.getFullYear(),
-    now.getMonth() + months,
-    1
-  );
-
-  return future.toLocaleString("default", {
-    month: "long",
-    year: "numeric"
+function formatMonthYear(date, month = "long") {
+  return new Date(date).toLocaleString("default", {
+    month,
+    year: "numeric",
+    timeZone: "UTC"
   });
 }
 
+/*
+  mortgageFreeDate(run, month = run.months)
+
+  Calendar month of a month on an engine run's timeline
+  (a baseline or cascade result, which carry dates[]),
+  by default the month it is mortgage-free.
+*/
+function mortgageFreeDate(run, month = run.months) {
+  return formatMonthYear(run.dates[month]);
+}
+
 /* =====================================================
    Validation Layer
 ===================================================== */
@@ -60,28 +64,58 @@ function mortgageFreeDateFromNow(months) {
 /*
   FIELD_RULES
 
-  This defines:
+  This defines, per mortgage card field:
     - Min values
     - Max values
     - Integer-only fields
+    - Optional fields (blank allowed)
     - Helper text labels
 
+  Card (and lump sum) inputs carry the field name in data-field,
+  e.g. <input id="m2-rate" data-field="rate">.
+
   It protects the engine from nonsense input like:
     - negative balances
     - 500% interest
     - 200 year mortgages
 */
 const FIELD_RULES = {
-  "m1-balance": { min: 1, max: 100000000, label: "£1 – £100,000,000" },
-  "m2-balance": { min: 1, max: 100000000, label: "£1 – £100,000,000" },
-  "m1-rate": { min: 0, max: 25, label: "0% – 25%" },
-  "m2-rate": { min: 0, max: 25, label: "0% – 25%" },
-  "m1-years": { min: 0, max: 50, integer: true, label: "0 – 50 years" },
-  "m2-years": { min: 0, max: 50, integer: true, label: "0 – 50 years" },
-  "m1-months": { min: 0, max: 11, integer: true, label: "0 – 11 months" },
-  "m2-months": { min: 0, max: 11, integer: true, label: "0 – 11 months" },
-  "m1-extra": { min: 0, max: 100000, label: "£0 – £100,000" },
-  "m2-extra": { min: 0, max: 100000, label: "£0 – £100,000" }
+  balance: { min: 1, max: 100000000, label: "£1 – £100,000,000" },
+  rate: { min: 0, max: 25, label: "0% – 25%" },
+  years: { min: 0, max: 50, integer: true, label: "0 – 50 years" },
+  months: { min: 0, max: 11, integer: true, label: "0 – 11 months" },
+  payment: { min: 0, max: 1000000, optional: true, label: "£0 – £1,000,000 (blank = use years and months)" },
+  investreturn: { min: 0, max: 20, optional: true, label: "0% – 20% (blank = don't compare)" },
+  investtax: { min: 0, max: 100, optional: true, label: "0% – 100% (blank = 20%)" },
+  inflation: { min: 0, max: 20, optional: true, label: "0% – 20% (blank = no adjustment)" },
+  mcbase: { min: 0, max: 25, optional: true, label: "0% – 25%" },
+  mcmargin: { min: 0, max: 25, optional: true, label: "0% – 25% (blank = from the revert rate)" },
+  mcvol: { min: 0, max: 10, optional: true, label: "0 – 10 (blank = 1)" },
+  mcpaths: { min: 10, max: 1000, integer: true, optional: true, label: "10 – 1,000 (blank = 200)" },
+  mcseed: { min: 1, max: 999999, integer: true, optional: true, label: "1 – 999,999 (blank = 1)" },
+  extra: { min: 0, max: 100000, optional: true, label: "£0 – £100,000" },
+  cap: { min: 0, max: 10000000, optional: true, label: "£0 – £10,000,000 (blank = no limit)" },
+  extrarise: { min: 0, max: 100, optional: true, label: "0% – 100%" },
+  extrastepmonth: { min: 1, max: 600, integer: true, optional: true, label: "1 – 600 months from now" },
+  extrastep: { min: 0, max: 100000, optional: true, label: "£0 – £100,000" },
+  pausefrom: { min: 1, max: 600, integer: true, optional: true, label: "1 – 600 months from now" },
+  pauseto: { min: 1, max: 600, integer: true, optional: true, label: "1 – 600 (blank = one month)" },
+  iopct: { min: 0, max: 100, optional: true, label: "0% – 100%" },
+  payday: { min: 1, max: 31, integer: true, optional: true, label: "1 – 31 (blank = the start date's day)" },
+  offset: { min: 0, max: 100000000, optional: true, label: "£0 – £100,000,000 (blank = no offset)" },
+  offsetadd: { min: 0, max: 100000, optional: true, label: "£0 – £100,000" },
+  allowpct: { min: 0, max: 100, optional: true, label: "0% – 100% (blank = no limit)" },
+  allowreset: { min: 1, max: 12, integer: true, optional: true, label: "1 – 12 (blank = month 1)" },
+  ercpct: { min: 0, max: 10, optional: true, label: "0% – 10%" },
+  ercend: { min: 0, max: 600, integer: true, optional: true, label: "0 – 600 months (blank = whole term)" },
+  fixend: { min: 0, max: 600, integer: true, optional: true, label: "0 – 600 months (blank = no fix)" },
+  svr: { min: 0, max: 25, optional: true, label: "0% – 25%" },
+  switchmonth: { min: 1, max: 600, integer: true, optional: true, label: "1 – 600 months from now" },
+  switchrate: { min: 0, max: 25, optional: true, label: "0% – 25%" },
+  switchyears: { min: 1, max: 50, integer: true, optional: true, label: "1 – 50 years (blank = unchanged)" },
+  switchfee: { min: 0, max: 100000, optional: true, label: "£0 – £100,000" },
+  lumpmonth: { min: 1, max: 600, integer: true, optional: true, label: "1 – 600 months from now" },
+  lumpamount: { min: 0, max: 10000000, optional: true, label: "£0 – £10,000,000" }
 };
 
 /*
@@ -91,7 +125,7 @@ const FIELD_RULES = {
   Does not affect logic.
 */
 function addHelperText(input) {
-  const rule = FIELD_RULES[input.id];
+  const rule = FIELD_RULES[input.dataset.field];
   if (!rule) return;
 
   const helper = document.createElement("div");
@@ -112,7 +146,7 @@ Performs:
 */
 function sanitizeAndClamp(input) {
 
-  const rule = FIELD_RULES[input.id];
+  const rule = FIELD_RULES[input.dataset.field];
   if (!rule) return;
 
   let value = input.value;
@@ -178,11 +212,13 @@ function validateAll() {
   const btn = document.getElementById("calculate-btn");
   let valid = true;
 
-Object.keys(FIELD_RULES).forEach(id => {
-  const el = document.getElementById(id);
+document.querySelectorAll("input[data-field]").forEach(el => {
 
-  // Allow blank extra fields (treated as 0)
-  if ((id === "m1-extra" || id === "m2-extra") && el.value === "") {
+  const rule = FIELD_RULES[el.dataset.field];
+  if (!rule) return;
+
+  // Allow blank optional fields (e.g. extra treated as 0, cap as no limit)
+  if (rule.optional && el.value === "") {
     return;
   }
 
@@ -193,501 +229,2068 @@ Object.keys(FIELD_RULES).forEach(id => {
 
 // ---- ZERO TERM PROTECTION ----
 
-const m1Balance = parseFloat(document.getElementById("m1-balance").value) || 0;
-const m1Years   = parseInt(document.getElementById("m1-years").value) || 0;
-const m1Months  = parseInt(document.getElementById("m1-months").value) || 0;
+readMortgageCards().forEach((card, i) => {
+
+  const balance = parseFloat(card.balance) || 0;
+  const years   = parseInt(card.years) || 0;
+  const months  = parseInt(card.months) || 0;
+
+  const paymentError = checkPayment(card);
+  document.getElementById(`m${i + 1}-payment-error`).innerText = paymentError;
 
-const m2Balance = parseFloat(document.getElementById("m2-balance").value) || 0;
-const m2Years   = parseInt(document.getElementById("m2-years").value) || 0;
-const m2Months  = parseInt(document.getElementById("m2-months").value) || 0;
+  if (paymentError) {
+    valid = false;
+  }
+
+  if (card.payment === "" && balance > 0 && (years * 12 + months) === 0) {
+    valid = false;
+  }
+});
 
-if (m1Balance > 0 && (m1Years * 12 + m1Months) === 0) {
-  valid = false;
+btn.disabled = !valid;
 }
 
-if (m2Balance > 0 && (m2Years * 12 + m2Months) === 0) {
-  valid = false;
+/*
+  checkPayment(card)
+
+  When a card gives its monthly payment instead of
+  the term, checks the engine can derive a term from it.
+  Returns an error message, or "" if it is fine.
+*/
+function checkPayment(card) {
+
+  const payment = parseFloat(card.payment);
+  const balance = parseFloat(card.balance);
+  const rate = parseFloat(card.rate);
+
+  if (card.payment === "" || !isFinite(balance) || !isFinite(rate)) return "";
+
+  if (card.type === "interest-only") {
+    return "An interest-only mortgage needs its years and months.";
+  }
+
+  const balloon = card.type === "part-and-part"
+    ? balance * (parseFloat(card.iopct) || 0) / 100
+    : 0;
+
+  if (remainingTerm(balance, rate, payment, balloon, card.interest) === null) {
+    return `The payment must be more than the monthly interest (£${Math.ceil(balance * rate / 1200).toLocaleString()}).`;
+  }
+
+  return "";
 }
 
-btn.disabled = !valid;
+/*
+  setupInput(input)
+
+  Hooks validation and helper text to one input.
+  Used for the static inputs and for every mortgage card.
+*/
+function setupInput(input) {
+
+  addHelperText(input);
+
+  input.addEventListener("input", () => {
+    sanitizeAndClamp(input);
+    validateAll();
+
+    if (typeof gtag === "function" && !window._editedTracked) {
+      window._editedTracked = true;
+      gtag("event", "input_edit");
+    }
+  });
+
+// blur validation currently disabled
 }
 
 /*
   setupValidation()
 
   Runs once on page load.
-  Hooks validation logic to all inputs.
+  Hooks validation logic to the inputs outside the mortgage cards
+  (card and lump sum inputs are hooked up when they are rendered).
 */
 function setupValidation() {
 
-const inputs = document.querySelectorAll("input");
+  document
+    .querySelectorAll(
+      "input:not([data-field]), .investment-options input, .inflation-options input, .rate-path-options input"
+    )
+    .forEach(setupInput);
 
-  inputs.forEach(input => {
+  validateAll();
+}
 
+/* =====================================================
+   Mortgage Cards
+===================================================== */
 
-    addHelperText(input);
+/*
+  MAX_MORTGAGES
 
-   input.addEventListener("input", () => {
-  sanitizeAndClamp(input);
-  validateAll();
+  Upper limit on the number of mortgage cards.
+  Keeps the chart legend and yearly table readable.
+*/
+const MAX_MORTGAGES = 6;
 
-  if (typeof gtag === "function" && !window._editedTracked) {
-    window._editedTracked = true;
-    gtag("event", "input_edit");
+/*
+  CARD_FIELDS
+
+  Inputs rendered on every mortgage card, in display order.
+  Ids follow the pattern m<number>-<field>, e.g. m3-balance.
+
+  advanced: true → shown inside the card's collapsible
+  "fixed rate, remortgage & limits" section.
+  type: "checkbox" / "select" (with options) / "date" → not a
+  text input; a select's first option is its default.
+*/
+const CARD_FIELDS = [
+  { field: "name", label: "Label (Optional)", inputmode: null },
+  { field: "balance", label: "Balance (£)", inputmode: "decimal" },
+  { field: "rate", label: "Interest Rate (%)", inputmode: "decimal" },
+  { field: "years", label: "Years", inputmode: "numeric" },
+  { field: "months", label: "Months", inputmode: "numeric" },
+  { field: "payment", label: "…or monthly payment instead (£, optional)", inputmode: "decimal" },
+  { field: "extra", label: "Extra money per month (£)", inputmode: "decimal" },
+  { field: "extrarise", label: "Extra rises each year by (%)", inputmode: "decimal", advanced: true },
+  { field: "extrastepmonth", label: "Change the extra from month (optional)", inputmode: "numeric", advanced: true },
+  { field: "extrastep", label: "New extra per month (£)", inputmode: "decimal", advanced: true },
+  { field: "pausefrom", label: "Pause the extra from month (optional)", inputmode: "numeric", advanced: true },
+  { field: "pauseto", label: "…until month", inputmode: "numeric", advanced: true },
+  { field: "start", label: "Balance as at (blank = today)", type: "date", advanced: true },
+  { field: "payday", label: "Payment day of the month", inputmode: "numeric", advanced: true },
+  {
+    field: "type",
+    label: "Repayment type",
+    type: "select",
+    options: [
+      { value: "repayment", label: "Repayment" },
+      { value: "interest-only", label: "Interest only" },
+      { value: "part-and-part", label: "Part and part" }
+    ],
+    advanced: true
+  },
+  { field: "iopct", label: "Interest-only part (%, part and part)", inputmode: "decimal", advanced: true },
+  { field: "offset", label: "Offset savings (£, optional)", inputmode: "decimal", advanced: true },
+  { field: "offsetadd", label: "Saved into the offset each month (£)", inputmode: "decimal", advanced: true },
+  {
+    field: "interest",
+    label: "Interest is calculated",
+    type: "select",
+    options: [
+      { value: "monthly-rest", label: "monthly" },
+      { value: "daily", label: "daily (actual days / 365)" },
+      { value: "annual-rest", label: "yearly (annual rest)" }
+    ],
+    advanced: true
+  },
+  { field: "fixend", label: "Rate fixed for (months, optional)", inputmode: "numeric", advanced: true },
+  { field: "svr", label: "Rate after the fix ends (%, e.g. SVR)", inputmode: "decimal", advanced: true },
+  {
+    field: "recalc",
+    label: "After an overpayment, the lender…",
+    type: "select",
+    options: [
+      { value: "reduce-term", label: "keeps the payment (mortgage ends sooner)" },
+      { value: "reduce-payment-annually", label: "lowers the payment each year" },
+      { value: "reduce-payment-immediately", label: "lowers the payment straight away" }
+    ],
+    advanced: true
+  },
+  { field: "switchmonth", label: "Remortgage / product switch in month (optional)", inputmode: "numeric", advanced: true },
+  { field: "switchrate", label: "New rate (%)", inputmode: "decimal", advanced: true },
+  { field: "switchyears", label: "New term (years)", inputmode: "numeric", advanced: true },
+  { field: "switchfee", label: "Arrangement fee (£)", inputmode: "decimal", advanced: true },
+  { field: "switchadd", label: "Add the fee to the loan", type: "checkbox", advanced: true },
+  { field: "cap", label: "Overpayment limit per year (£, optional)", inputmode: "decimal", advanced: true },
+  { field: "allowpct", label: "…or as % of the balance each year", inputmode: "decimal", advanced: true },
+  { field: "allowreset", label: "Allowance year starts in month (anniversary)", inputmode: "numeric", advanced: true },
+  { field: "ercpct", label: "Early repayment charge above the limit (%)", inputmode: "decimal", advanced: true },
+  { field: "ercend", label: "Limit and charge apply until month", inputmode: "numeric", advanced: true },
+  { field: "payerc", label: "Overpay above the limit and pay the charge", type: "checkbox", advanced: true }
+];
+
+/*
+  cardFieldHTML(n, f)
+
+  Markup for one card input (text, checkbox, select or date).
+*/
+function cardFieldHTML(n, f) {
+
+  const id = `m${n}-${f.field}`;
+
+  if (f.type === "select") {
+    return `
+    <label for="${id}">${f.label}</label>
+    <select id="${id}" data-field="${f.field}">
+      ${f.options.map(o => `<option value="${o.value}">${o.label}</option>`).join("")}
+    </select>
+    `;
   }
-});
 
-// blur validation currently disabled
+  if (f.type === "date") {
+    return `
+    <label for="${id}">${f.label}</label>
+    <input id="${id}" data-field="${f.field}" type="date">
+    `;
+  }
+
+  if (f.type === "checkbox") {
+    return `
+    <div class="checkbox-row">
+      <input id="${id}" data-field="${f.field}" type="checkbox">
+      <label for="${id}">${f.label}</label>
+    </div>
+    `;
+  }
+
+  return `
+    <label for="${id}">${f.label}</label>
+    <input id="${id}" data-field="${f.field}" type="text"${
+      f.inputmode ? ` inputmode="${f.inputmode}"` : ` placeholder="Mortgage ${n}"`
+    }>
+    ${f.inputmode ? `<div id="${id}-error" class="error-message"></div>` : ""}
+  `;
+}
+
+/*
+  mortgageCardHTML(index, count)
+
+  Markup for one empty mortgage card.
+  Values are filled in by renderMortgageCards.
+*/
+function mortgageCardHTML(index, count) {
+
+  const n = index + 1;
+
+  const fields = CARD_FIELDS
+    .filter(f => !f.advanced)
+    .map(f => cardFieldHTML(n, f))
+    .join("");
+
+  const advancedFields = CARD_FIELDS
+    .filter(f => f.advanced)
+    .map(f => cardFieldHTML(n, f))
+    .join("");
+
+  const removeButton = count > 1
+    ? `<button type="button" class="remove-mortgage-btn" onclick="removeMortgageCard(${index})" aria-label="Remove mortgage ${n}">✕</button>`
+    : "";
+
+  return `
+  <div class="card" data-index="${index}">
+    <div class="card-header">
+      <h2>Mortgage ${n}</h2>
+      ${removeButton}
+    </div>
+    ${fields}
+    <details class="card-advanced">
+      <summary>⚙️ Fixed rate, remortgage &amp; limits</summary>
+      ${advancedFields}
+    </details>
+  </div>
+  `;
+}
+
+/*
+  renderMortgageCards(list)
 
+  Rebuilds every mortgage card from a list of raw values:
+    [{ name, balance, rate, years, months, extra, ... }, ...]
+  (one key per CARD_FIELDS entry; missing keys are blank)
+
+  Cards are always renumbered from 1, so removing a card
+  just re-renders the remaining list.
+*/
+function renderMortgageCards(list) {
+
+  const container = document.getElementById("mortgage-cards");
+
+  container.innerHTML = list
+    .map((_, i) => mortgageCardHTML(i, list.length))
+    .join("");
+
+  list.forEach((values, i) => {
+    CARD_FIELDS.forEach(f => {
+      const input = document.getElementById(`m${i + 1}-${f.field}`);
+
+      if (f.type === "checkbox") {
+        input.checked = !!values[f.field];
+      } else if (f.type === "select") {
+        input.value = f.options.some(o => o.value === values[f.field])
+          ? values[f.field]
+          : f.options[0].value;
+      } else {
+        input.value = values[f.field] ?? "";
+      }
+
+      setupInput(input);
+    });
+
+    // Keep advanced settings visible when a scenario uses them
+    const used = CARD_FIELDS.some(f =>
+      f.advanced && values[f.field] &&
+      !(f.type === "select" && values[f.field] === f.options[0].value)
+    );
+    if (used) {
+      container.querySelectorAll(".card-advanced")[i].open = true;
+    }
   });
 
+  document.getElementById("add-mortgage-btn").disabled =
+    list.length >= MAX_MORTGAGES;
+
+  // Lump sum sources list the mortgages
+  renderLumpSums(readLumpSums());
+
   validateAll();
 }
 
+/*
+  readMortgageCards()
+
+  Returns the raw values of every card, in order
+  (strings for text inputs, "1" / "" for checkboxes).
+*/
+function readMortgageCards() {
+
+  return Array.from(
+    document.querySelectorAll("#mortgage-cards .card")
+  ).map((card, i) => {
+
+    const values = {};
+
+    CARD_FIELDS.forEach(f => {
+      const input = document.getElementById(`m${i + 1}-${f.field}`);
+
+      values[f.field] = f.type === "checkbox"
+        ? (input.checked ? "1" : "")
+        : input.value;
+    });
+
+    return values;
+  });
+}
+
+/*
+  mortgageNames()
+
+  Optional card labels, falling back to "Mortgage N".
+*/
+function mortgageNames() {
+  return readMortgageCards().map((card, i) =>
+    card.name.trim() || `Mortgage ${i + 1}`
+  );
+}
+
+function addMortgageCard() {
+
+  const list = readMortgageCards();
+  if (list.length >= MAX_MORTGAGES) return;
+
+  list.push({ months: "0" });
+  renderMortgageCards(list);
+
+  if (typeof gtag === "function") {
+    gtag("event", "add_mortgage", { count: list.length });
+  }
+}
+
+function removeMortgageCard(index) {
+
+  const list = readMortgageCards();
+  if (list.length <= 1) return;
+
+  // Lump sums from the removed mortgage become pooled,
+  // later mortgages move up one place
+  const lumps = readLumpSums().map(l => {
+    if (l.source === "pooled") return l;
+
+    const source = parseInt(l.source);
+
+    if (source === index) return { ...l, source: "pooled" };
+    if (source > index) return { ...l, source: String(source - 1) };
+    return l;
+  });
+
+  list.splice(index, 1);
+  renderMortgageCards(list);
+  renderLumpSums(lumps);
+}
+
+window.addMortgageCard = addMortgageCard;
+window.removeMortgageCard = removeMortgageCard;
+
 /* =====================================================
-   Preload Defaults
+   Lump Sums
 ===================================================== */
 
 /*
-  preloadDefaults()
+  lumpSumRowHTML(index, names)
 
-  Loads your example scenario when the page opens.
-  This does NOT run calculations automatically.
+  One lump sum row: the month it is paid, the amount and
+  whose money it is (one mortgage, or pooled household money).
 */
-function preloadDefaults() {
+function lumpSumRowHTML(index, names) {
 
-  document.getElementById("m1-balance").value = 180000;
-  document.getElementById("m1-rate").value = 4.7;
-  document.getElementById("m1-years").value = 17;
-  document.getElementById("m1-months").value = 5;
-  document.getElementById("m1-extra").value = 500;
+  const n = index + 1;
 
-  document.getElementById("m2-balance").value = 250000;
-  document.getElementById("m2-rate").value = 5.1;
-  document.getElementById("m2-years").value = 25;
-  document.getElementById("m2-months").value = 0;
-  document.getElementById("m2-extra").value = 100;
+  const sources = [`<option value="pooled">Pooled (household)</option>`]
+    .concat(names.map((name, i) => `<option value="${i}">From ${name}</option>`))
+    .join("");
 
-  document.getElementById("redirect-scheduled").checked = true;
-  document.getElementById("redirect-extra").checked = true;
+  return `
+  <div class="lump-row">
+    <div>
+      <label for="lump${n}-month">In month</label>
+      <input id="lump${n}-month" data-field="lumpmonth" type="text" inputmode="numeric">
+    </div>
+    <div>
+      <label for="lump${n}-amount">Amount (£)</label>
+      <input id="lump${n}-amount" data-field="lumpamount" type="text" inputmode="decimal">
+    </div>
+    <div>
+      <label for="lump${n}-source">Whose money</label>
+      <select id="lump${n}-source">${sources}</select>
+    </div>
+    <button type="button" class="remove-mortgage-btn" onclick="removeLumpSum(${index})" aria-label="Remove lump sum ${n}">✕</button>
+  </div>
+  `;
+}
+
+/*
+  renderLumpSums(list)
+
+  Rebuilds the lump sum rows from raw values:
+    [{ month, amount, source }, ...]
+  source is "pooled" or a mortgage index (as a string);
+  an index with no matching mortgage falls back to pooled.
+*/
+function renderLumpSums(list) {
+
+  const container = document.getElementById("lump-sums");
+  const names = mortgageNames();
+
+  container.innerHTML = list
+    .map((_, i) => lumpSumRowHTML(i, names))
+    .join("");
+
+  list.forEach((values, i) => {
+
+    const month = document.getElementById(`lump${i + 1}-month`);
+    const amount = document.getElementById(`lump${i + 1}-amount`);
+    const source = document.getElementById(`lump${i + 1}-source`);
+
+    month.value = values.month ?? "";
+    amount.value = values.amount ?? "";
+    source.value = parseInt(values.source) < names.length
+      ? String(values.source)
+      : "pooled";
+
+    setupInput(month);
+    setupInput(amount);
+  });
+}
+
+/*
+  readLumpSums()
+
+  Returns the raw values of every lump sum row, in order.
+*/
+function readLumpSums() {
+
+  return Array.from(
+    document.querySelectorAll("#lump-sums .lump-row")
+  ).map((_, i) => ({
+    month: document.getElementById(`lump${i + 1}-month`).value,
+    amount: document.getElementById(`lump${i + 1}-amount`).value,
+    source: document.getElementById(`lump${i + 1}-source`).value
+  }));
+}
+
+/*
+  lumpSumsForEngine()
+
+  Complete rows only, in the engine's format
+  (see normaliseLumpSums in engine.js).
+*/
+function lumpSumsForEngine() {
+
+  return readLumpSums()
+    .filter(l => l.month !== "" && parseFloat(l.amount) > 0)
+    .map(l => ({
+      month: parseInt(l.month),
+      amount: parseFloat(l.amount),
+      source: l.source === "pooled" ? "pooled" : parseInt(l.source)
+    }));
+}
+
+function addLumpSum() {
+
+  const list = readLumpSums();
+  list.push({ source: "pooled" });
+  renderLumpSums(list);
+}
+
+function removeLumpSum(index) {
+
+  const list = readLumpSums();
+  list.splice(index, 1);
+  renderLumpSums(list);
+  validateAll();
 }
 
+window.addLumpSum = addLumpSum;
+window.removeLumpSum = removeLumpSum;
+
 /* =====================================================
-   Main Calculation
+   Allocation Strategy
 ===================================================== */
 
 /*
-  calculateFromUI()
+  setupStrategySelect()
 
-  Bridges:
-  HTML inputs → engine.js → UI rendering
+  Fills the strategy dropdown from the engine registry
+  (ALLOCATION_STRATEGIES), plus "optimal" which asks the
+  engine to search for the best policy (optimiseAllocation).
 
-  It:
-    1. Reads values from inputs
-    2. Builds mortgage objects
-    3. Sends results to renderResults()
-*/
-function calculateFromUI() {
-
-  const m1 = {
-    balance: parseFloat(document.getElementById("m1-balance").value),
-    rate: parseFloat(document.getElementById("m1-rate").value),
-    months:
-      parseInt(document.getElementById("m1-years").value) * 12 +
-      parseInt(document.getElementById("m1-months").value)
-  };
+  Shows the extra inputs the "priority", "split" and
+  "optimal" choices need.
+*/
+function setupStrategySelect() {
 
-  const m2 = {
-    balance: parseFloat(document.getElementById("m2-balance").value),
-    rate: parseFloat(document.getElementById("m2-rate").value),
-    months:
-      parseInt(document.getElementById("m2-years").value) * 12 +
-      parseInt(document.getElementById("m2-months").value)
-  };
+  const select = document.getElementById("strategy");
 
-  function calculateMonthlyPayment(balance, annualRate, months) {
-  const monthlyRate = annualRate / 100 / 12;
-  if (monthlyRate === 0) return balance / months;
+  select.innerHTML = Object.keys(ALLOCATION_STRATEGIES)
+    .map(key =>
+      `<option value="${key}">${ALLOCATION_STRATEGIES[key].label}</option>`
+    )
+    .join("") +
+    `<option value="optimal">🧮 Find the best allocation for me</option>`;
 
-  return (
-    balance *
-    (monthlyRate * Math.pow(1 + monthlyRate, months)) /
-    (Math.pow(1 + monthlyRate, months) - 1)
-  );
+  select.addEventListener("change", function () {
+    updateStrategyParams();
+
+    if (typeof gtag === "function") {
+      gtag("event", "change_strategy", { value: this.value });
+    }
+  });
+
+  updateStrategyParams();
 }
 
-  const extra1 =
-    parseFloat(document.getElementById("m1-extra").value) || 0;
+function updateStrategyParams() {
 
-  const extra2 =
-    parseFloat(document.getElementById("m2-extra").value) || 0;
+  const strategy = document.getElementById("strategy").value;
 
-  const redirectScheduled =
-    document.getElementById("redirect-scheduled").checked;
+  document.getElementById("strategy-priority-row").hidden =
+    strategy !== "priority";
 
-  const redirectExtra =
-    document.getElementById("redirect-extra").checked;
+  document.getElementById("strategy-split-row").hidden =
+    strategy !== "split";
+
+  document.getElementById("strategy-objective-row").hidden =
+    strategy !== "optimal";
+}
 
+/*
+  policyLabel(policy, names)
 
+  Readable label for a policy returned by optimiseAllocation,
+  using the mortgage names instead of numbers.
+*/
+function policyLabel(policy, names) {
 
-// Baseline = keeping mortgages separate (same extras, no redirect)
-const baselineResult = calculateCascade(
-  m1,
-  m2,
-  extra1,
-  extra2,
-  false,
-  false,
-  "avalanche"
-);
-
-  const avalanche = calculateCascade(
-    m1,
-    m2,
-    extra1,
-    extra2,
-    redirectScheduled,
-    redirectExtra,
-    "avalanche"
-  );
+  const options = policy.strategyOptions || {};
 
-  const noOverpayResult = calculateCascade(
-  m1,
-  m2,
-  0,
-  0,
-  false,
-  false,
-  "avalanche"
-);
-
-if (typeof gtag === "function") {
-
-  const totalBalance = m1.balance + m2.balance;
-  const totalExtra = extra1 + extra2;
-  const totalMonths = m1.months + m2.months;
-
-  let realism = "realistic";
-
-  if (totalBalance < 10000) realism = "very_low_balance";
-  if (totalBalance > 2000000) realism = "very_high_balance";
-  if (totalExtra > 5000) realism = "extreme_overpayment";
-  if (totalMonths > 600) realism = "extreme_term";
-
-  let balanceBand = "100k_300k";
-  if (totalBalance < 100000) balanceBand = "under_100k";
-  else if (totalBalance < 200000) balanceBand = "100k_200k";
-  else if (totalBalance < 300000) balanceBand = "200k_300k";
-  else if (totalBalance < 500000) balanceBand = "300k_500k";
-  else if (totalBalance < 800000) balanceBand = "500k_800k";
-  else balanceBand = "800k_plus";
-
-  window._calcCount = (window._calcCount || 0) + 1;
-
-  gtag("event", "calculate", {
-    balance_band: balanceBand,
-    realism: realism,
-    overpayments: totalExtra > 0 ? "yes" : "no",
-    redirect_scheduled: redirectScheduled ? "yes" : "no",
-    redirect_extra: redirectExtra ? "yes" : "no",
-    calc_count: window._calcCount
-  });
+  if (policy.strategy === "priority") {
+    return "Priority: " + options.priority.map(i => names[i]).join(" → ");
+  }
+
+  if (policy.strategy === "split") {
+    return "Split: " + options.split
+      .map((p, i) => `${names[i]} ${p}%`)
+      .join(" / ");
+  }
 
+  return policy.label;
 }
 
-renderResults(
-  avalanche,
-  noOverpayResult,
-);
+/*
+  parseNumberList(text)
+
+  "60, 40" → [60, 40]
+  Anything that is not a number is dropped.
+*/
+function parseNumberList(text) {
+  return String(text || "")
+    .split(/[\s,]+/)
+    .map(parseFloat)
+    .filter(n => isFinite(n));
+}
+
+/*
+  readStrategyOptions()
 
- document.getElementById("results").scrollIntoView({ behavior: "smooth" });
+  Priority order is entered as mortgage numbers (1-based),
+  the engine expects indexes (0-based).
+*/
+function readStrategyOptions() {
+  return {
+    priority: parseNumberList(
+      document.getElementById("strategy-priority").value
+    ).map(n => n - 1),
+    split: parseNumberList(
+      document.getElementById("strategy-split").value
+    )
+  };
 }
 
 /* =====================================================
-   Render
+   Preload Defaults
 ===================================================== */
 
 /*
-  renderResults(avalanche)
+  preloadDefaults()
 
-  Takes results from engine.js
-  and updates the HTML dynamically.
+  Loads your example scenario when the page opens.
+  This does NOT run calculations automatically.
+*/
+function preloadDefaults() {
 
-  No financial logic happens here.
+  renderMortgageCards([
+    { balance: 180000, rate: 4.7, years: 17, months: 5, extra: 500 },
+    { balance: 250000, rate: 5.1, years: 25, months: 0, extra: 100 }
+  ]);
+
+  document.getElementById("redirect-scheduled").checked = true;
+  document.getElementById("redirect-extra").checked = true;
+  document.getElementById("excess-to").value = "mortgages";
+  document.getElementById("offset-routing").value = "overpay";
+  document.getElementById("invest-wrapper").value = "tax-free";
+  document.getElementById("inflation-rate").value = "";
+  document.getElementById("mc-enabled").checked = false;
+  document.getElementById("stress-from").value = "now";
+
+  document.getElementById("strategy").value = "avalanche";
+  updateStrategyParams();
+}
+
+/* =====================================================
+   Main Calculation
+===================================================== */
+
+/*
+  readSwitch(card)
+
+  A card's optional product switch, as the engine's
+  switches list (empty unless both month and rate are set).
 */
-function renderResults(avalanche, noOverpayResult) {
+function readSwitch(card) {
 
+  if (card.switchmonth === "" || card.switchrate === "") return [];
 
-  // Read optional mortgage names
-const m1NameInput = document.getElementById("m1-name")?.value?.trim();
-const m2NameInput = document.getElementById("m2-name")?.value?.trim();
+  return [{
+    month: parseInt(card.switchmonth),
+    rate: parseFloat(card.switchrate),
+    months: card.switchyears === "" ? null : parseInt(card.switchyears) * 12,
+    fee: parseFloat(card.switchfee) || 0,
+    addFeeToBalance: card.switchadd === "1"
+  }];
+}
+
+/*
+  readExtra(card)
+
+  A card's monthly overpayment: the plain amount, or an
+  overpayment schedule (see normaliseExtra in engine.js)
+  when a yearly rise, a change or a pause is set.
+*/
+function readExtra(card) {
+
+  const amount = parseFloat(card.extra) || 0;
+
+  if (card.extrarise === "" && card.extrastepmonth === "" && card.pausefrom === "") {
+    return amount;
+  }
 
-const m1Name = m1NameInput || "Mortgage 1";
-const m2Name = m2NameInput || "Mortgage 2";
+  return {
+    amount,
+    escalation: parseFloat(card.extrarise) || 0,
+    steps: card.extrastepmonth === ""
+      ? []
+      : [{ month: parseInt(card.extrastepmonth), amount: parseFloat(card.extrastep) || 0 }],
+    pauses: card.pausefrom === ""
+      ? []
+      : [{ from: parseInt(card.pausefrom), to: parseInt(card.pauseto) || null }]
+  };
+}
 
-// Mortgage-free date (based on avalanche cascade result)
-const today = new Date();
+/*
+  engine
 
-const mortgageFree = new Date(
-  today.getFullYear(),
-  today.getMonth() + avalanche.cascade.months
-);
+  Runs engine.js in a Web Worker (see engine-client.js),
+  or on the page where workers are not available.
+*/
+const engine = createEngineClient("engine-worker.js");
 
-const mortgageFreeDate =
-  mortgageFree.toLocaleString("default", { month: "long" }) +
-  " " +
-  mortgageFree.getFullYear();
+/*
+  trackCalculationProgress()
 
-  
+  Runs engine requests on the "calculate" channel and
+  shows how far the calculation has got under the button:
+  finished requests, plus the running one's own progress
+  where it reports it.
 
-  const baseline = avalanche.baseline;
-  const cascade = avalanche.cascade;
+  progress.track(task, args) → engine.run promise
+  progress.done()            → hides the progress line
+*/
+function trackCalculationProgress() {
 
-  // Attribution (extra payment breakdown)
-const attribution = cascade.attribution || {};
+  const line = document.getElementById("calc-progress");
 
-const m1ExtraToM1 = Math.round(attribution.m1ExtraPaidToM1 || 0);
-const m1ExtraToM2 = Math.round(attribution.m1ExtraPaidToM2 || 0);
-const m2ExtraToM1 = Math.round(attribution.m2ExtraPaidToM1 || 0);
-const m2ExtraToM2 = Math.round(attribution.m2ExtraPaidToM2 || 0);
+  let total = 0;
+  let finished = 0;
 
-const m1TotalExtra = m1ExtraToM1 + m1ExtraToM2;
-const m2TotalExtra = m2ExtraToM1 + m2ExtraToM2;
+  const show = partial => {
+    line.innerText = `Calculating… ${Math.floor((finished + partial) / total * 100)}%`;
+  };
 
+  return {
+    track(task, args) {
+
+      total++;
+      show(0);
+
+      return engine.run(task, args, {
+        channel: "calculate",
+        onProgress: (done, all) => show(done / all)
+      }).then(result => {
+        finished++;
+        show(0);
+        return result;
+      });
+    },
 
-  // Total amount paid = principal + interest
-// Principal = original balances added together
+    done() {
+      line.innerText = "";
+    }
+  };
+}
 
-const originalPrincipal =
-  baseline.m1.balances[0] + baseline.m2.balances[0];
+/*
+  cancelCalculation()
 
-const baselineTotalPaid =
-  originalPrincipal + baseline.interest;
+  Drops a calculation still running: its inputs are out
+  of date.
+*/
+function cancelCalculation() {
+  engine.cancel("calculate");
+  document.getElementById("calc-progress").innerText = "";
 
-const cascadeTotalPaid =
-  originalPrincipal + cascade.interest;
+  showPendingError("Press Calculate to update.");
+}
+
+/*
+  handleEngineError(err, show)
+
+  How every engine caller on the page deals with a failed
+  request: a cancelled one (superseded by newer inputs) is
+  dropped, and any other error's message goes to show().
+*/
+function handleEngineError(err, show) {
+  if (engine.isCancelled(err)) return;
+  show(err && err.message ? err.message : String(err));
+}
+
+/*
+  guardEngineHandler(handler, show)
+
+  Wraps an async UI handler (an onclick) so an engine
+  error never escapes it as an unhandled rejection.
+  Handlers show their own errors: one that reaches the
+  guard was missed, so it is shown with show() and, in
+  DEV_MODE, logged as an error.
+*/
+function guardEngineHandler(handler, show) {
+  return (...args) => Promise.resolve()
+    .then(() => handler(...args))
+    .catch(err => {
+      if (DEV_MODE) console.error("ERROR: Engine error escaped a UI handler", err);
+      handleEngineError(err, show);
+    });
+}
+
+/*
+  currentPlan
+
+  The loans and engine options of the last calculation
+  (the selected strategy), reused by the goal seek panel.
+*/
+let currentPlan = null;
+
+/*
+  calculateFromUI()
+
+  Bridges:
+  HTML inputs → engine.js → UI rendering
+
+  It:
+    1. Reads values from the mortgage cards
+    2. Builds the loans array
+    3. Runs the engine through the worker (see engine)
+    4. Sends results to renderResults()
+
+  Starting again, or editing an input, cancels a
+  calculation still running (cancelCalculation).
+*/
+async function calculateFromUI() {
+
+  const loans = readMortgageCards().map(card => ({
+    balance: parseFloat(card.balance),
+    rate: parseFloat(card.rate),
+    fixEndMonth: parseInt(card.fixend) || 0,
+    revertRate: card.svr === "" ? null : parseFloat(card.svr),
+    months: card.payment === "" ? parseInt(card.years) * 12 + parseInt(card.months) : null,
+    payment: card.payment === "" ? null : parseFloat(card.payment),
+    extra: readExtra(card),
+    maxAnnualOverpayment: card.cap === "" ? null : parseFloat(card.cap),
+    allowancePercent: card.allowpct === "" ? null : parseFloat(card.allowpct),
+    allowanceResetMonth: parseInt(card.allowreset) || 1,
+    ercPercent: parseFloat(card.ercpct) || 0,
+    ercEndMonth: card.ercend === "" ? null : parseInt(card.ercend),
+    payErc: card.payerc === "1",
+    switches: readSwitch(card),
+    recalculation: card.recalc,
+    interestMethod: card.interest,
+    startDate: card.start || null,
+    paymentDay: parseInt(card.payday) || null,
+    repaymentType: card.type,
+    interestOnlyPercent: parseFloat(card.iopct) || 0,
+    offsetSavings: card.offset === "" ? null : parseFloat(card.offset),
+    offsetContribution: card.offsetadd === "" ? null : parseFloat(card.offsetadd)
+  }));
+
+  const redirectScheduled =
+    document.getElementById("redirect-scheduled").checked;
+
+  const redirectExtra =
+    document.getElementById("redirect-extra").checked;
+
+  const strategy = document.getElementById("strategy").value;
+  const strategyOptions = readStrategyOptions();
+
+  const lumpSums = lumpSumsForEngine();
+  const excessTo = document.getElementById("excess-to").value;
+  const offsetRouting = document.getElementById("offset-routing").value;
+  const inflationRate = parseFloat(document.getElementById("inflation-rate").value) || 0;
+
+  // A new calculation replaces one still running
+  engine.cancel("calculate");
+
+  const progress = trackCalculationProgress();
+  const run = (task, args) => progress.track(task, args);
+
+  // Until the result is drawn an error replaces it; after, the
+  // panels still pending say what went wrong
+  let showError = showEngineError;
+
+  try {
+
+    // Every registered strategy, so they can be compared side by side
+    const strategyRuns = Object.keys(ALLOCATION_STRATEGIES).map(key =>
+      run("calculateCascadeMulti", [loans, {
+        redirectScheduled,
+        redirectExtra,
+        strategy: key,
+        strategyOptions,
+        lumpSums,
+        excessTo,
+        offsetRouting,
+        inflationRate
+      }]).then(result => ({
+        key,
+        label: ALLOCATION_STRATEGIES[key].label,
+        strategy: key,
+        strategyOptions,
+        result
+      }))
+    );
+
+    // Search every policy and add the winner as its own row
+    const optimalRun = strategy === "optimal"
+      ? run("optimiseAllocation", [loans, {
+          redirectScheduled,
+          redirectExtra,
+          lumpSums,
+          excessTo,
+          offsetRouting,
+          inflationRate,
+          objective: document.getElementById("strategy-objective").value
+        }])
+      : null;
+
+    const [strategyResults, optimal] =
+      await Promise.all([Promise.all(strategyRuns), optimalRun]);
+
+    if (optimal) {
+
+      strategyResults.push({
+        key: "optimal",
+        label: "Best found – " + policyLabel(optimal.policy, mortgageNames()),
+        strategy: optimal.policy.strategy,
+        strategyOptions: optimal.policy.strategyOptions,
+        result: optimal.result
+      });
+    }
+
+    const selected =
+      strategyResults.find(s => s.key === strategy) || strategyResults[0];
+
+    // Options of the selected strategy, shared by the comparisons below
+    const selectedOptions = {
+      redirectScheduled,
+      redirectExtra,
+      strategy: selected.strategy,
+      strategyOptions: selected.strategyOptions,
+      lumpSums,
+      excessTo,
+      offsetRouting
+    };
+
+    const noOverpayRun = run("calculateCascadeMulti", [
+      loans.map(loan => ({ ...loan, extra: 0 })),
+      {
+        redirectScheduled: false,
+        redirectExtra: false,
+        strategy: "avalanche",
+        inflationRate
+      }
+    ]);
+
+    // Same plan without any product switch, to show whether it pays
+    const noSwitchRun = loans.some(loan => loan.switches.length)
+      ? run("calculateCascadeMulti", [
+          loans.map(loan => ({ ...loan, switches: [] })),
+          { ...selectedOptions, inflationRate }
+        ])
+      : null;
+
+    // Overpaying vs saving in the offset pots, for the selected strategy
+    const offsetRun = loans.some(loan =>
+      loan.offsetSavings !== null || loan.offsetContribution !== null)
+      ? run("compareOffsetRouting", [loans, selectedOptions])
+      : null;
+
+    // Investing the same money instead, if a return is given
+    const investReturn = document.getElementById("invest-return").value;
+    const investTax = document.getElementById("invest-tax").value;
+
+    const investRun = investReturn !== ""
+      ? run("compareInvesting", [loans, {
+          ...selectedOptions,
+          investment: {
+            returnRate: parseFloat(investReturn),
+            wrapper: document.getElementById("invest-wrapper").value,
+            taxRate: investTax === "" ? undefined : parseFloat(investTax)
+          }
+        }])
+      : null;
+
+    // Random base rate paths after the fixes end, if switched on
+    const rateRun = document.getElementById("mc-enabled").checked
+      ? run("simulateRatePaths", [loans, { ...selectedOptions, monteCarlo: readMonteCarlo() }])
+      : null;
+
+    const [
+      noOverpayResult,
+      noSwitchResult,
+      offsetComparison,
+      investComparison,
+      rateScenarios
+    ] = await Promise.all([
+      noOverpayRun,
+      noSwitchRun,
+      offsetRun,
+      investRun,
+      rateRun
+    ]);
+
+    if (typeof gtag === "function") {
+
+      const totalBalance = loans.reduce((t, m) => t + m.balance, 0);
+      const totalExtra = loans.reduce((t, m) => t + (m.extra.amount ?? m.extra), 0);
+      const totalMonths = selected.result.terms.reduce((t, months) => t + months, 0);
+
+      let realism = "realistic";
+
+      if (totalBalance < 10000) realism = "very_low_balance";
+      if (totalBalance > 2000000) realism = "very_high_balance";
+      if (totalExtra > 5000) realism = "extreme_overpayment";
+      if (totalMonths > 600) realism = "extreme_term";
+
+      let balanceBand = "100k_300k";
+      if (totalBalance < 100000) balanceBand = "under_100k";
+      else if (totalBalance < 200000) balanceBand = "100k_200k";
+      else if (totalBalance < 300000) balanceBand = "200k_300k";
+      else if (totalBalance < 500000) balanceBand = "300k_500k";
+      else if (totalBalance < 800000) balanceBand = "500k_800k";
+      else balanceBand = "800k_plus";
+
+      window._calcCount = (window._calcCount || 0) + 1;
+
+      gtag("event", "calculate", {
+        balance_band: balanceBand,
+        realism: realism,
+        mortgages: loans.length,
+        overpayments: totalExtra > 0 ? "yes" : "no",
+        lump_sums: lumpSums.length,
+        redirect_scheduled: redirectScheduled ? "yes" : "no",
+        redirect_extra: redirectExtra ? "yes" : "no",
+        strategy: selected.key,
+        calc_count: window._calcCount
+      });
+
+    }
+
+    currentPlan = {
+      loans,
+      options: selectedOptions
+    };
+
+    renderResults(
+      selected.result,
+      noOverpayResult,
+      strategyResults,
+      selected.key,
+      noSwitchResult,
+      offsetComparison,
+      investComparison,
+      rateScenarios
+    );
+
+    document.getElementById("results").scrollIntoView({ behavior: "smooth" });
+
+    showError = showPendingError;
+
+    // The stress test and sensitivity analysis rerun the plan many
+    // times, so they fill in their panels once the result is drawn
+    const [stress, sensitivity] = await Promise.all([
+
+      // Every strategy with rates shocked up (lender-style stress test)
+      run("stressTestRates", [loans, {
+        redirectScheduled,
+        redirectExtra,
+        strategyOptions,
+        lumpSums,
+        excessTo,
+        offsetRouting,
+        shocks: [0, 1, 2, 3],
+        shockFrom: document.getElementById("stress-from").value
+      }]),
+
+      // Each input moved either way, for the selected strategy
+      run("analyseSensitivity", [loans, selectedOptions])
+    ]);
+
+    progress.done();
+
+    renderAnalyses(stress, sensitivity, selected.key);
+
+  } catch (err) {
+
+    // Superseded by newer inputs: its progress line is the new one's
+    if (!engine.isCancelled(err)) progress.done();
+
+    handleEngineError(err, showError);
+  }
+}
+
+/*
+  showEngineError(text)
+
+  Replaces the results with what the engine could not do
+  (e.g. a payment that does not cover the interest).
+*/
+function showEngineError(text) {
+
+  const message = document.createElement("div");
+  message.style.fontSize = "13px";
+  message.style.opacity = "0.85";
+  message.textContent = text;
+
+  const results = document.getElementById("results");
+
+  results.innerHTML = `
+    <div class="impact-summary impact-negative">
+      <div style="font-weight:600; font-size:15px;">⚠ Couldn't calculate this plan</div>
+    </div>
+  `;
+
+  results.firstElementChild.appendChild(message);
+}
+
+/* =====================================================
+   Render
+===================================================== */
+
+/*
+  renderResults(result, noOverpayResult, strategyResults, selectedKey, noSwitchResult, offsetComparison, investComparison, rateScenarios)
+
+  Takes results from engine.js
+  and updates the HTML dynamically.
+
+  result is the selected strategy; the chart and yearly
+  table show it, the summary compares every strategy.
+
+  noSwitchResult (optional) is the selected strategy with
+  every product switch removed.
+
+  offsetComparison (optional) is compareOffsetRouting for
+  the selected strategy.
+
+  investComparison (optional) is compareInvesting for the
+  selected strategy; its net worth is added to the chart.
+
+  rateScenarios (optional) is simulateRatePaths for the
+  selected strategy; its balance bands are added to the chart.
+
+  The stress test and sensitivity panels show as pending
+  until renderAnalyses fills them in.
+
+  No financial logic happens here.
+*/
+function renderResults(result, noOverpayResult, strategyResults, selectedKey, noSwitchResult, offsetComparison, investComparison, rateScenarios) {
+
+
+  // Read optional mortgage names
+const names = mortgageNames();
+
+  const baseline = result.baseline;
+  const cascade = result.cascade;
+
+const rawInterestDiff =
+  baseline.interest - cascade.interest;
+
+const rawMonthsDiff =
+  baseline.months - cascade.months;
+
+document.getElementById("results").innerHTML = `
+
+${buildImpactBox(rawInterestDiff, rawMonthsDiff)}
+
+${buildScenarioSummaryBox(
+    result,
+    noOverpayResult,
+    strategyResults,
+    selectedKey,
+    names
+)}
+
+${buildGoalSeekBox()}
+
+${buildAllowanceNote(result, names)}
+
+${noSwitchResult ? buildRemortgageBox(result, noSwitchResult) : ""}
+
+${offsetComparison ? buildOffsetBox(offsetComparison) : ""}
+
+${investComparison ? buildInvestBox(investComparison) : ""}
+
+${rateScenarios ? buildRatePathsBox(rateScenarios) : ""}
+
+${buildPendingBox("stress-box", "🧯 Rate Stress Test")}
+
+<div class="chart-card">
+
+  <h3>Balance Over Time </h3>
+    <div style="font-size:13px; font-weight:400; opacity:0.7;">
+      Combine vs keeping mortgages separate
+    </div>
+
+
+  <canvas id="balanceChart"></canvas>
+
+  ${buildChartLegend(names, !!investComparison, !!rateScenarios)}
+</div>
+
+${buildPendingBox("sensitivity-box", "🌪️ What Matters Most")}
+
+
+  ${buildYearlyTable(result, names)}
+
+    <div class="share-actions">
+    <button onclick="shareScenario()">🔗 Copy Share Link</button>
+    <button onclick="exportSchedule('csv')">⬇️ Monthly Schedule (CSV)</button>
+    <button onclick="exportSchedule('xlsx')">⬇️ Monthly Schedule (Excel)</button>
+  </div>
+
+
+
+`;
+
+  renderBalanceChart({
+  baselineTotal: result.baseline.balances,
+  cascadeTotal: result.cascade.balances,
+
+  baselineLoans: result.baseline.loanBalances,
+  cascadeLoans: result.cascade.loanBalances,
+
+  baselineDates: result.baseline.dates,
+  cascadeDates: result.cascade.dates,
+
+  netWorth: investComparison
+    ? {
+        dates: investComparison.dates,
+        overpay: investComparison.overpayNetWorth,
+        invest: investComparison.investNetWorth
+      }
+    : null,
+
+  fan: rateScenarios ? rateScenarios.balanceBands : null,
+
+  names
+});
+
+// Make legend clickable (Chart.js v4 safe)
+setTimeout(() => {
+  const legendItems = document.querySelectorAll(".legend-item");
+  const chart = window.balanceChartInstance;
+
+  legendItems.forEach(item => {
+    item.addEventListener("click", () => {
+      const index = parseInt(item.dataset.index);
+
+      const visible = chart.isDatasetVisible(index);
+      chart.setDatasetVisibility(index, !visible);
+      chart.update();
+
+      item.classList.toggle("active");
+    });
+  });
+}, 0);
+}
+
+/*
+  buildChartLegend(names, netWorth, fan)
+
+  Manual legend for renderBalanceChart.
+  data-index must follow the dataset order in chart.js:
+  (Separate, Combined) per mortgage, then the two totals,
+  then the two net worth lines when netWorth is true,
+  then the three Monte Carlo bands when fan is true.
+*/
+function buildChartLegend(names, netWorth = false, fan = false) {
+
+  const loanItems = names.map((name, i) => {
+    const colours = loanColour(i);
+
+    return `
+    <div class="legend-item" data-index="${i * 2}"><span class="legend-line" style="background:${colours.separate}"></span> ${name} (Separate)</div>
+    <div class="legend-item" data-index="${i * 2 + 1}"><span class="legend-line" style="background:${colours.combined}"></span> ${name} (Combined)</div>`;
+  }).join("");
+
+  const totalIndex = names.length * 2;
+  const fanIndex = totalIndex + (netWorth ? 4 : 2);
+
+  return `
+  <div class="manual-legend">
+    ${loanItems}
+    <div class="legend-item total-item active" data-index="${totalIndex}"><span class="legend-line total-sep"></span> Total – Separate</div>
+    <div class="legend-item total-item active" data-index="${totalIndex + 1}"><span class="legend-line total-cas"></span> Total – Combined</div>
+    ${netWorth ? `
+    <div class="legend-item total-item active" data-index="${totalIndex + 2}"><span class="legend-line networth-overpay"></span> Net worth – Overpay</div>
+    <div class="legend-item total-item active" data-index="${totalIndex + 3}"><span class="legend-line networth-invest"></span> Net worth – Invest</div>` : ""}
+    ${fan ? [
+      ["fan-band", "Combined – P10"],
+      ["fan-band", "Combined – P90"],
+      ["fan-median", "Combined – P50"]
+    ].map(([css, label], j) => `
+    <div class="legend-item total-item active" data-index="${fanIndex + j}"><span class="legend-line ${css}"></span> ${label}</div>`).join("") : ""}
+  </div>
+  `;
+}
+
+function buildImpactBox(savedVsSeparate, monthsDiff) {
+
+  const absInterest = Math.abs(savedVsSeparate);
+  const absMonths = Math.abs(monthsDiff);
+
+  const formattedInterest =
+    absInterest.toLocaleString(undefined, {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2
+    });
+
+  let cssClass = "impact-neutral";
+  let headline = "";
+  let subline = "";
+
+  if (savedVsSeparate > 0) {
+    cssClass = "impact-positive";
+    headline = `⚡ £${formattedInterest} saved`;
+    subline = absMonths > 0
+      ? `${formatMonths(absMonths)} earlier than keeping mortgages separate.`
+      : `Same payoff date, lower interest.`;
+  }
+  else if (savedVsSeparate < 0) {
+    cssClass = "impact-negative";
+    headline = `⚠ £${formattedInterest} more expensive`;
+    subline = `Keeping mortgages separate is cheaper in this scenario.`;
+  }
+  else {
+    headline = `£0.00 difference`;
+    subline = `Both strategies produce identical results.`;
+  }
+
+  return `
+    <div class="impact-summary ${cssClass}">
+      <div style="font-weight:600; font-size:15px;">${headline}</div>
+      <div style="font-size:13px; opacity:0.85;">${subline}</div>
+    </div>
+  `;
+}
+
+
+/*
+  buildGoalSeekBox()
+
+  Goal seek panel: the overpayment needed to be
+  mortgage-free by a month, or the date a monthly
+  overpayment reaches. Filled in by runGoalSeek().
+*/
+function buildGoalSeekBox() {
+  return `
+  <div class="strategy-summary">
+    <h3>🎯 Goal Seek</h3>
+    <div class="goal-seek">
+      <div>
+        <label for="goal-date">Mortgage-free by</label>
+        <input id="goal-date" type="month">
+        <button type="button" onclick="runGoalSeek('date')">How much extra?</button>
+      </div>
+      <div>
+        <label for="goal-extra">Combined extra per month (£)</label>
+        <input id="goal-extra" type="text" inputmode="decimal">
+        <button type="button" onclick="runGoalSeek('extra')">When?</button>
+      </div>
+    </div>
+    <div id="goal-seek-result" class="standard-payments"></div>
+  </div>
+  `;
+}
+
+/*
+  runGoalSeek(mode)
+
+  "date"  → solveOverpayment for the chosen month
+  "extra" → solveMortgageFreeDate for the amount
+  using the last calculation's loans and strategy.
+*/
+async function runGoalSeek(mode) {
+
+  const output = document.getElementById("goal-seek-result");
+  if (!currentPlan) return;
+
+  // Only the latest question is answered
+  engine.cancel("goal-seek");
+
+  const solve = (task, args) => engine.run(task, args, { channel: "goal-seek" });
+
+  const names = mortgageNames();
+  const money = n => `£${Math.round(n).toLocaleString()}`;
+
+  const splitText = split => split
+    .map((x, i) => `${names[i]}: ${money(x)}`)
+    .join(", ");
+
+  try {
+
+    if (mode === "date") {
+
+      const target = document.getElementById("goal-date").value;
+      if (!target) return;
+
+      output.innerText = "Searching…";
+
+      const goal = await solve("solveOverpayment", [currentPlan.loans, target, currentPlan.options]);
+
+      output.innerHTML = !goal.feasible
+        ? `Not reachable by ${formatMonthYear(target)}, even overpaying everything at once (check the overpayment limits).`
+        : goal.monthlyExtra === 0
+          ? `No overpayment needed: you are mortgage-free by ${mortgageFreeDate(goal.result.cascade)}.`
+          : `Overpay <strong>${money(goal.monthlyExtra)}</strong> a month combined to be mortgage-free by ${mortgageFreeDate(goal.result.cascade)}.<br>` +
+            `Suggested split: ${splitText(goal.split)}.<br>` +
+            `The first month the strategy sends it to: ${splitText(goal.allocation)}.`;
+
+    } else {
+
+      const extra = parseFloat(document.getElementById("goal-extra").value);
+      if (!isFinite(extra)) return;
+
+      output.innerText = "Searching…";
+
+      const goal = await solve("solveMortgageFreeDate", [currentPlan.loans, extra, currentPlan.options]);
+
+      output.innerHTML =
+        `With ${money(extra)} a month combined you are mortgage-free by <strong>${formatMonthYear(goal.date)}</strong> ` +
+        `(${formatMonths(goal.months)}).<br>Split: ${splitText(goal.split)}.`;
+    }
+
+    if (typeof gtag === "function") {
+      gtag("event", "goal_seek", { mode });
+    }
+
+  } catch (err) {
+    handleEngineError(err, showGoalSeekError);
+  }
+}
+
+/*
+  showGoalSeekError(text)
+
+  Puts what the goal seek could not do (e.g. a month
+  already past) in its panel.
+*/
+function showGoalSeekError(text) {
+  document.getElementById("goal-seek-result").innerText = text;
+}
+
+/*
+  buildAllowanceNote(result, names)
+
+  Flags when overpayment limits shaped the selected plan:
+  months each mortgage hit its limit, money kept in
+  savings and early repayment charges paid.
+  Empty when no limit was reached.
+*/
+function buildAllowanceNote(result, names) {
+
+  const cascade = result.cascade;
+
+  const hits = names.map(() => []);
+
+  cascade.capBinding.forEach(entry => {
+    entry.loans.forEach(i => hits[i].push(entry.month));
+  });
+
+  if (hits.every(h => h.length === 0) && cascade.ercFees === 0) return "";
+
+  const lines = names
+    .map((name, i) => hits[i].length === 0
+      ? ""
+      : `${name}: limit reached in ${hits[i].length} month${hits[i].length === 1 ? "" : "s"}, first in ${mortgageFreeDate(cascade, hits[i][0])}`
+    )
+    .filter(Boolean);
+
+  if (cascade.unallocated >= 1) {
+    lines.push(`£${Math.round(cascade.unallocated).toLocaleString()} kept in savings instead of overpaying`);
+  }
+
+  if (cascade.ercFees > 0) {
+    lines.push(`£${Math.round(cascade.ercFees).toLocaleString()} paid in early repayment charges`);
+  }
+
+  return `
+  <div class="strategy-summary">
+    <h3>⚠ Overpayment Limits</h3>
+    <div class="standard-payments">
+      ${lines.join("<br>")}
+    </div>
+  </div>
+  `;
+}
+
+/*
+  buildRemortgageBox(result, noSwitchResult)
+
+  Compares the selected plan with and without the
+  scheduled product switches, on total cost
+  (interest + arrangement fees).
+*/
+function buildRemortgageBox(result, noSwitchResult) {
+
+  const withSwitch = Math.round(result.cascade.totalCost);
+  const withoutSwitch = Math.round(noSwitchResult.cascade.totalCost);
+  const diff = withoutSwitch - withSwitch;
+
+  const verdict = diff > 0
+    ? `Switching saves £${diff.toLocaleString()} overall.`
+    : diff < 0
+      ? `Switching costs £${Math.abs(diff).toLocaleString()} more than staying put.`
+      : `Switching makes no difference to the total cost.`;
+
+  return `
+  <div class="strategy-summary">
+    <h3>🔁 Remortgage Check</h3>
+    <table class="strategy-table">
+      <thead>
+        <tr>
+          <th></th>
+          <th>📅 Mortgage-Free Date</th>
+          <th>💸 Interest</th>
+          <th>🧾 Fees</th>
+          <th>💷 Total Cost</th>
+        </tr>
+      </thead>
+      <tbody>
+        <tr class="${diff > 0 ? "row-highlight" : ""}">
+          <td>With product switch</td>
+          <td>${mortgageFreeDate(result.cascade)}</td>
+          <td>£${Math.round(result.cascade.interest).toLocaleString()}</td>
+          <td>£${Math.round(result.cascade.fees).toLocaleString()}</td>
+          <td>£${withSwitch.toLocaleString()}</td>
+        </tr>
+        <tr class="${diff < 0 ? "row-highlight" : ""}">
+          <td>Without (stay on current terms)</td>
+          <td>${mortgageFreeDate(noSwitchResult.cascade)}</td>
+          <td>£${Math.round(noSwitchResult.cascade.interest).toLocaleString()}</td>
+          <td>£0</td>
+          <td>£${withoutSwitch.toLocaleString()}</td>
+        </tr>
+      </tbody>
+    </table>
+    <div style="font-size:13px; opacity:0.85; margin-top:8px;">${verdict}</div>
+  </div>
+  `;
+}
+
+/*
+  buildOffsetBox(comparison)
+
+  Compares overpaying the offset mortgages with saving
+  the same money in their offset pots (compareOffsetRouting):
+  total interest, and the savings still in hand when the
+  sooner plan is mortgage-free.
+*/
+function buildOffsetBox(comparison) {
+
+  const { overpay, offset, month } = comparison;
+
+  const diff = -Math.round(comparison.interestDifference);
+  const kept = Math.round(comparison.liquidityRetained);
+  const owed = Math.round(comparison.balanceDifference);
+
+  const verdict = diff > 0
+    ? `Saving in the offset costs £${diff.toLocaleString()} less interest`
+    : diff < 0
+      ? `Saving in the offset costs £${Math.abs(diff).toLocaleString()} more interest`
+      : `Saving in the offset costs the same interest`;
+
+  const liquidity = kept > 0
+    ? ` and keeps £${kept.toLocaleString()} more in savings by ${mortgageFreeDate(overpay.cascade, month)}` +
+      (owed > 0 ? ` (with £${owed.toLocaleString()} still owed, which the savings can clear).` : ".")
+    : ".";
+
+  const row = (label, r, highlight) => `
+        <tr class="${highlight ? "row-highlight" : ""}">
+          <td>${label}</td>
+          <td>${mortgageFreeDate(r.cascade)}</td>
+          <td>£${Math.round(r.cascade.interest).toLocaleString()}</td>
+          <td>£${Math.round(r.cascade.savings[month]).toLocaleString()}</td>
+        </tr>`;
+
+  return `
+  <div class="strategy-summary">
+    <h3>🏦 Offset Check</h3>
+    <table class="strategy-table">
+      <thead>
+        <tr>
+          <th></th>
+          <th>📅 Mortgage-Free Date</th>
+          <th>💸 Interest</th>
+          <th>💰 Savings by ${mortgageFreeDate(overpay.cascade, month)}</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${row("Overpay the mortgage", overpay, diff < 0)}
+        ${row("Save in the offset", offset, diff >= 0)}
+      </tbody>
+    </table>
+    <div style="font-size:13px; opacity:0.85; margin-top:8px;">${verdict}${liquidity}</div>
+  </div>
+  `;
+}
+
+/*
+  buildInvestBox(comparison)
+
+  Overpaying vs investing the same money (compareInvesting),
+  compared when the overpaying plan is mortgage-free.
+*/
+function buildInvestBox(comparison) {
+
+  const { overpay, investment, month } = comparison;
+
+  const when = mortgageFreeDate(overpay.cascade, month);
+  const diff = Math.round(comparison.netWorthDifference);
+
+  const invested = Math.round(
+    comparison.contributions.reduce((t, x) => t + x, 0)
+  );
+
+  const verdict = diff > 0
+    ? `Investing leaves you £${diff.toLocaleString()} better off by ${when}`
+    : diff < 0
+      ? `Overpaying leaves you £${Math.abs(diff).toLocaleString()} better off by ${when}`
+      : `Both leave you equally well off by ${when}`;
+
+  const tax = investment.wrapper === "taxable"
+    ? `, ${investment.taxRate}% tax on growth`
+    : ", tax-free";
+
+  const row = (label, netWorth, owed, highlight) => `
+        <tr class="${highlight ? "row-highlight" : ""}">
+          <td>${label}</td>
+          <td>£${Math.round(owed).toLocaleString()}</td>
+          <td>${netWorth < 0 ? "-" : ""}£${Math.abs(Math.round(netWorth)).toLocaleString()}</td>
+        </tr>`;
+
+  return `
+  <div class="strategy-summary">
+    <h3>📈 Invest Instead?</h3>
+    <table class="strategy-table">
+      <thead>
+        <tr>
+          <th></th>
+          <th>🏠 Still owed by ${when}</th>
+          <th>💰 Net worth by ${when}</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${row("Overpay the mortgages", comparison.overpayNetWorth[month], overpay.cascade.balances[month], diff < 0)}
+        ${row("Invest the same money", comparison.investNetWorth[month], comparison.remainingBalance, diff > 0)}
+      </tbody>
+    </table>
+    <div style="font-size:13px; opacity:0.85; margin-top:8px;">
+      ${verdict} (£${invested.toLocaleString()} invested at ${investment.returnRate}% a year${tax}).
+      Net worth is savings and investments minus what is still owed.
+    </div>
+  </div>
+  `;
+}
+
+/*
+  nominalOrReal(nominal, real)
+
+  Both versions of an amount (as text); the show-real
+  class on #results picks which is shown (see setRealTerms).
+*/
+function nominalOrReal(nominal, real) {
+  return `<span class="nominal">${nominal}</span><span class="real">${real}</span>`;
+}
+
+/*
+  buildRealToggle(inflationRate, id)
+
+  "Show in today's money" checkbox for a results table,
+  only when an inflation rate was entered.
+*/
+function buildRealToggle(inflationRate, id) {
+
+  if (!inflationRate) return "";
+
+  return `
+    <div class="checkbox-row">
+      <input type="checkbox" id="real-toggle-${id}" class="real-toggle" onchange="setRealTerms(this.checked)">
+      <label for="real-toggle-${id}">Show in today's money (${inflationRate}% inflation a year)</label>
+    </div>
+  `;
+}
+
+/*
+  setRealTerms(on)
+
+  Switches every results table between nominal figures
+  and today's money, keeping the toggles in step.
+*/
+function setRealTerms(on) {
+
+  document.getElementById("results").classList.toggle("show-real", on);
+
+  document.querySelectorAll(".real-toggle").forEach(toggle => {
+    toggle.checked = on;
+  });
+
+  if (typeof gtag === "function") {
+    gtag("event", "toggle_real_terms", { on: on ? "yes" : "no" });
+  }
+}
+
+/*
+  buildRatePathsBox(scenarios)
+
+  Percentile bands of simulateRatePaths for the
+  combined plan and for keeping mortgages separate.
+*/
+function buildRatePathsBox(scenarios) {
+
+  const { settings } = scenarios;
+  const pounds = n => `£${Math.round(n).toLocaleString()}`;
+
+  const row = (label, plan) => `
+        <tr>
+          <td>${label}</td>
+          <td>${pounds(plan.interest.p10)} / <strong>${pounds(plan.interest.p50)}</strong> / ${pounds(plan.interest.p90)}</td>
+          <td>${formatMonthYear(plan.dates.p10, "short")} / <strong>${formatMonthYear(plan.dates.p50, "short")}</strong> / ${formatMonthYear(plan.dates.p90, "short")}</td>
+        </tr>`;
+
+  return `
+  <div class="strategy-summary">
+    <h3>🎲 If Rates Move</h3>
+    <table class="strategy-table">
+      <thead>
+        <tr>
+          <th></th>
+          <th>💸 Total Interest (P10 / P50 / P90)</th>
+          <th>📅 Mortgage-Free (P10 / P50 / P90)</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${row("🌊 Combine payments", scenarios.combined)}
+        ${row("🏠 Keep mortgages separate", scenarios.separate)}
+      </tbody>
+    </table>
+    <div style="font-size:13px; opacity:0.85; margin-top:8px;">
+      ${settings.paths} base rate paths from ${settings.baseRate}%
+      (${settings.drift >= 0 ? "+" : ""}${settings.drift} and ±${settings.volatility} % points a year, seed ${settings.seed}).
+      After a fix ends each mortgage pays base plus its margin. P10 is a good outcome, P90 a bad one.
+    </div>
+  </div>
+  `;
+}
+
+/*
+  sensitivityLabel(entry, steps, names)
+
+  Row label for one analyseSensitivity input, with how
+  far it was moved, e.g. "Mortgage 1 rate ±1 pt".
+*/
+function sensitivityLabel(entry, steps, names) {
+
+  if (entry.input === "redirectScheduled") return "Redirect normal payments";
+  if (entry.input === "redirectExtra") return "Redirect extra payments";
+
+  const moves = {
+    balance: `balance ±${steps.balance}%`,
+    rate: `rate ±${steps.rate} pt`,
+    months: `term ±${steps.months} months`,
+    payment: `payment ±£${steps.payment}`,
+    extra: `overpayment ±£${steps.extra}`
+  };
+
+  return `${names[entry.mortgage]} ${moves[entry.input]}`;
+}
+
+/*
+  sensitivityChartData(sensitivity, names)
+
+  analyseSensitivity in the shape renderSensitivityChart
+  takes: { labels, low, high }, largest impact first.
+*/
+function sensitivityChartData(sensitivity, names) {
+  return {
+    labels: sensitivity.inputs.map(entry => sensitivityLabel(entry, sensitivity.steps, names)),
+    low: sensitivity.inputs.map(entry => entry.low),
+    high: sensitivity.inputs.map(entry => entry.high)
+  };
+}
+
+/*
+  buildPendingBox(id, title)
+
+  Placeholder for a panel that is filled in after the
+  main result (see renderAnalyses).
+*/
+function buildPendingBox(id, title) {
+  return `
+<div id="${id}">
+  <div class="strategy-summary">
+    <h3>${title}</h3>
+    <div class="pending-analysis" style="font-size:13px; opacity:0.7;">Calculating…</div>
+  </div>
+</div>
+  `;
+}
 
-  const cascadeFreeDate =
-    mortgageFreeDateFromNow(cascade.months);
+/*
+  showPendingError(text)
 
-  const baselineFreeDate =
-    mortgageFreeDateFromNow(baseline.months);
+  Puts why a pending panel won't be filled in (a failed
+  or cancelled analysis) in place of "Calculating…".
+*/
+function showPendingError(text) {
+  document.querySelectorAll(".pending-analysis").forEach(el => {
+    el.innerText = text;
+  });
+}
 
-const rawInterestDiff =
-  baseline.interest - cascade.interest;
-const isCascadeBetter = rawInterestDiff > 0;
-const isCascadeWorse  = rawInterestDiff < 0;
-const isExactTie      = rawInterestDiff === 0;
+/*
+  renderAnalyses(stress, sensitivity, selectedKey)
 
-const interestSaved = Math.abs(
-  Math.round(rawInterestDiff)
-);
+  Fills in the stress test and sensitivity panels:
+  stress is stressTestRates for every strategy, and
+  sensitivity is analyseSensitivity for the selected
+  strategy, drawn as a tornado chart.
+*/
+function renderAnalyses(stress, sensitivity, selectedKey) {
 
-const cascadeIsBetter = rawInterestDiff >= 0;
+  const names = mortgageNames();
 
-const rawMonthsDiff =
-  baseline.months - cascade.months;
+  document.getElementById("stress-box").innerHTML = buildStressBox(stress, names, selectedKey);
+  document.getElementById("sensitivity-box").innerHTML = buildSensitivityBox(sensitivity, names);
 
-const monthsSaved = Math.abs(rawMonthsDiff);
-const cascadeIsFaster = rawMonthsDiff >= 0;
+  renderSensitivityChart(sensitivityChartData(sensitivity, names));
+}
 
-document.getElementById("results").innerHTML = `
+/*
+  buildSensitivityBox(sensitivity, names)
 
-${buildImpactBox(rawInterestDiff, rawMonthsDiff)}
+  Chart card for the tornado chart, naming the input that
+  moves total interest the most.
+*/
+function buildSensitivityBox(sensitivity, names) {
 
-${buildScenarioSummaryBox(
-    avalanche,
-    noOverpayResult,
-    m1Name,
-    m2Name,
-    isCascadeBetter,
-    isCascadeWorse,
-    isExactTie
-)}
+  const top = sensitivity.inputs[0];
 
+  return `
 <div class="chart-card">
 
-  <h3>Balance Over Time </h3>
+  <h3>🌪️ What Matters Most</h3>
     <div style="font-size:13px; font-weight:400; opacity:0.7;">
-      Combine vs keeping mortgages separate
+      Change in total interest with one input moved at a time
     </div>
 
+  <canvas id="sensitivityChart"></canvas>
 
-  <canvas id="balanceChart"></canvas>
-
-  <div class="manual-legend">
-    <div class="legend-item" data-index="0"><span class="legend-line m1-sep"></span> ${m1Name} (Separate)</div>
-    <div class="legend-item" data-index="1"><span class="legend-line m1-cas"></span> ${m1Name} (Combined)</div>
-    <div class="legend-item" data-index="2"><span class="legend-line m2-sep"></span> ${m2Name} (Separate)</div>
-    <div class="legend-item" data-index="3"><span class="legend-line m2-cas"></span> ${m2Name} (Combined)</div>
-    <div class="legend-item total-item active" data-index="4"><span class="legend-line total-sep"></span> Total – Separate</div>
-    <div class="legend-item total-item active" data-index="5"><span class="legend-line total-cas"></span> Total – Combined</div>
+  <div style="font-size:13px; opacity:0.85; margin-top:8px;">
+    ${top.impact > 0
+      ? `The biggest lever is <strong>${sensitivityLabel(top, sensitivity.steps, names)}</strong>:
+         up to £${Math.round(top.impact).toLocaleString()} more or less interest.`
+      : "None of the inputs changes the total interest."}
   </div>
 </div>
+  `;
+}
 
+/*
+  buildStressBox(stress, names, selectedKey)
 
-  ${buildYearlyTable(avalanche, m1Name, m2Name)}
-
-    <div class="share-actions">
-    <button onclick="shareScenario()">🔗 Copy Share Link</button>
-  </div>
-
-
+  stressTestRates as a table: one column per shock,
+  the shocked monthly payments, then total interest and
+  mortgage-free date for each strategy and for keeping
+  the mortgages separate.
+*/
+function buildStressBox(stress, names, selectedKey) {
 
-`;
+  const pounds = n => `£${Math.round(n).toLocaleString()}`;
 
-  renderBalanceChart({
-  baselineTotal: avalanche.baseline.balances,
-  cascadeTotal: avalanche.cascade.balances,
+  const heading = shock => shock === 0 ? "Today's rates" : `+${shock} pt${shock === 1 ? "" : "s"}`;
 
-  baselineM1: avalanche.baseline.m1.balances,
-  baselineM2: avalanche.baseline.m2.balances,
+  const outcome = o => `
+          <td>${pounds(o.interest)}<br><span style="opacity:0.7;">${formatMonthYear(o.date, "short")}</span></td>`;
 
-  cascadeM1: avalanche.cascade.m1Balances,
-  cascadeM2: avalanche.cascade.m2Balances,
+  const strategyRows = stress.shocks[0].strategies.map((s, j) => `
+        <tr class="${s.strategy === selectedKey ? "row-highlight" : ""}">
+          <td>🌊 ${s.label}</td>
+          ${stress.shocks.map(shock => outcome(shock.strategies[j])).join("")}
+        </tr>`).join("");
 
-  m1Name,
-  m2Name
-});
+  return `
+  <div class="strategy-summary">
+    <h3>🧯 Rate Stress Test</h3>
+    <div class="table-wrapper">
+    <table class="strategy-table">
+      <thead>
+        <tr>
+          <th></th>
+          ${stress.shocks.map(shock => `<th>${heading(shock.shock)}</th>`).join("")}
+        </tr>
+      </thead>
+      <tbody>
+        <tr>
+          <td>Monthly payments</td>
+          ${stress.shocks.map(shock => `
+          <td>${shock.payments.map((p, i) => `${names[i]}: ${pounds(p)}`).join("<br>")}</td>`).join("")}
+        </tr>
+        ${strategyRows}
+        <tr>
+          <td>🏠 Keep mortgages separate</td>
+          ${stress.shocks.map(shock => outcome(shock.separate)).join("")}
+        </tr>
+      </tbody>
+    </table>
+    </div>
+    <div style="font-size:13px; opacity:0.85; margin-top:8px;">
+      Total interest and mortgage-free date with every rate
+      ${stress.shockFrom === "fix-end" ? "raised when each fix ends" : "raised from now"}.
+      Payments are the standard payments once the rise applies, before overpayments.
+    </div>
+  </div>
+  `;
+}
 
-// Make legend clickable (Chart.js v4 safe)
-setTimeout(() => {
-  const legendItems = document.querySelectorAll(".legend-item");
-  const chart = window.balanceChartInstance;
+/*
+  readMonteCarlo()
 
-  legendItems.forEach(item => {
-    item.addEventListener("click", () => {
-      const index = parseInt(item.dataset.index);
+  The Monte Carlo inputs, as simulateRatePaths expects
+  them (blank margin → each mortgage's own).
+*/
+function readMonteCarlo() {
 
-      const visible = chart.isDatasetVisible(index);
-      chart.setDatasetVisibility(index, !visible);
-      chart.update();
+  const value = id => document.getElementById(id).value;
 
-      item.classList.toggle("active");
-    });
-  });
-}, 0);
+  return {
+    baseRate: parseFloat(value("mc-base")) || 0,
+    margin: value("mc-margin") === "" ? null : parseFloat(value("mc-margin")),
+    drift: parseFloat(value("mc-drift")) || 0,
+    volatility: value("mc-vol") === "" ? 1 : parseFloat(value("mc-vol")),
+    paths: parseInt(value("mc-paths")) || 200,
+    seed: parseInt(value("mc-seed")) || 1
+  };
 }
 
-function buildImpactBox(savedVsSeparate, monthsDiff) {
+/*
+  buildScenarioSummaryBox(...)
 
-  const absInterest = Math.abs(savedVsSeparate);
-  const absMonths = Math.abs(monthsDiff);
+  One row per allocation strategy (combined payments),
+  then keeping mortgages separate and no overpayments.
+  The cheapest row is highlighted.
+  A total-cost column appears when any fees are paid.
+*/
+function buildScenarioSummaryBox(
+  result,
+  noOverpayResult,
+  strategyResults,
+  selectedKey,
+  names
+){
 
-  const formattedInterest =
-    absInterest.toLocaleString(undefined, {
-      minimumFractionDigits: 2,
-      maximumFractionDigits: 2
-    });
+  const baseline = result.baseline;
+  const noOverpay = noOverpayResult.baseline;
 
-  let cssClass = "impact-neutral";
-  let headline = "";
-  let subline = "";
+  const baselineDate = mortgageFreeDate(baseline);
+  const noOverpayDate = mortgageFreeDate(noOverpay);
 
-  if (savedVsSeparate > 0) {
-    cssClass = "impact-positive";
-    headline = `⚡ £${formattedInterest} saved`;
-    subline = absMonths > 0
-      ? `${formatMonths(absMonths)} earlier than keeping mortgages separate.`
-      : `Same payoff date, lower interest.`;
-  }
-  else if (savedVsSeparate < 0) {
-    cssClass = "impact-negative";
-    headline = `⚠ £${formattedInterest} more expensive`;
-    subline = `Keeping mortgages separate is cheaper in this scenario.`;
-  }
-  else {
-    headline = `£0.00 difference`;
-    subline = `Both strategies produce identical results.`;
-  }
+  const baselineInterest = Math.round(baseline.interest);
 
-  return `
-    <div class="impact-summary ${cssClass}">
-      <div style="font-weight:600; font-size:15px;">${headline}</div>
-      <div style="font-size:13px; opacity:0.85;">${subline}</div>
-    </div>
-  `;
-}
+  const cheapest = Math.min(
+    baselineInterest,
+    ...strategyResults.map(s => Math.round(s.result.cascade.interest))
+  );
 
+  const rowClass = interest => interest === cheapest ? "row-highlight" : "";
 
-function buildScenarioSummaryBox(
-  avalanche,
-  noOverpayResult,
-  m1Name,
-  m2Name,
-  isCascadeBetter,
-  isCascadeWorse,
-  isExactTie
-){
+  const pounds = n => `£${Math.round(n).toLocaleString()}`;
 
-  const cascade = avalanche.cascade;
-  const baseline = avalanche.baseline;
-  const noOverpay = noOverpayResult.baseline;
+  // Nominal, or in today's money when the toggle is on
+  const amount = (nominal, real) => nominalOrReal(pounds(nominal), pounds(real));
 
-  const cascadeRowClass = isCascadeBetter ? "row-highlight" : "";
-  const separateRowClass = isCascadeWorse ? "row-highlight" : "";
+  const showFees = baseline.fees > 0;
+  const costCell = r => showFees
+    ? `<td>${amount(r.totalCost, r.realTotalCost)}</td>`
+    : "";
 
-  const cascadeDate = mortgageFreeDateFromNow(cascade.months);
-  const baselineDate = mortgageFreeDateFromNow(baseline.months);
-  const noOverpayDate = mortgageFreeDateFromNow(noOverpay.months);
+  const savedText = saved =>
+    saved > 0
+      ? "£" + saved.toLocaleString()
+      : saved < 0
+        ? "-£" + Math.abs(saved).toLocaleString()
+        : "—";
 
-  const cascadeInterest = Math.round(cascade.interest);
-  const baselineInterest = Math.round(baseline.interest);
-  const noOverpayInterest = Math.round(noOverpay.interest);
+  const strategyRows = strategyResults.map(s => {
 
-  const savedVsSeparate = baselineInterest - cascadeInterest;
+    const cascadeInterest = Math.round(s.result.cascade.interest);
+    const savedVsSeparate = baselineInterest - cascadeInterest;
+    const realSaved =
+      Math.round(baseline.realInterest) - Math.round(s.result.cascade.realInterest);
 
-  const m1Payment = avalanche.scheduled1 || 0;
-  const m2Payment = avalanche.scheduled2 || 0;
+    return `
+        <tr class="${rowClass(cascadeInterest)}">
+          <td>🌊 Combine payments – ${s.label}${s.key === selectedKey ? " <em>(selected)</em>" : ""}</td>
+          <td>${mortgageFreeDate(s.result.cascade)}</td>
+          <td>${amount(s.result.cascade.interest, s.result.cascade.realInterest)}</td>
+          ${costCell(s.result.cascade)}
+          <td>
+            ${nominalOrReal(savedText(savedVsSeparate), savedText(realSaved))}
+          </td>
+        </tr>`;
+  }).join("");
+
+  // Contractual payments (no overpayments), one per rate period
+  const cards = readMortgageCards();
+  const modes = cards.map(card => card.recalc);
+
+  const payments = names
+    .map((name, i) => {
+
+      const periods = noOverpay.loans[i].payments;
+      const later = periods.slice(1).map(p =>
+        ` → £${Math.round(p.scheduled).toLocaleString()} from ${mortgageFreeDate(noOverpay.loans[i], p.month)} (${p.rate}%)`
+      );
+
+      // Lender lowers the payment after overpayments → show where it ends up
+      const combined = result.cascade.loanPayments[i];
+      const last = combined[combined.length - 1];
+      const lowered = modes[i] !== "reduce-term" && last.month > 1
+        ? ` (with overpayments: £${Math.round(last.scheduled).toLocaleString()} by ${mortgageFreeDate(result.cascade, last.month + result.cascade.startOffsets[i])})`
+        : "";
+
+      // Interest-only part still owed when the term ends
+      const balloon = noOverpay.loans[i].balloon > 0
+        ? ` (£${Math.round(noOverpay.loans[i].balloon).toLocaleString()} due at the end of the term` +
+          (result.cascade.balloons[i] < noOverpay.loans[i].balloon
+            ? `, £${Math.round(result.cascade.balloons[i]).toLocaleString()} with overpayments)`
+            : ")")
+        : "";
+
+      // Term worked out from the payment entered
+      const term = cards[i].payment !== ""
+        ? ` (remaining term ${formatMonths(result.terms[i])})`
+        : "";
+
+      return `${name}: £${Math.round(result.scheduled[i] || 0).toLocaleString()}${term}${later.join("")}${lowered}${balloon}`;
+    })
+    .join("<br>");
 
   return `
   <div class="strategy-summary">
 
     <div class="standard-payments">
       <strong>Standard Monthly Payments</strong><br>
-      ${m1Name}: £${Math.round(m1Payment).toLocaleString()}<br>
-      ${m2Name}: £${Math.round(m2Payment).toLocaleString()}
+      ${payments}
     </div>
 
     <h3>📊 Overall Outcome</h3>
 
+    ${buildRealToggle(result.inflationRate, "summary")}
+
     <table class="strategy-table">
       <thead>
         <tr>
           <th>Strategy</th>
           <th>📅 Mortgage-Free Date</th>
           <th>💸 Total Interest Paid</th>
+          ${showFees ? "<th>💷 Total Cost incl. Fees</th>" : ""}
           <th>💰 Interest Saved vs Keeping Separate</th>
         </tr>
       </thead>
       <tbody>
+${strategyRows}
 
-        <tr class="${cascadeRowClass}">
-          <td>🌊 Combine payments (pay highest interest first)</td>
-          <td>${cascadeDate}</td>
-          <td>£${cascadeInterest.toLocaleString()}</td>
-          <td>
-            ${
-              savedVsSeparate > 0
-                ? "£" + savedVsSeparate.toLocaleString()
-                : savedVsSeparate < 0
-                  ? "-£" + Math.abs(savedVsSeparate).toLocaleString()
-                  : "—"
-            }
-          </td>
-        </tr>
-
-        <tr class="${separateRowClass}">
+        <tr class="${rowClass(baselineInterest)}">
           <td>🏠 Keep mortgages separate</td>
           <td>${baselineDate}</td>
-          <td>£${baselineInterest.toLocaleString()}</td>
+          <td>${amount(baseline.interest, baseline.realInterest)}</td>
+          ${costCell(baseline)}
           <td>—</td>
         </tr>
 
         <tr>
           <td>⛔ No overpayments (standard payment only)</td>
           <td>${noOverpayDate}</td>
-          <td>£${noOverpayInterest.toLocaleString()}</td>
+          <td>${amount(noOverpay.interest, noOverpay.realInterest)}</td>
+          ${costCell(noOverpay)}
           <td>—</td>
         </tr>
 
@@ -698,35 +2301,58 @@ function buildScenarioSummaryBox(
   `;
 }
 
-function buildYearlyTable(result, m1Name, m2Name) {
+function buildYearlyTable(result, names) {
 
   const yearly = result.cascade.yearly || [];
   let rows = "";
 
+  const pounds = n => `£${Math.round(n).toLocaleString()}`;
+
+  // Real amounts are deflated to today's money at the year's end
+  // (interest month by month, see addRealTerms in engine.js)
+  const cell = (nominal, real = nominal) =>
+    `<td>${nominalOrReal(pounds(nominal), pounds(real))}</td>`;
+
+  // Pooled lump sum column only when there are pooled lump sums
+  // (a mortgage's own lump sums are in its "Extra Paid In")
+  const showLumps = yearly.some(y => y.pooled > 0);
+  const lumpCell = (n, real) => showLumps ? cell(n, real) : "";
+
   let totalInterest = 0;
-  let totalFromM1 = 0;
-  let totalFromM2 = 0;
-  let totalToM1 = 0;
-  let totalToM2 = 0;
+  let totalRealInterest = 0;
+  let totalLumps = 0;
+  let totalRealLumps = 0;
+  const totalFrom = names.map(() => 0);
+  const totalRealFrom = names.map(() => 0);
+  const totalTo = names.map(() => 0);
+  const totalRealTo = names.map(() => 0);
 
   yearly.forEach((y) => {
 
+    const index = y.priceIndex || 1;
+    const money = n => cell(n, n / index);
+
     totalInterest += y.interest;
-    totalFromM1 += y.fromM1;
-    totalFromM2 += y.fromM2;
-    totalToM1 += y.extraToM1;
-    totalToM2 += y.extraToM2;
+    totalRealInterest += y.realInterest ?? y.interest;
+    totalLumps += y.pooled;
+    totalRealLumps += y.pooled / index;
+    y.from.forEach((x, i) => {
+      totalFrom[i] += x;
+      totalRealFrom[i] += x / index;
+    });
+    y.extraTo.forEach((x, i) => {
+      totalTo[i] += x;
+      totalRealTo[i] += x / index;
+    });
 
     rows += `
       <tr>
-        <td>${y.year}</td>
-        <td>£${Math.round(y.interest).toLocaleString()}</td>
-        <td>£${Math.round(y.fromM1).toLocaleString()}</td>
-        <td>£${Math.round(y.fromM2).toLocaleString()}</td>
-        <td>£${Math.round(y.extraToM1).toLocaleString()}</td>
-        <td>£${Math.round(y.extraToM2).toLocaleString()}</td>
-        <td>£${Math.round(y.endBalanceM1).toLocaleString()}</td>
-        <td>£${Math.round(y.endBalanceM2).toLocaleString()}</td>
+        <td>${formatMonthYear(y.startDate, "short")} – ${formatMonthYear(y.endDate, "short")}</td>
+        ${cell(y.interest, y.realInterest ?? y.interest)}
+        ${y.from.map(money).join("")}
+        ${lumpCell(y.pooled, y.pooled / index)}
+        ${y.extraTo.map(money).join("")}
+        ${y.endBalances.map(money).join("")}
       </tr>
     `;
   });
@@ -739,20 +2365,22 @@ function buildYearlyTable(result, m1Name, m2Name) {
 
       <div style="font-size:13px; opacity:0.7; margin:8px 0 14px 0;">
         “Extra Paid In” includes overpayments and any redirected 'standard' payments once a mortgage is finished.
+        A mortgage's own lump sums count in its “Extra Paid In”.
+        ${showLumps ? "“Pooled Lump Sums” are one-off payments that belong to no single mortgage." : ""}
       </div>
 
+      ${buildRealToggle(result.inflationRate, "yearly")}
+
       <div class="table-wrapper">
       <table class="milestone-table">
         <thead>
           <tr>
             <th>Year</th>
             <th>Total Interest</th>
-            <th>${m1Name} Extra Paid In</th>
-            <th>${m2Name} Extra Paid In</th>
-            <th>Sent to ${m1Name}</th>
-            <th>Sent to ${m2Name}</th>
-            <th>${m1Name} Balance</th>
-            <th>${m2Name} Balance</th>
+            ${names.map(name => `<th>${name} Extra Paid In</th>`).join("")}
+            ${showLumps ? "<th>Pooled Lump Sums</th>" : ""}
+            ${names.map(name => `<th>Sent to ${name}</th>`).join("")}
+            ${names.map(name => `<th>${name} Balance</th>`).join("")}
           </tr>
         </thead>
         <tbody>
@@ -761,13 +2389,11 @@ function buildYearlyTable(result, m1Name, m2Name) {
         <tfoot>
           <tr style="font-weight:600; border-top:2px solid #ccc;">
             <td>Total</td>
-            <td>£${Math.round(totalInterest).toLocaleString()}</td>
-            <td>£${Math.round(totalFromM1).toLocaleString()}</td>
-            <td>£${Math.round(totalFromM2).toLocaleString()}</td>
-            <td>£${Math.round(totalToM1).toLocaleString()}</td>
-            <td>£${Math.round(totalToM2).toLocaleString()}</td>
-            <td>—</td>
-            <td>—</td>
+            ${cell(totalInterest, totalRealInterest)}
+            ${totalFrom.map((x, i) => cell(x, totalRealFrom[i])).join("")}
+            ${lumpCell(totalLumps, totalRealLumps)}
+            ${totalTo.map((x, i) => cell(x, totalRealTo[i])).join("")}
+            ${names.map(() => "<td>—</td>").join("")}
           </tr>
         </tfoot>
       </table>
@@ -780,7 +2406,9 @@ function buildYearlyTable(result, m1Name, m2Name) {
   Expose function to global scope
   so HTML button can call it.
 */
-window.calculateFromUI = calculateFromUI;
+window.calculateFromUI = guardEngineHandler(calculateFromUI, showEngineError);
+window.runGoalSeek = guardEngineHandler(runGoalSeek, showGoalSeekError);
+window.setRealTerms = setRealTerms;
 
 /* =====================================================
    Init
@@ -788,35 +2416,14 @@ window.calculateFromUI = calculateFromUI;
 
 function loadScenarioFromParam(encoded) {
 
-  const state = decodeState(encoded);
+  const state = upgradeState(decodeState(encoded));
 
-  if (!state || state.v !== 1) {
+  if (!state) {
     preloadDefaults();
     return false;
   }
 
-  // Mortgage 1
-  document.getElementById("m1-balance").value = state.m1.b || "";
-  document.getElementById("m1-rate").value = state.m1.r || "";
-  document.getElementById("m1-years").value = state.m1.y || "";
-  document.getElementById("m1-months").value = state.m1.m || "";
-  document.getElementById("m1-extra").value = state.m1.e || "";
-  document.getElementById("m1-name").value = state.m1.n || "";
-
-  // Mortgage 2
-  document.getElementById("m2-balance").value = state.m2.b || "";
-  document.getElementById("m2-rate").value = state.m2.r || "";
-  document.getElementById("m2-years").value = state.m2.y || "";
-  document.getElementById("m2-months").value = state.m2.m || "";
-  document.getElementById("m2-extra").value = state.m2.e || "";
-  document.getElementById("m2-name").value = state.m2.n || "";
-
-  // Redirect flags
-  document.getElementById("redirect-scheduled").checked = !!state.rs;
-  document.getElementById("redirect-extra").checked = !!state.re;
-
-  validateAll();
-  calculateFromUI();
+  applyState(state);
 
   return true;
 }
@@ -824,6 +2431,8 @@ function loadScenarioFromParam(encoded) {
 
 document.addEventListener("DOMContentLoaded", function () {
 
+  setupStrategySelect();
+
   // Load shared scenario from URL parameter
   const params = new URLSearchParams(window.location.search);
   const encoded = params.get("s");
@@ -838,6 +2447,13 @@ document.addEventListener("DOMContentLoaded", function () {
   setupValidation();
   validateAll();
 
+  // Editing the scenario makes a running calculation stale
+  ["input", "change"].forEach(type =>
+    document.addEventListener(type, event => {
+      if (!event.target.closest("#results")) cancelCalculation();
+    })
+  );
+
 
 
   // ===== Redirect toggle tracking =====
@@ -876,41 +2492,133 @@ function decodeState(encoded) {
   }
 }
 
-function loadScenarioFromHash() {
+/*
+  upgradeState(state)
 
-  if (!window.location.hash.startsWith("#c=")) {
-    return false;
-  }
+  Share links are versioned:
+    v1 → fixed m1 / m2 objects
+    v2 → ms array (one entry per mortgage card)
 
-  const encoded = window.location.hash.substring(3);
-  const state = decodeState(encoded);
+  Returns a v2 state, or null if the link is unusable.
+*/
+function upgradeState(state) {
 
-  if (!state || state.v !== 1) {
-    return false;
+  if (!state) return null;
+
+  if (state.v === 1 && state.m1 && state.m2) {
+    return { v: 2, ms: [state.m1, state.m2], rs: state.rs, re: state.re };
+  }
+
+  if (state.v === 2 && Array.isArray(state.ms) && state.ms.length > 0) {
+    return state;
   }
 
-  // Mortgage 1
-  document.getElementById("m1-balance").value = state.m1.b || "";
-  document.getElementById("m1-rate").value = state.m1.r || "";
-  document.getElementById("m1-years").value = state.m1.y || "";
-  document.getElementById("m1-months").value = state.m1.m || "";
-  document.getElementById("m1-extra").value = state.m1.e || "";
-  document.getElementById("m1-name").value = state.m1.n || "";
+  return null;
+}
+
+/*
+  applyState(state)
+
+  Fills the form from a (v2) shared state and runs the calculation.
+*/
+function applyState(state) {
+
+  renderMortgageCards(
+    state.ms.slice(0, MAX_MORTGAGES).map(m => ({
+      balance: m.b || "",
+      rate: m.r || "",
+      fixend: m.f || "",
+      svr: m.s || "",
+      recalc: m.rc || "",
+      interest: m.im || "",
+      start: m.sd || "",
+      payday: m.pd || "",
+      type: m.t || "",
+      iopct: m.io || "",
+      offset: m.o || "",
+      offsetadd: m.oa || "",
+      years: m.y || "",
+      months: m.m || "",
+      payment: m.py || "",
+      extra: m.e || "",
+      extrarise: m.xr || "",
+      extrastepmonth: m.xm || "",
+      extrastep: m.xa || "",
+      pausefrom: m.pf || "",
+      pauseto: m.pt || "",
+      cap: m.c || "",
+      allowpct: m.ap || "",
+      allowreset: m.ar || "",
+      ercpct: m.ep || "",
+      ercend: m.ee || "",
+      payerc: m.pe || "",
+      switchmonth: m.sm || "",
+      switchrate: m.sr || "",
+      switchyears: m.sy || "",
+      switchfee: m.sf || "",
+      switchadd: m.sa || "",
+      name: m.n || ""
+    }))
+  );
 
-  // Mortgage 2
-  document.getElementById("m2-balance").value = state.m2.b || "";
-  document.getElementById("m2-rate").value = state.m2.r || "";
-  document.getElementById("m2-years").value = state.m2.y || "";
-  document.getElementById("m2-months").value = state.m2.m || "";
-  document.getElementById("m2-extra").value = state.m2.e || "";
-  document.getElementById("m2-name").value = state.m2.n || "";
+  renderLumpSums(
+    (state.ls || []).map(l => ({ month: l.m || "", amount: l.a || "", source: l.s }))
+  );
 
   // Redirect flags
   document.getElementById("redirect-scheduled").checked = !!state.rs;
   document.getElementById("redirect-extra").checked = !!state.re;
+  document.getElementById("excess-to").value =
+    state.ex === "savings" ? "savings" : "mortgages";
+  document.getElementById("offset-routing").value =
+    state.or === "offset" ? "offset" : "overpay";
+  document.getElementById("invest-return").value = state.ir || "";
+  document.getElementById("invest-wrapper").value =
+    state.iw === "taxable" ? "taxable" : "tax-free";
+  document.getElementById("invest-tax").value = state.it || "";
+  document.getElementById("inflation-rate").value = state.in || "";
+
+  // Monte Carlo rate paths
+  const mc = state.mc || {};
+  document.getElementById("mc-enabled").checked = !!mc.on;
+  document.getElementById("mc-base").value = mc.b || "";
+  document.getElementById("mc-margin").value = mc.m || "";
+  document.getElementById("mc-drift").value = mc.d || "";
+  document.getElementById("mc-vol").value = mc.v || "";
+  document.getElementById("mc-paths").value = mc.n || "";
+  document.getElementById("mc-seed").value = mc.s || "";
+  document.getElementById("stress-from").value =
+    state.sf === "fix-end" ? "fix-end" : "now";
+
+  // Allocation strategy (links created before strategies existed → avalanche)
+  document.getElementById("strategy").value =
+    ALLOCATION_STRATEGIES[state.st] || state.st === "optimal"
+      ? state.st
+      : "avalanche";
+  document.getElementById("strategy-objective").value =
+    state.so === "months" ? "months" : "interest";
+  document.getElementById("strategy-priority").value = state.sp || "";
+  document.getElementById("strategy-split").value = state.ss || "";
+  updateStrategyParams();
 
   validateAll();
   calculateFromUI();
+}
+
+function loadScenarioFromHash() {
+
+  if (!window.location.hash.startsWith("#c=")) {
+    return false;
+  }
+
+  const encoded = window.location.hash.substring(3);
+  const state = upgradeState(decodeState(encoded));
+
+  if (!state) {
+    return false;
+  }
+
+  applyState(state);
 
   return true;
 }
@@ -921,25 +2629,65 @@ function loadScenarioFromHash() {
 
 function getCurrentState() {
   return {
-    v: 1,
-    m1: {
-      b: document.getElementById("m1-balance").value,
-      r: document.getElementById("m1-rate").value,
-      y: document.getElementById("m1-years").value,
-      m: document.getElementById("m1-months").value,
-      e: document.getElementById("m1-extra").value,
-      n: document.getElementById("m1-name").value
-    },
-    m2: {
-      b: document.getElementById("m2-balance").value,
-      r: document.getElementById("m2-rate").value,
-      y: document.getElementById("m2-years").value,
-      m: document.getElementById("m2-months").value,
-      e: document.getElementById("m2-extra").value,
-      n: document.getElementById("m2-name").value
-    },
+    v: 2,
+    ms: readMortgageCards().map(card => ({
+      b: card.balance,
+      r: card.rate,
+      f: card.fixend,
+      s: card.svr,
+      rc: card.recalc,
+      im: card.interest,
+      sd: card.start,
+      pd: card.payday,
+      t: card.type,
+      io: card.iopct,
+      o: card.offset,
+      oa: card.offsetadd,
+      y: card.years,
+      m: card.months,
+      py: card.payment,
+      e: card.extra,
+      xr: card.extrarise,
+      xm: card.extrastepmonth,
+      xa: card.extrastep,
+      pf: card.pausefrom,
+      pt: card.pauseto,
+      c: card.cap,
+      ap: card.allowpct,
+      ar: card.allowreset,
+      ep: card.ercpct,
+      ee: card.ercend,
+      pe: card.payerc,
+      sm: card.switchmonth,
+      sr: card.switchrate,
+      sy: card.switchyears,
+      sf: card.switchfee,
+      sa: card.switchadd,
+      n: card.name
+    })),
+    ls: readLumpSums().map(l => ({ m: l.month, a: l.amount, s: l.source })),
     rs: document.getElementById("redirect-scheduled").checked ? 1 : 0,
-    re: document.getElementById("redirect-extra").checked ? 1 : 0
+    re: document.getElementById("redirect-extra").checked ? 1 : 0,
+    ex: document.getElementById("excess-to").value,
+    or: document.getElementById("offset-routing").value,
+    ir: document.getElementById("invest-return").value,
+    iw: document.getElementById("invest-wrapper").value,
+    it: document.getElementById("invest-tax").value,
+    in: document.getElementById("inflation-rate").value,
+    sf: document.getElementById("stress-from").value,
+    mc: {
+      on: document.getElementById("mc-enabled").checked ? 1 : 0,
+      b: document.getElementById("mc-base").value,
+      m: document.getElementById("mc-margin").value,
+      d: document.getElementById("mc-drift").value,
+      v: document.getElementById("mc-vol").value,
+      n: document.getElementById("mc-paths").value,
+      s: document.getElementById("mc-seed").value
+    },
+    st: document.getElementById("strategy").value,
+    sp: document.getElementById("strategy-priority").value,
+    ss: document.getElementById("strategy-split").value,
+    so: document.getElementById("strategy-objective").value
   };
 }
 
@@ -974,4 +2722,219 @@ function shareScenario() {
   if (typeof gtag === "function") {
     gtag("event", "share_scenario");
   }
-}
\ No newline at end of file
+}
+
+
+/* =====================================================
+   SCHEDULE EXPORT
+===================================================== */
+
+/*
+  The rows and CSV come from engine.js (scheduleRows,
+  planScheduleRows, toCsv), shared with the command line.
+*/
+
+/*
+  crc32(bytes)
+
+  CRC-32 checksum the zip format needs for each file.
+*/
+function crc32(bytes) {
+
+  let crc = -1;
+
+  for (let i = 0; i < bytes.length; i++) {
+    crc ^= bytes[i];
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+    }
+  }
+
+  return (crc ^ -1) >>> 0;
+}
+
+/*
+  zipFiles(files)
+
+  An uncompressed ("stored") zip of { name: text } files,
+  enough for an .xlsx. Returns a Uint8Array.
+*/
+function zipFiles(files) {
+
+  const encoder = new TextEncoder();
+
+  // Little-endian [bytes, value] fields, in order
+  const fields = list => {
+    const view = new DataView(new ArrayBuffer(list.reduce((t, [size]) => t + size, 0)));
+    list.reduce((at, [size, value]) => {
+      if (size === 4) view.setUint32(at, value, true);
+      else view.setUint16(at, value, true);
+      return at + size;
+    }, 0);
+    return new Uint8Array(view.buffer);
+  };
+
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, text]) => {
+
+    const path = encoder.encode(name);
+    const data = encoder.encode(text);
+
+    // Version 2.0, no flags, stored, no date; crc, sizes, name length
+    const entry = [
+      [2, 20], [2, 0], [2, 0], [2, 0], [2, 0],
+      [4, crc32(data)], [4, data.length], [4, data.length], [2, path.length], [2, 0]
+    ];
+
+    const local = fields([[4, 0x04034b50], ...entry]);
+
+    parts.push(local, path, data);
+    central.push(
+      fields([[4, 0x02014b50], [2, 20], ...entry, [2, 0], [2, 0], [2, 0], [4, 0], [4, offset]]),
+      path
+    );
+
+    offset += local.length + path.length + data.length;
+  });
+
+  const count = Object.keys(files).length;
+  const centralSize = central.reduce((t, part) => t + part.length, 0);
+
+  parts.push(...central, fields([
+    [4, 0x06054b50], [2, 0], [2, 0], [2, count], [2, count], [4, centralSize], [4, offset], [2, 0]
+  ]));
+
+  const zip = new Uint8Array(parts.reduce((t, part) => t + part.length, 0));
+
+  parts.reduce((at, part) => {
+    zip.set(part, at);
+    return at + part.length;
+  }, 0);
+
+  return zip;
+}
+
+/*
+  toXlsx(sheets)
+
+  A minimal .xlsx workbook from [{ name, rows }]: numbers
+  as numbers, everything else as inline text.
+*/
+function toXlsx(sheets) {
+
+  const escape = text => String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+  const column = index => {
+    let name = "";
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + (n - 1) % 26) + name;
+    }
+    return name;
+  };
+
+  const sheetXml = rows => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${
+    rows.map((row, r) => `<row r="${r + 1}">${
+      row.map((value, c) => {
+        const ref = column(c) + (r + 1);
+        return typeof value === "number" && isFinite(value)
+          ? `<c r="${ref}"><v>${value}</v></c>`
+          : `<c r="${ref}" t="inlineStr"><is><t>${escape(value)}</t></is></c>`;
+      }).join("")
+    }</row>`).join("")
+  }</sheetData></worksheet>`;
+
+  const files = {
+    "[Content_Types].xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${
+      sheets.map((_, k) => `<Override PartName="/xl/worksheets/sheet${k + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("")
+    }</Types>`,
+    "_rels/.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    "xl/workbook.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${
+      sheets.map((sheet, k) => `<sheet name="${escape(sheet.name)}" sheetId="${k + 1}" r:id="rId${k + 1}"/>`).join("")
+    }</sheets></workbook>`,
+    "xl/_rels/workbook.xml.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${
+      sheets.map((_, k) => `<Relationship Id="rId${k + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${k + 1}.xml"/>`).join("")
+    }</Relationships>`
+  };
+
+  sheets.forEach((sheet, k) => {
+    files[`xl/worksheets/sheet${k + 1}.xml`] = sheetXml(sheet.rows);
+  });
+
+  return zipFiles(files);
+}
+
+/*
+  downloadFile(name, content, type)
+
+  Saves text or bytes through a temporary link.
+*/
+function downloadFile(name, content, type) {
+
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/*
+  exportSchedule(format)
+
+  Downloads the month-by-month schedule of the current
+  plan, combined and kept separate: "csv" (one file, with
+  a Plan column) or "xlsx" (one sheet each).
+*/
+async function exportSchedule(format) {
+
+  if (!currentPlan) return;
+
+  const names = mortgageNames();
+
+  try {
+
+    const result = await engine.run("calculateCascadeMulti", [currentPlan.loans, currentPlan.options]);
+
+    if (format === "xlsx") {
+      downloadFile(
+        "mortgage-schedule.xlsx",
+        toXlsx([
+          { name: "Combined", rows: scheduleRows(result.cascade, names) },
+          { name: "Separate", rows: scheduleRows(result.baseline, names) }
+        ]),
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+    } else {
+      downloadFile(
+        "mortgage-schedule.csv",
+        toCsv(planScheduleRows(result, names)),
+        "text/csv"
+      );
+    }
+
+    if (typeof gtag === "function") {
+      gtag("event", "export_schedule", { format });
+    }
+
+  } catch (err) {
+    handleEngineError(err, showEngineError);
+  }
+}
+
+window.exportSchedule = guardEngineHandler(exportSchedule, showEngineError);
@@ -8,6 +8,7 @@
     - Creating the chart
     - Destroying previous chart
     - Feeding data to Chart.js
+    - The sensitivity tornado chart
 
   It does NOT:
     - Calculate mortgage logic
@@ -18,13 +19,38 @@
 
   IMPORTANT:
   Dataset order MUST NOT change.
-  app.js manual legend relies on dataset index positions.
+  app.js manual legend relies on dataset index positions:
+
+    - per mortgage: (Separate, Combined)
+    - then Total – Separate, Total – Combined
+    - then (optional, with result.netWorth)
+      Net worth – Overpay, Net worth – Invest
+    - then (optional, with result.fan)
+      Combined P10, Combined P90, Combined P50
+*/
+
+/*
+  LOAN_COLOURS
+
+  Line colours per mortgage, reused in order when there are
+  more mortgages than entries. Also read by the app.js legend.
 */
+const LOAN_COLOURS = [
+  { separate: "rgba(59,130,246,0.7)", combined: "rgba(46,109,246,1)" },
+  { separate: "rgba(168,85,247,0.7)", combined: "rgba(120,90,255,1)" },
+  { separate: "rgba(52,211,153,0.7)", combined: "rgba(16,185,129,1)" },
+  { separate: "rgba(251,191,36,0.7)", combined: "rgba(245,158,11,1)" },
+  { separate: "rgba(244,114,182,0.7)", combined: "rgba(236,72,153,1)" },
+  { separate: "rgba(56,189,248,0.7)", combined: "rgba(14,165,233,1)" }
+];
+
+function loanColour(index) {
+  return LOAN_COLOURS[index % LOAN_COLOURS.length];
+}
 
 function renderBalanceChart(result) {
 
-  const m1Name = result.m1Name || "Mortgage 1";
-  const m2Name = result.m2Name || "Mortgage 2";
+  const names = result.names || [];
 
   if (window.balanceChartInstance) {
     window.balanceChartInstance.destroy();
@@ -32,67 +58,127 @@ function renderBalanceChart(result) {
 
   const ctx = document.getElementById("balanceChart");
 
-  function toXY(arr) {
+  /*
+    x is the calendar year, with months as twelfths
+    (engine dates "YYYY-MM-DD": "2027-07-01" → 2027.5)
+  */
+  function toYear(date) {
+    return Number(date.slice(0, 4)) + (Number(date.slice(5, 7)) - 1) / 12;
+  }
+
+  function toXY(arr, dates) {
     return arr.map((value, i) => ({
-      x: i / 12,
+      x: toYear(dates[i]),
       y: value
     }));
   }
 
-  const baselineTotal = toXY(result.baselineTotal);
-  const cascadeTotal  = toXY(result.cascadeTotal);
+  const baselineTotal = toXY(result.baselineTotal, result.baselineDates);
+  const cascadeTotal  = toXY(result.cascadeTotal, result.cascadeDates);
 
-  const maxYears = Math.ceil(
+  const firstYear = Math.floor(
+    Math.min(baselineTotal[0].x, cascadeTotal[0].x)
+  );
+
+  const lastYear = Math.ceil(
     Math.max(
-      result.baselineTotal.length,
-      result.cascadeTotal.length
-    ) / 12
+      baselineTotal[baselineTotal.length - 1].x,
+      cascadeTotal[cascadeTotal.length - 1].x,
+      result.fan ? toYear(result.fan.dates[result.fan.dates.length - 1]) : 0
+    )
   );
 
+  const spanYears = lastYear - firstYear;
+
+  // Invest vs overpay (compareInvesting), on the same axes
+  const netWorth = result.netWorth
+    ? [
+        {
+          label: "Net worth – Overpay",
+          data: toXY(result.netWorth.overpay, result.netWorth.dates),
+          borderColor: "rgba(34,197,94,0.9)",
+          borderWidth: 1.9,
+          tension: 0.2,
+          pointRadius: 0
+        },
+        {
+          label: "Net worth – Invest",
+          data: toXY(result.netWorth.invest, result.netWorth.dates),
+          borderColor: "rgba(250,204,21,0.9)",
+          borderDash: [6, 6],
+          borderWidth: 1.9,
+          tension: 0.2,
+          pointRadius: 0
+        }
+      ]
+    : [];
+
+  // Monte Carlo bands (simulateRatePaths): P90 fills down to P10
+  const fan = result.fan
+    ? [
+        {
+          label: "Combined – P10",
+          data: toXY(result.fan.p10, result.fan.dates),
+          borderColor: "rgba(148,163,184,0.5)",
+          borderWidth: 1,
+          tension: 0.2,
+          pointRadius: 0
+        },
+        {
+          label: "Combined – P90",
+          data: toXY(result.fan.p90, result.fan.dates),
+          borderColor: "rgba(148,163,184,0.5)",
+          backgroundColor: "rgba(148,163,184,0.15)",
+          borderWidth: 1,
+          fill: "-1",
+          tension: 0.2,
+          pointRadius: 0
+        },
+        {
+          label: "Combined – P50",
+          data: toXY(result.fan.p50, result.fan.dates),
+          borderColor: "rgba(148,163,184,0.9)",
+          borderDash: [3, 3],
+          borderWidth: 1.5,
+          tension: 0.2,
+          pointRadius: 0
+        }
+      ]
+    : [];
+
   window.balanceChartInstance = new Chart(ctx, {
 
     type: "line",
 data: {
   datasets: [
 
-    {
-      label: m1Name + " (Separate)",
-      data: toXY(result.baselineM1),
-      borderColor: "rgba(59,130,246,0.7)",
-      borderDash: [4,4],
-      borderWidth: 2,
-      tension: 0.15,
-      pointRadius: 0,
-      hidden: true
-    },
-    {
-      label: m1Name + " (Combined)",
-      data: toXY(result.cascadeM1),
-      borderColor: "rgba(46,109,246,1)",
-      borderWidth: 2,
-      tension: 0.15,
-      pointRadius: 0,
-      hidden: true
-    },
-    {
-      label: m2Name + " (Separate)",
-      data: toXY(result.baselineM2),
-      borderColor: "rgba(168,85,247,0.7)",
-      borderDash: [4,4],
-      borderWidth: 2,
-      tension: 0.15,
-      pointRadius: 0,
-      hidden: true
-    },
-    {
-      label: m2Name + " (Combined)",
-      data: toXY(result.cascadeM2),
-      borderColor: "rgba(120,90,255,1)",
-      borderWidth: 2,
-      tension: 0.15,
-      pointRadius: 0,
-      hidden: true
-    },
+    ...result.baselineLoans.flatMap((balances, i) => {
+
+      const name = names[i] || "Mortgage " + (i + 1);
+      const colours = loanColour(i);
+
+      return [
+        {
+          label: name + " (Separate)",
+          data: toXY(balances, result.baselineDates),
+          borderColor: colours.separate,
+          borderDash: [4,4],
+          borderWidth: 2,
+          tension: 0.15,
+          pointRadius: 0,
+          hidden: true
+        },
+        {
+          label: name + " (Combined)",
+          data: toXY(result.cascadeLoans[i], result.cascadeDates),
+          borderColor: colours.combined,
+          borderWidth: 2,
+          tension: 0.15,
+          pointRadius: 0,
+          hidden: true
+        }
+      ];
+    }),
     {
       label: "Total – Separate",
       data: baselineTotal,
@@ -109,7 +195,11 @@ data: {
       borderWidth: 1.9,
       tension: 0.2,
       pointRadius: 0
-    }
+    },
+
+    ...netWorth,
+
+    ...fan
 
   ] 
 
@@ -147,12 +237,12 @@ scales: {
 
   x: {
     type: "linear",
-    min: 0,
-    max: maxYears,
+    min: firstYear,
+    max: lastYear,
     ticks: {
       stepSize: window.innerWidth < 768
-  ? (maxYears > 20 ? 10 : 2)
-  : (maxYears > 20 ? 5 : 1),
+  ? (spanYears > 20 ? 10 : 2)
+  : (spanYears > 20 ? 5 : 1),
       color: "rgba(255,255,255,0.6)",
       callback: function(value) {
         return Number.isInteger(value) ? value : "";
@@ -166,7 +256,7 @@ scales: {
     ticks: {
       color: "rgba(255,255,255,0.6)",
       callback: function(value) {
-        return "£" + (value / 1000) + "k";
+        return (value < 0 ? "-£" : "£") + (Math.abs(value) / 1000) + "k";
       }
     },
     grid: {
@@ -180,4 +270,101 @@ scales: {
 
 }); // ← closes new Chart
 
-}   // ← closes function
\ No newline at end of file
+}   // ← closes function
+
+/*
+  renderSensitivityChart(result)
+
+  Tornado chart for analyseSensitivity: one row per input,
+  largest first, with bars for the change in total
+  interest when the input moves down (or off) and up
+  (or on). Both bars start at zero, so they overlap on
+  one row rather than stacking.
+
+  result: { labels, low, high }, low[i] / high[i] being
+  the engine's { interestChange, monthsChange } or null.
+*/
+function renderSensitivityChart(result) {
+
+  if (window.sensitivityChartInstance) {
+    window.sensitivityChartInstance.destroy();
+  }
+
+  const ctx = document.getElementById("sensitivityChart");
+
+  const pounds = n => (n < 0 ? "-£" : "+£") + Math.round(Math.abs(n)).toLocaleString();
+
+  const months = n => (n > 0 ? "+" : "") + n + " month" + (Math.abs(n) === 1 ? "" : "s");
+
+  window.sensitivityChartInstance = new Chart(ctx, {
+
+    type: "bar",
+
+    data: {
+      labels: result.labels,
+      datasets: [
+        {
+          label: "Lower / off",
+          data: result.low.map(x => x ? x.interestChange : null),
+          backgroundColor: "rgba(52,211,153,0.75)",
+          borderRadius: 4
+        },
+        {
+          label: "Higher / on",
+          data: result.high.map(x => x ? x.interestChange : null),
+          backgroundColor: "rgba(244,114,182,0.75)",
+          borderRadius: 4
+        }
+      ]
+    },
+
+    options: {
+
+      indexAxis: "y",
+      responsive: true,
+      maintainAspectRatio: false,
+
+      animation: {
+        duration: 700,
+        easing: "easeOutQuart"
+      },
+
+      plugins: {
+        legend: {
+          labels: { color: "rgba(255,255,255,0.75)" }
+        },
+        tooltip: {
+          callbacks: {
+            label: function(item) {
+              const x = (item.datasetIndex === 0 ? result.low : result.high)[item.dataIndex];
+              return `${item.dataset.label}: ${pounds(x.interestChange)} interest, ${months(x.monthsChange)}`;
+            }
+          }
+        }
+      },
+
+      scales: {
+
+        x: {
+          ticks: {
+            color: "rgba(255,255,255,0.6)",
+            callback: function(value) {
+              return (value < 0 ? "-£" : "£") + (Math.abs(value) / 1000) + "k";
+            }
+          },
+          grid: {
+            color: "rgba(255,255,255,0.08)"
+          }
+        },
+
+        // Overlap the two bars on each row
+        y: {
+          stacked: true,
+          ticks: { color: "rgba(255,255,255,0.75)" },
+          grid: { display: false }
+        }
+
+      }
+    }
+  });
+}
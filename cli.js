@@ -0,0 +1,880 @@
+#!/usr/bin/env node
+/*
+  =====================================================
+  Batch Runner (command line)
+  =====================================================
+
+  Runs many scenarios through engine.js from a JSON or
+  CSV file and prints (or writes) a summary table:
+
+    node cli.js scenarios.json
+    node cli.js scenarios.csv --out summary.csv --schedules schedules/
+
+  Every scenario gets three runs:
+    - combined        the chosen strategy and redirects
+    - separate        same overpayments, no pooling
+    - no overpayments the contractual payments only
+
+  Options:
+    --out <file>            write the summary as .csv or .json
+                            (default: a table on stdout)
+    --schedules <dir>       also write each scenario's monthly
+                            schedule (combined and separate)
+    --schedule-format <f>   "csv" (default) or "json"
+    --start-date <date>     start date (YYYY-MM-DD) of every
+                            mortgage that doesn't give its own
+
+  Every mortgage needs a start date, its own or
+  --start-date, so a file gives the same results and
+  dates whenever it is run (the engine would otherwise
+  start from today).
+
+  Exit codes: 0 done, 1 invalid input (every problem is
+  listed on stderr and nothing is written), 2 bad usage.
+
+  It does NOT contain financial logic: everything comes
+  from engine.js.
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+/*
+  When true, the smoke tests at the end of this file run
+  when it is loaded (development only, as in engine.js).
+*/
+const DEV_MODE = false;
+
+const {
+  calculateCascadeMulti,
+  planScheduleRows,
+  toCsv,
+  ALLOCATION_STRATEGIES,
+  RECALCULATION_MODES,
+  INTEREST_METHODS,
+  OFFSET_ROUTINGS
+} = require("./engine.js");
+
+const USAGE =
+  "Usage: node cli.js <scenarios.json|scenarios.csv> " +
+  "[--out summary.csv|summary.json] [--schedules dir] [--schedule-format csv|json] " +
+  "[--start-date YYYY-MM-DD]";
+
+/*
+  parseArgs(argv)
+
+  Returns { input, out, schedules, scheduleFormat,
+  startDate }, or throws a usage error.
+*/
+function parseArgs(argv) {
+
+  const args = { input: null, out: null, schedules: null, scheduleFormat: "csv", startDate: null };
+
+  for (let k = 0; k < argv.length; k++) {
+
+    const arg = argv[k];
+    const value = () => {
+      if (k + 1 >= argv.length) throw new Error(`${arg} needs a value.`);
+      return argv[++k];
+    };
+
+    if (arg === "--out") args.out = value();
+    else if (arg === "--schedules") args.schedules = value();
+    else if (arg === "--schedule-format") args.scheduleFormat = value();
+    else if (arg === "--start-date") args.startDate = value();
+    else if (arg.startsWith("--")) throw new Error(`Unknown option ${arg}.`);
+    else if (args.input) throw new Error("Only one scenarios file can be given.");
+    else args.input = arg;
+  }
+
+  if (!args.input) throw new Error("No scenarios file given.");
+
+  if (!["csv", "json"].includes(args.scheduleFormat))
+    throw new Error("--schedule-format must be csv or json.");
+
+  if (args.out && ![".csv", ".json"].includes(path.extname(args.out).toLowerCase()))
+    throw new Error("--out must end in .csv or .json.");
+
+  if (args.startDate !== null && !isDate(args.startDate))
+    throw new Error(`--start-date must be a date as YYYY-MM-DD (got "${args.startDate}").`);
+
+  return args;
+}
+
+/*
+  isDate(text)
+
+  Whether text is a real calendar date as YYYY-MM-DD.
+*/
+function isDate(text) {
+  const parsed = new Date(text + "T00:00:00Z");
+  return /^\d{4}-\d{2}-\d{2}$/.test(text) && isFinite(parsed) &&
+    parsed.toISOString().slice(0, 10) === text;
+}
+
+/* =====================================================
+   Reading Scenarios
+===================================================== */
+
+/*
+  parseCsv(text)
+
+  CSV text as rows of cells (quoted cells may hold commas,
+  quotes as "" and line breaks). Blank lines are skipped.
+*/
+function parseCsv(text) {
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+
+    const c = text[i];
+
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else cell += c;
+      continue;
+    }
+
+    if (c === '"') quoted = true;
+    else if (c === ",") { row.push(cell); cell = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += c;
+  }
+
+  if (cell !== "" || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(x => x.trim() !== ""));
+}
+
+/*
+  CSV_COLUMNS
+
+  Columns a CSV scenarios file may have (header row, any
+  order, case-insensitive). One row per mortgage; rows with
+  the same scenario name make one scenario, whose
+  redirect and strategy settings come from its first row.
+*/
+const CSV_COLUMNS = [
+  "scenario", "name", "balance", "rate", "years", "months", "payment", "extra",
+  "start_date", "redirect_scheduled", "redirect_extra", "strategy"
+];
+
+/*
+  scenariosFromCsv(text)
+
+  Returns raw scenarios in the JSON shape (see
+  validateScenario), or throws if the header is unusable.
+*/
+function scenariosFromCsv(text) {
+
+  const [header, ...rows] = parseCsv(text);
+
+  if (!header) throw new Error("The CSV file is empty.");
+
+  const columns = header.map(h => h.trim().toLowerCase());
+  const unknown = columns.filter(c => !CSV_COLUMNS.includes(c));
+
+  if (unknown.length > 0)
+    throw new Error(`Unknown CSV column(s): ${unknown.join(", ")}. Expected: ${CSV_COLUMNS.join(", ")}.`);
+
+  if (!columns.includes("scenario"))
+    throw new Error("The CSV file needs a scenario column.");
+
+  const blank = value => value === undefined || value.trim() === "" ? undefined : value.trim();
+  const scenarios = new Map();
+
+  rows.forEach(cells => {
+
+    const get = column => blank(cells[columns.indexOf(column)]);
+    const name = get("scenario") || "";
+
+    if (!scenarios.has(name)) {
+      scenarios.set(name, {
+        name,
+        redirectScheduled: get("redirect_scheduled"),
+        redirectExtra: get("redirect_extra"),
+        strategy: get("strategy"),
+        mortgages: []
+      });
+    }
+
+    scenarios.get(name).mortgages.push({
+      name: get("name"),
+      balance: get("balance"),
+      rate: get("rate"),
+      years: get("years"),
+      months: get("months"),
+      payment: get("payment"),
+      extra: get("extra"),
+      startDate: get("start_date")
+    });
+  });
+
+  return [...scenarios.values()];
+}
+
+/*
+  readScenarios(file)
+
+  JSON: an array of scenarios, or { scenarios: [...] }.
+  CSV: see CSV_COLUMNS.
+*/
+function readScenarios(file) {
+
+  const text = fs.readFileSync(file, "utf8");
+
+  if (path.extname(file).toLowerCase() === ".csv") return scenariosFromCsv(text);
+
+  let data;
+
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${file} is not valid JSON: ${err.message}`);
+  }
+
+  const scenarios = Array.isArray(data) ? data : data && data.scenarios;
+
+  if (!Array.isArray(scenarios))
+    throw new Error("The JSON file must be an array of scenarios or { \"scenarios\": [...] }.");
+
+  return scenarios;
+}
+
+/*
+  LOAN_FIELDS / SCENARIO_FIELDS
+
+  The fields a scenario and its mortgages may have: the
+  engine's loan fields and options (see engine.js), plus
+  a name, and a term in years. Anything else is rejected,
+  so a misspelt field is never silently ignored.
+*/
+const LOAN_FIELDS = [
+  "name", "balance", "rate", "years", "months", "payment", "extra",
+  "fixEndMonth", "revertRate", "rateSchedule", "switches",
+  "maxAnnualOverpayment", "allowancePercent", "allowanceResetMonth",
+  "ercPercent", "ercEndMonth", "payErc",
+  "recalculation", "interestMethod", "startDate", "paymentDay",
+  "repaymentType", "interestOnlyPercent", "offsetSavings", "offsetContribution"
+];
+
+const SCENARIO_FIELDS = [
+  "name", "mortgages", "redirectScheduled", "redirectExtra", "strategy",
+  "strategyOptions", "lumpSums", "excessTo", "offsetRouting",
+  "inflationRate", "discountRate"
+];
+
+const REPAYMENT_TYPES = ["repayment", "interest-only", "part-and-part"];
+
+/*
+  validateScenario(raw, index, startDate)
+
+  Checks one raw scenario and converts it for the engine:
+
+    {
+      name,
+      mortgages: [{ name, balance, rate, years and/or
+                    months, or payment, extra, startDate,
+                    ...other LOAN_FIELDS (JSON only) }],
+      redirectScheduled (default true),
+      redirectExtra     (default true),
+      strategy          (default "avalanche"),
+      strategyOptions, lumpSums, ...other SCENARIO_FIELDS
+    }
+
+  Numbers and flags may be strings (as in CSV); null or
+  blank counts as missing, and balance and rate are
+  required. startDate (the --start-date option) is used
+  for mortgages without their own. Every field is checked against the range the
+  engine would otherwise clamp it to or drop it from.
+  Returns { scenario, errors } with scenario = { name,
+  label, names, loans, options } when there are no errors.
+*/
+function validateScenario(raw, index, startDate = null) {
+
+  const errors = [];
+  const label = raw && raw.name ? `Scenario "${raw.name}"` : `Scenario ${index + 1}`;
+
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    return { scenario: null, errors: [`${label}: must be an object.`] };
+  }
+
+  const missing = value =>
+    value === undefined || value === null || (typeof value === "string" && value.trim() === "");
+
+  const required = (value, what) => {
+    if (missing(value)) errors.push(`${what} is required.`);
+  };
+
+  const number = (value, what, check, rule) => {
+    if (missing(value)) return undefined;
+    const n = typeof value === "number" || typeof value === "string" ? Number(value) : NaN;
+    if (!Number.isFinite(n) || !check(n)) {
+      errors.push(`${what} ${rule} (got ${JSON.stringify(value)}).`);
+      return undefined;
+    }
+    return n;
+  };
+
+  const between = (value, what, min, max) =>
+    number(value, what, n => n >= min && n <= max, `must be between ${min} and ${max}`);
+
+  const atLeast = (value, what, min) =>
+    number(value, what, n => n >= min, min > 0 ? "must be a positive number" : "must be zero or more");
+
+  const whole = (value, what, min, max = Infinity) =>
+    number(value, what, n => Number.isInteger(n) && n >= min && n <= max,
+      max === Infinity ? `must be a whole number from ${min}` : `must be a whole number from ${min} to ${max}`);
+
+  const flag = (value, what, fallback = true) => {
+    if (missing(value)) return fallback;
+    if (typeof value === "boolean") return value;
+    const text = String(value).trim().toLowerCase();
+    if (["true", "yes", "y", "1", "on"].includes(text)) return true;
+    if (["false", "no", "n", "0", "off"].includes(text)) return false;
+    errors.push(`${what} must be true or false (got ${JSON.stringify(value)}).`);
+    return fallback;
+  };
+
+  const choice = (value, what, allowed) => {
+    if (missing(value)) return undefined;
+    const text = String(value).trim();
+    if (allowed.includes(text)) return text;
+    errors.push(`${what} must be one of ${allowed.join(", ")} (got ${JSON.stringify(value)}).`);
+    return undefined;
+  };
+
+  const date = (value, what) => {
+    if (missing(value)) return undefined;
+    const text = String(value).trim();
+    if (!isDate(text)) {
+      errors.push(`${what} must be a date as YYYY-MM-DD (got ${JSON.stringify(value)}).`);
+      return undefined;
+    }
+    return text;
+  };
+
+  // Whether value is a plain object; any field not in `fields` is an error
+  const object = (value, what, fields) => {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      errors.push(`${what} must be an object.`);
+      return false;
+    }
+    const unknown = Object.keys(value).filter(k => !fields.includes(k));
+    if (unknown.length > 0)
+      errors.push(`${what}: unknown field(s) ${unknown.join(", ")} (expected ${fields.join(", ")}).`);
+    return true;
+  };
+
+  // An array of objects with the given fields, each converted by `item`
+  const list = (value, what, fields, item) => {
+    if (missing(value)) return undefined;
+    if (!Array.isArray(value)) {
+      errors.push(`${what} must be a list (got ${JSON.stringify(value)}).`);
+      return undefined;
+    }
+    return value.map((x, k) => {
+      const where = `${what}[${k + 1}]`;
+      return object(x, where, fields) ? item(x, where) : null;
+    });
+  };
+
+  const extraSchedule = (extra, what) => {
+
+    if (missing(extra)) return 0;
+
+    if (typeof extra !== "object" || Array.isArray(extra))
+      return atLeast(extra, what, 0) || 0;
+
+    if (!object(extra, what, ["amount", "steps", "escalation", "pauses"])) return 0;
+
+    return {
+      amount: atLeast(extra.amount, `${what}.amount`, 0),
+      steps: list(extra.steps, `${what}.steps`, ["month", "amount"], (step, where) => {
+        required(step.month, `${where}.month`);
+        required(step.amount, `${where}.amount`);
+        return {
+          month: whole(step.month, `${where}.month`, 1),
+          amount: atLeast(step.amount, `${where}.amount`, 0)
+        };
+      }),
+      escalation: between(extra.escalation, `${what}.escalation`, 0, 100),
+      pauses: list(extra.pauses, `${what}.pauses`, ["from", "to"], (pause, where) => {
+        required(pause.from, `${where}.from`);
+        const from = whole(pause.from, `${where}.from`, 1);
+        return {
+          from,
+          to: whole(pause.to, `${where}.to`, from || 1)
+        };
+      })
+    };
+  };
+
+  object(raw, label, SCENARIO_FIELDS);
+
+  const mortgages = Array.isArray(raw.mortgages) ? raw.mortgages : [];
+
+  if (mortgages.length === 0) errors.push(`${label}: needs at least one mortgage.`);
+
+  const count = mortgages.length;
+
+  const loans = mortgages.map((m, i) => {
+
+    const where = `${label}, mortgage ${i + 1}`;
+
+    if (!object(m, where, LOAN_FIELDS)) return null;
+
+    required(m.balance, `${where} balance`);
+    required(m.rate, `${where} rate`);
+
+    const balance = atLeast(m.balance, `${where} balance`, 0.01);
+    const rate = between(m.rate, `${where} rate`, 0, 25);
+    const years = whole(m.years, `${where} years`, 0);
+    const months = whole(m.months, `${where} months`, 0);
+    const payment = atLeast(m.payment, `${where} payment`, 0.01);
+
+    const term = (years || 0) * 12 + (months || 0);
+
+    if (payment === undefined && term < 1)
+      errors.push(`${where}: needs a term (years and/or months) or a monthly payment.`);
+
+    const repaymentType = choice(m.repaymentType, `${where} repaymentType`, REPAYMENT_TYPES);
+
+    if (missing(m.startDate) && !startDate)
+      errors.push(`${where}: needs a start date (its own, or --start-date for the whole file).`);
+
+    return {
+      balance,
+      rate,
+      months: payment === undefined ? term : null,
+      payment: payment === undefined ? null : payment,
+      extra: extraSchedule(m.extra, `${where} extra`),
+      fixEndMonth: whole(m.fixEndMonth, `${where} fixEndMonth`, 0),
+      revertRate: between(m.revertRate, `${where} revertRate`, 0, 25),
+      rateSchedule: list(m.rateSchedule, `${where} rateSchedule`, ["month", "rate"], (step, at) => {
+        required(step.month, `${at}.month`);
+        required(step.rate, `${at}.rate`);
+        return {
+          month: whole(step.month, `${at}.month`, 1),
+          rate: between(step.rate, `${at}.rate`, 0, 25)
+        };
+      }),
+      switches: list(m.switches, `${where} switches`,
+        ["month", "rate", "months", "fee", "addFeeToBalance", "fixMonths", "revertRate"],
+        (s, at) => {
+          required(s.month, `${at}.month`);
+          required(s.rate, `${at}.rate`);
+          return {
+            month: whole(s.month, `${at}.month`, 1),
+            rate: between(s.rate, `${at}.rate`, 0, 25),
+            months: whole(s.months, `${at}.months`, 1),
+            fee: atLeast(s.fee, `${at}.fee`, 0),
+            addFeeToBalance: flag(s.addFeeToBalance, `${at}.addFeeToBalance`, false),
+            fixMonths: whole(s.fixMonths, `${at}.fixMonths`, 0),
+            revertRate: between(s.revertRate, `${at}.revertRate`, 0, 25)
+          };
+        }),
+      maxAnnualOverpayment: atLeast(m.maxAnnualOverpayment, `${where} maxAnnualOverpayment`, 0),
+      allowancePercent: between(m.allowancePercent, `${where} allowancePercent`, 0, 100),
+      allowanceResetMonth: whole(m.allowanceResetMonth, `${where} allowanceResetMonth`, 1, 12),
+      ercPercent: between(m.ercPercent, `${where} ercPercent`, 0, 100),
+      ercEndMonth: whole(m.ercEndMonth, `${where} ercEndMonth`, 0),
+      payErc: flag(m.payErc, `${where} payErc`, false),
+      recalculation: choice(m.recalculation, `${where} recalculation`, RECALCULATION_MODES),
+      interestMethod: choice(m.interestMethod, `${where} interestMethod`, INTEREST_METHODS),
+      startDate: missing(m.startDate) ? startDate : date(m.startDate, `${where} startDate`),
+      paymentDay: whole(m.paymentDay, `${where} paymentDay`, 1, 31),
+      repaymentType,
+      interestOnlyPercent: between(m.interestOnlyPercent, `${where} interestOnlyPercent`, 0, 100),
+      offsetSavings: atLeast(m.offsetSavings, `${where} offsetSavings`, 0),
+      offsetContribution: atLeast(m.offsetContribution, `${where} offsetContribution`, 0)
+    };
+  });
+
+  const strategy = missing(raw.strategy)
+    ? "avalanche"
+    : String(raw.strategy).trim();
+
+  if (!ALLOCATION_STRATEGIES[strategy]) {
+    errors.push(`${label}: unknown strategy "${strategy}" (one of ${Object.keys(ALLOCATION_STRATEGIES).join(", ")}).`);
+  }
+
+  const mortgageIndex = (value, what, rule = "must be") =>
+    number(value, what, n => Number.isInteger(n) && n >= 0 && n < count,
+      `${rule} a mortgage index from 0 to ${count - 1}`);
+
+  let strategyOptions;
+
+  if (!missing(raw.strategyOptions) &&
+    object(raw.strategyOptions, `${label} strategyOptions`, ["priority", "split"])) {
+
+    const perMortgage = (value, what, convert) => {
+      if (missing(value)) return undefined;
+      if (!Array.isArray(value)) {
+        errors.push(`${what} must be a list (got ${JSON.stringify(value)}).`);
+        return undefined;
+      }
+      if (value.length > count) errors.push(`${what} has more entries than there are mortgages.`);
+      return value.map((x, k) => convert(x, `${what}[${k + 1}]`));
+    };
+
+    strategyOptions = {
+      priority: perMortgage(raw.strategyOptions.priority, `${label} strategyOptions.priority`, mortgageIndex),
+      split: perMortgage(raw.strategyOptions.split, `${label} strategyOptions.split`,
+        (x, what) => between(x, what, 0, 100))
+    };
+  }
+
+  const lumpSums = list(raw.lumpSums, `${label} lumpSums`, ["month", "amount", "source"], (l, at) => {
+    required(l.month, `${at}.month`);
+    required(l.amount, `${at}.amount`);
+    return {
+      month: whole(l.month, `${at}.month`, 1),
+      amount: atLeast(l.amount, `${at}.amount`, 0.01),
+      source: missing(l.source) || l.source === "pooled"
+        ? "pooled"
+        : mortgageIndex(l.source, `${at}.source`, 'must be "pooled" or')
+    };
+  });
+
+  const scenario = {
+    name: raw.name ? String(raw.name) : `Scenario ${index + 1}`,
+    label,
+    names: mortgages.map((m, i) => (m && m.name) || `Mortgage ${i + 1}`),
+    loans,
+    options: {
+      redirectScheduled: flag(raw.redirectScheduled, `${label} redirectScheduled`),
+      redirectExtra: flag(raw.redirectExtra, `${label} redirectExtra`),
+      strategy,
+      strategyOptions,
+      lumpSums,
+      excessTo: choice(raw.excessTo, `${label} excessTo`, ["mortgages", "savings"]),
+      offsetRouting: choice(raw.offsetRouting, `${label} offsetRouting`, OFFSET_ROUTINGS),
+      inflationRate: between(raw.inflationRate, `${label} inflationRate`, -10, 50),
+      discountRate: between(raw.discountRate, `${label} discountRate`, -10, 50)
+    }
+  };
+
+  return { scenario: errors.length ? null : scenario, errors };
+}
+
+/* =====================================================
+   Running
+===================================================== */
+
+/*
+  runScenario(scenario)
+
+  The three runs for one scenario. Engine errors (e.g. a
+  payment that does not cover the interest) are thrown
+  with the scenario's label.
+*/
+function runScenario(scenario) {
+
+  try {
+
+    const result = calculateCascadeMulti(scenario.loans, scenario.options);
+
+    const noOverpay = calculateCascadeMulti(
+      scenario.loans.map(loan => ({ ...loan, extra: 0 })),
+      { ...scenario.options, redirectScheduled: false, redirectExtra: false, lumpSums: [] }
+    );
+
+    return { scenario, result, noOverpay };
+
+  } catch (err) {
+    throw new Error(`${scenario.label}: ${err.message}`);
+  }
+}
+
+/*
+  summaryRow(run)
+
+  One line of the summary table.
+*/
+function summaryRow({ scenario, result, noOverpay }) {
+
+  const plan = run => ({
+    interest: run.interest,
+    months: run.months,
+    date: run.dates[run.months]
+  });
+
+  const combined = plan(result.cascade);
+  const separate = plan(result.baseline);
+  const contractual = plan(noOverpay.baseline);
+
+  return {
+    scenario: scenario.name,
+    mortgages: scenario.loans.length,
+    strategy: scenario.options.strategy,
+    combined_interest: combined.interest,
+    combined_months: combined.months,
+    combined_free: combined.date,
+    separate_interest: separate.interest,
+    separate_months: separate.months,
+    separate_free: separate.date,
+    no_overpay_interest: contractual.interest,
+    no_overpay_months: contractual.months,
+    no_overpay_free: contractual.date,
+    saved_vs_separate: result.interestSaved,
+    months_saved_vs_separate: result.monthsSaved,
+    saved_vs_no_overpay: Math.round((contractual.interest - combined.interest) * 100) / 100
+  };
+}
+
+/* =====================================================
+   Output
+===================================================== */
+
+/*
+  recordsToRows(records)
+
+  Records (objects with the same keys) as a header row
+  and one row each, for toCsv in engine.js.
+*/
+function recordsToRows(records) {
+  const keys = Object.keys(records[0]);
+  return [keys, ...records.map(r => keys.map(k => r[k]))];
+}
+
+/*
+  rowsToRecords(rows)
+
+  The reverse: a header row and rows as objects keyed by
+  the header (a schedule as JSON).
+*/
+function rowsToRecords([header, ...rows]) {
+  return rows.map(row => Object.fromEntries(header.map((key, c) => [key, row[c]])));
+}
+
+/*
+  toTable(records)
+
+  Records as an aligned plain-text table for the terminal.
+*/
+function toTable(records) {
+
+  const keys = Object.keys(records[0]);
+  const text = value => typeof value === "number"
+    ? value.toLocaleString("en-GB", { maximumFractionDigits: 2 })
+    : String(value);
+
+  const rows = [keys, ...records.map(r => keys.map(k => text(r[k])))];
+  const widths = keys.map((_, c) => Math.max(...rows.map(row => row[c].length)));
+
+  return rows
+    .map(row => row.map((x, c) => c < 3 ? x.padEnd(widths[c]) : x.padStart(widths[c])).join("  "))
+    .join("\n") + "\n";
+}
+
+/*
+  fileName(name, index)
+
+  A safe, unique file name for a scenario's schedule.
+*/
+function fileName(name, index) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  return `${String(index + 1).padStart(3, "0")}-${slug || "scenario"}`;
+}
+
+/* =====================================================
+   Main
+===================================================== */
+
+function main(argv) {
+
+  let args;
+
+  try {
+    args = parseArgs(argv);
+  } catch (err) {
+    console.error(err.message);
+    console.error(USAGE);
+    return 2;
+  }
+
+  let raw;
+
+  try {
+    raw = readScenarios(args.input);
+  } catch (err) {
+    console.error(err.code === "ENOENT" ? `Cannot read ${args.input}.` : err.message);
+    return 1;
+  }
+
+  const checked = raw.map((r, index) => validateScenario(r, index, args.startDate));
+  const errors = checked.flatMap(c => c.errors);
+
+  if (raw.length === 0) errors.push("No scenarios found.");
+
+  if (errors.length > 0) {
+    errors.forEach(e => console.error(e));
+    return 1;
+  }
+
+  const runs = checked.map(c => {
+    try {
+      return runScenario(c.scenario);
+    } catch (err) {
+      errors.push(err.message);
+      return null;
+    }
+  });
+
+  if (errors.length > 0) {
+    errors.forEach(e => console.error(e));
+    return 1;
+  }
+
+  const summary = runs.map(summaryRow);
+
+  if (!args.out) {
+    process.stdout.write(toTable(summary));
+  } else if (path.extname(args.out).toLowerCase() === ".json") {
+    fs.writeFileSync(args.out, JSON.stringify(summary, null, 2) + "\n");
+  } else {
+    fs.writeFileSync(args.out, toCsv(recordsToRows(summary)));
+  }
+
+  if (args.schedules) {
+
+    fs.mkdirSync(args.schedules, { recursive: true });
+
+    runs.forEach((run, index) => {
+
+      // The same table as the page's CSV download
+      const rows = planScheduleRows(run.result, run.scenario.names);
+
+      const file = path.join(args.schedules, fileName(run.scenario.name, index));
+
+      if (args.scheduleFormat === "json") {
+        fs.writeFileSync(file + ".json", JSON.stringify(rowsToRecords(rows), null, 2) + "\n");
+      } else {
+        fs.writeFileSync(file + ".csv", toCsv(rows));
+      }
+    });
+  }
+
+  return 0;
+}
+
+/* =====================================================
+   Tests
+===================================================== */
+
+if (DEV_MODE) {
+  runCliTest();
+}
+
+function runCliTest() {
+  console.log("Running batch runner test...");
+
+  const os = require("os");
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cli-test-"));
+  const file = (name, text) => {
+    fs.writeFileSync(path.join(dir, name), text);
+    return path.join(dir, name);
+  };
+
+  // main with stderr captured: { code, lines }
+  const run = argv => {
+    const lines = [];
+    const error = console.error;
+    console.error = (...args) => lines.push(args.join(" "));
+    try {
+      return { code: main(argv), lines };
+    } finally {
+      console.error = error;
+    }
+  };
+
+  try {
+
+    const cells = parseCsv('a,"b, c","say ""hi"""\r\n\r\n1,"two\nlines",3');
+    const csv = file("ok.csv",
+      "Scenario,Name,Balance,Rate,Years,Extra,Start_Date,Strategy\n" +
+      "\"Smith, J\",Home,180000,4.5,25,200,,snowball\n" +
+      "\"Smith, J\",Flat,90000,5.2,15,,2026-03-15,\n" +
+      "Jones,,250000,3.9,30,100,,\n");
+    const grouped = scenariosFromCsv(fs.readFileSync(csv, "utf8"));
+
+    const json = file("ok.json", JSON.stringify({ scenarios: [{
+      name: "A", redirectExtra: "no", lumpSums: [{ month: 12, amount: 5000, source: 1 }],
+      mortgages: [
+        { balance: 100000, rate: 4, years: 20, startDate: "2026-01-01", extra: { amount: 100, escalation: 3 } },
+        { balance: 50000, rate: 6, months: 120, startDate: "2026-01-01" }
+      ]
+    }] }));
+
+    const bad = file("bad.json", JSON.stringify([
+      { name: "a", mortgages: [{ balance: 1000, rate: 3, years: 5, extra: { amount: "abc" } }] },
+      { name: "b", mortgages: [{ balance: 1000, rate: 3, years: 5, startDate: "garbage" }] },
+      { name: "c", lumpSums: "x", excesTo: "savings", mortgages: [{ balance: 1000, rate: 3, years: 5 }] },
+      { name: "d", mortgages: [{ balance: 1000, rate: 3, years: 5, fixEnd: 24 }] }
+    ]));
+
+    const out = path.join(dir, "summary.json");
+    const schedules = path.join(dir, "schedules");
+
+    const ok = run([csv, "--start-date", "2026-01-01", "--out", out, "--schedules", schedules]);
+    const summary = ok.code === 0 ? JSON.parse(fs.readFileSync(out, "utf8")) : [];
+    const written = ok.code === 0 ? fs.readdirSync(schedules).sort().join(",") : "";
+
+    // Smith's flat keeps its own start date (paid off last, on the 15th);
+    // the same file gives the same output on another run
+    const again = run([csv, "--start-date", "2026-01-01", "--out", path.join(dir, "again.json")]);
+    const same = again.code === 0 &&
+      fs.readFileSync(path.join(dir, "again.json"), "utf8") === fs.readFileSync(out, "utf8");
+
+    const fromJson = run([json, "--out", path.join(dir, "json.csv")]);
+
+    const invalid = run([bad, "--out", path.join(dir, "bad.csv")]);
+    const undated = run([csv, "--out", path.join(dir, "undated.csv")]);
+
+    const usage = [[], [csv, "--start-date", "2026-02-30"], [csv, "--verbose"], [csv, "--out", "x.txt"]]
+      .map(argv => run(argv).code);
+
+    if (JSON.stringify(cells) !== JSON.stringify([["a", "b, c", 'say "hi"'], ["1", "two\nlines", "3"]]) ||
+        grouped.length !== 2 || grouped[0].name !== "Smith, J" || grouped[0].mortgages.length !== 2 ||
+        grouped[0].strategy !== "snowball" || grouped[0].mortgages[1].startDate !== "2026-03-15") {
+      console.error("ERROR: CSV scenarios read wrong", cells, grouped);
+    } else if (ok.code !== 0 || summary.length !== 2 ||
+        summary[0].combined_free.slice(8) !== "15" || summary[1].combined_free.slice(8) !== "01" ||
+        written !== "001-smith-j.csv,002-jones.csv" || !same) {
+      console.error("ERROR: Batch run wrong", ok, summary, written);
+    } else if (fromJson.code !== 0) {
+      console.error("ERROR: JSON scenarios rejected", fromJson.lines);
+    } else if (invalid.code !== 1 || fs.existsSync(path.join(dir, "bad.csv")) ||
+        !["extra.amount", "startDate", "lumpSums", "excesTo", "fixEnd"].every(f => invalid.lines.some(l => l.includes(f))) ||
+        undated.code !== 1 || undated.lines.length !== 2) {
+      console.error("ERROR: Invalid scenarios not reported", invalid.lines, undated.lines);
+    } else if (usage.some(code => code !== 2)) {
+      console.error("ERROR: Bad options not a usage error", usage);
+    } else {
+      console.log("PASS: Batch runner reads, checks and writes scenarios");
+    }
+
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseCsv, readScenarios, validateScenario, runScenario, summaryRow };
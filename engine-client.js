@@ -0,0 +1,223 @@
+/*
+  =====================================================
+  Engine Client
+  =====================================================
+
+  Promise-based access to engine.js for app.js.
+
+  Requests run in a Web Worker (engine-worker.js) so long
+  analyses (optimiser, rate paths, stress test, sensitivity)
+  don't freeze the page. Where there are no workers (an old
+  browser, or the page opened from file://) they run on the
+  page instead, one per tick, through the same promises.
+
+  It does NOT:
+    - Contain financial logic (engine.js)
+    - Read inputs or render (app.js)
+*/
+
+/*
+  withProgressOption(args, onProgress)
+
+  The arguments with onProgress added to the options
+  argument (the last plain object), see reportProgress in
+  engine.js. Used here for the fallback and by the worker.
+*/
+function withProgressOption(args, onProgress) {
+
+  const last = args[args.length - 1];
+
+  if (!last || typeof last !== "object" || Array.isArray(last)) return args;
+
+  return [...args.slice(0, -1), { ...last, onProgress }];
+}
+
+/*
+  createEngineClient(workerUrl)
+
+  engine.run(task, args, { channel, onProgress })
+    Runs the engine function named `task` with `args`
+    (structured-clone safe: no functions). Resolves to its
+    result, rejects with its error. Requests run one at a
+    time, in order.
+
+    channel     groups requests: engine.cancel(channel)
+                rejects every queued or running request on
+                it (a running one in the worker is stopped
+                by terminating the worker)
+    onProgress  (done, total) for analyses that report it
+
+  engine.cancel(channel)
+
+  engine.isCancelled(error) → true for a cancelled request
+*/
+function createEngineClient(workerUrl) {
+
+  let useWorker = typeof Worker !== "undefined";
+  let worker = null;
+
+  const queue = [];
+  let running = null;
+  let nextId = 1;
+
+  const cancelledError = () => {
+    const error = new Error("Engine request cancelled.");
+    error.cancelled = true;
+    return error;
+  };
+
+  function finish(request, error, result) {
+
+    if (running !== request) return;
+
+    running = null;
+
+    if (error) request.reject(error);
+    else request.resolve(result);
+
+    next();
+  }
+
+  function startWorker() {
+
+    try {
+      worker = new Worker(workerUrl);
+    } catch (err) {
+      // e.g. a page opened from file://
+      useWorker = false;
+      return;
+    }
+
+    worker.onmessage = event => {
+
+      const message = event.data;
+      const request = running;
+
+      if (!request || message.id !== request.id) return;
+
+      if (message.type === "progress") {
+        if (request.onProgress) request.onProgress(message.done, message.total);
+        return;
+      }
+
+      if (message.type === "error") finish(request, new Error(message.message));
+      else finish(request, null, message.result);
+    };
+
+    // The worker script itself failed: run everything on the page
+    worker.onerror = event => {
+
+      event.preventDefault();
+      worker.terminate();
+      worker = null;
+      useWorker = false;
+
+      if (running) {
+        queue.unshift(running);
+        running = null;
+      }
+
+      next();
+    };
+  }
+
+  function runHere(request) {
+
+    const fn = globalThis[request.task];
+
+    if (typeof fn !== "function") {
+      finish(request, new Error("Unknown engine task: " + request.task));
+      return;
+    }
+
+    try {
+      const args = request.onProgress
+        ? withProgressOption(request.args, request.onProgress)
+        : request.args;
+
+      finish(request, null, fn(...args));
+    } catch (err) {
+      finish(request, err);
+    }
+  }
+
+  function next() {
+
+    if (running || queue.length === 0) return;
+
+    if (useWorker && !worker) startWorker();
+
+    const request = queue.shift();
+    running = request;
+
+    if (!useWorker) {
+      // Let the page repaint (and inputs cancel) between requests
+      setTimeout(() => {
+        if (running === request) runHere(request);
+      }, 0);
+      return;
+    }
+
+    try {
+      worker.postMessage({
+        id: request.id,
+        task: request.task,
+        args: request.args,
+        progress: !!request.onProgress
+      });
+    } catch (err) {
+      finish(request, err);
+    }
+  }
+
+  function run(task, args = [], options = {}) {
+    return new Promise((resolve, reject) => {
+
+      queue.push({
+        id: nextId++,
+        task,
+        args,
+        channel: options.channel || null,
+        onProgress: options.onProgress || null,
+        resolve,
+        reject
+      });
+
+      next();
+    });
+  }
+
+  function cancel(channel) {
+
+    for (let k = queue.length - 1; k >= 0; k--) {
+      if (queue[k].channel === channel) {
+        queue.splice(k, 1)[0].reject(cancelledError());
+      }
+    }
+
+    if (running && running.channel === channel) {
+
+      const request = running;
+      running = null;
+
+      // A synchronous engine call can only be stopped by stopping the worker
+      if (worker) {
+        worker.terminate();
+        worker = null;
+      }
+
+      request.reject(cancelledError());
+    }
+
+    next();
+  }
+
+  return {
+    run,
+    cancel,
+    isCancelled: error => !!(error && error.cancelled)
+  };
+}
+
+globalThis.createEngineClient = createEngineClient;
+globalThis.withProgressOption = withProgressOption;
@@ -0,0 +1,62 @@
+/*
+  =====================================================
+  Engine Worker
+  =====================================================
+
+  Runs engine.js off the main thread for engine-client.js.
+
+  Message in:
+    { id, task, args, progress }
+      task      an engine function in ENGINE_TASKS
+      args      its arguments
+      progress  true → the options argument gets an
+                onProgress that reports back
+
+  Messages out:
+    { id, type: "progress", done, total }
+    { id, type: "result", result }
+    { id, type: "error", message }
+
+  engine-client.js sends one request at a time and cancels
+  a running one by terminating this worker.
+*/
+
+importScripts("engine.js", "engine-client.js");
+
+/*
+  ENGINE_TASKS
+
+  The engine functions app.js may run here.
+*/
+const ENGINE_TASKS = [
+  "calculateCascadeMulti",
+  "optimiseAllocation",
+  "compareOffsetRouting",
+  "compareInvesting",
+  "simulateRatePaths",
+  "stressTestRates",
+  "analyseSensitivity",
+  "solveOverpayment",
+  "solveMortgageFreeDate"
+];
+
+self.onmessage = event => {
+
+  const { id, task, args, progress } = event.data;
+
+  try {
+
+    if (!ENGINE_TASKS.includes(task))
+      throw new Error("Unknown engine task: " + task);
+
+    const onProgress = (done, total) =>
+      self.postMessage({ id, type: "progress", done, total });
+
+    const result = self[task](...(progress ? withProgressOption(args, onProgress) : args));
+
+    self.postMessage({ id, type: "result", result });
+
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err.message });
+  }
+};
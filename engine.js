@@ -27,1041 +27,5281 @@ const DEV_MODE = false;
     Rounds a number to 2 decimal places.
 
   To avoid floating point drift, and inacurries over long time scale calcuations.
+  Same rule as toPence: half a penny rounds away from zero.
 
   Example:
     10.999999 → 11.00
 */
 function roundMoney(n) {
-  return Math.round(n * 100) / 100;
+  return toPence(n) / 100;
 }
 
 /*
-  clamp(n, min, max)
+  toPence(n) / fromPence(pence)
 
-  Ensures a number stays within bounds.
-  Used during input normalisation.
+  Pounds to whole pence and back. Only the overpayment
+  pool (its allocations and where each overpayment came
+  from) is counted in integer pence, so it adds up exactly.
+  Balances and interest stay in pounds, rounded to the
+  penny at every step (see roundMoney).
+
+  Rounding rule: to the nearest penny, half a penny away
+  from zero. The tiny nudge stops a float just under the
+  half (1.005 is stored as 1.00499999...) rounding down.
+
+  Example:
+    toPence(1.005)  → 101
+    toPence(-2.345) → -235
 */
-function clamp(n, min, max) {
-  return Math.min(Math.max(n, min), max);
+function toPence(n) {
+  return n < 0 ? -Math.round(-n * 100 + 1e-7) : Math.round(n * 100 + 1e-7);
 }
 
-
-/* =====================================================
-   Normalisation
-===================================================== */
+function fromPence(pence) {
+  return pence / 100;
+}
 
 /*
-  normaliseMortgage(m)
+  apportionPence(total, weights)
 
-  Purpose:
-    Normalises input values to ensure valid ranges.
+  Splits `total` whole pence in proportion to `weights`
+  (largest remainder method): each share is rounded down,
+  then the pence left go one each to the largest
+  remainders (ties to the first). The shares always add
+  up to total exactly.
 
-  Ensures:
-    - Balance ≥ 1
-    - Rate between 0–25%
-    - Months ≥ 1
+  No positive weight → every share is 0.
+
+  Example:
+    apportionPence(100, [1, 1, 1]) → [34, 33, 33]
 */
-function normaliseMortgage(m) {
-  return {
-    balance: roundMoney(clamp(m.balance || 0, 1, 100000000)),
-    rate: clamp(m.rate || 0, 0, 25),
-    months: Math.max(1, Math.floor(m.months || 1))
-  };
-}
+function apportionPence(total, weights) {
 
-/*
-  normaliseExtra(extra)
+  const positive = weights.map(w => Math.max(0, Number(w) || 0));
+  const sum = positive.reduce((t, w) => t + w, 0);
 
-  Ensures extra payment:
-    - ≥ 0
-    - ≤ 1,000,000
-*/
-function normaliseExtra(extra) {
-  return roundMoney(clamp(extra || 0, 0, 1000000));
-}
+  if (sum <= 0 || total === 0) return weights.map(() => 0);
 
+  // One source (the usual case) takes it all
+  const only = positive.filter(w => w > 0).length === 1 ? positive.findIndex(w => w > 0) : -1;
+  if (only >= 0) return positive.map((_, i) => i === only ? total : 0);
 
-/* =====================================================
-   Core Maths
-===================================================== */
+  const exact = positive.map(w => total * w / sum);
+  const shares = exact.map(x => Math.floor(x));
 
-/*
-  monthlyPayment(principal, annualRate, totalMonths)
+  const byRemainder = exact
+    .map((x, i) => ({ i, remainder: x - shares[i] }))
+    .sort((a, b) => b.remainder - a.remainder || a.i - b.i);
 
-  Standard amortisation formula.
+  let left = total - shares.reduce((t, x) => t + x, 0);
 
-  Returns the REQUIRED monthly payment to:
-    - Pay loan off in exactly totalMonths
-    - Including interest
+  // Float error can leave one penny too many or too few
+  for (let k = 0; left > 0; k = (k + 1) % byRemainder.length, left--) {
+    shares[byRemainder[k].i]++;
+  }
 
-  Implements the standard amortisation formula.
-*/
-function monthlyPayment(principal, annualRate, totalMonths) {
-  if (annualRate === 0) return principal / totalMonths;
+  for (let k = byRemainder.length - 1; left < 0; k = (k - 1 + byRemainder.length) % byRemainder.length) {
+    const i = byRemainder[k].i;
+    if (shares[i] > 0 && positive[i] > 0) {
+      shares[i]--;
+      left++;
+    }
+  }
 
-  const r = annualRate / 100 / 12;
+  return shares;
+}
 
-  return (
-    principal *
-    (r * Math.pow(1 + r, totalMonths)) /
-    (Math.pow(1 + r, totalMonths) - 1)
-  );
+/*
+  reportProgress(options, done, total)
+
+  Calls options.onProgress(done, total), if given, so the
+  long analyses (optimiser, rate paths, stress test,
+  sensitivity) can say how far they have got.
+*/
+function reportProgress(options, done, total) {
+  if (options && typeof options.onProgress === "function") {
+    options.onProgress(done, total);
+  }
 }
 
 /*
-  computeScheduledPayment(m)
+  clamp(n, min, max)
 
-  Wraps monthlyPayment and ensures:
-    - Payment > first month's interest
-    - Prevents negative amortisation
+  Ensures a number stays within bounds.
+  Used during input normalisation.
 */
-function computeScheduledPayment(m) {
+function clamp(n, min, max) {
+  return Math.min(Math.max(n, min), max);
+}
 
-  let scheduled = monthlyPayment(m.balance, m.rate, m.months);
-scheduled = roundMoney(scheduled);
+/*
+  monthIndex(date)
 
-// Ensure at least 1p payment
-if (scheduled < 0.01) {
-  scheduled = 0.01;
+  Calendar month of a UTC date as one number
+  (year × 12 + month), so months can be counted:
+    monthIndex(March 2026) − monthIndex(January 2026) = 2
+*/
+function monthIndex(date) {
+  return date.getUTCFullYear() * 12 + date.getUTCMonth();
 }
 
-  if (m.rate > 0) {
-    const r = m.rate / 100 / 12;
-    const firstInterest = roundMoney(m.balance * r);
+/*
+  dayInMonth(index, day)
 
-    if (scheduled <= firstInterest) {
-      scheduled = roundMoney(firstInterest + 0.01);
-    }
-  }
+  The given day of a calendar month (see monthIndex),
+  moved back to the last day of shorter months:
+    day 31 of February 2024 → 29 Feb 2024
+*/
+function dayInMonth(index, day) {
 
-  return scheduled;
+  const year = Math.floor(index / 12);
+  const month = index - year * 12;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return new Date(Date.UTC(year, month, Math.min(day, lastDay)));
 }
 
+/*
+  isoDate(date)
 
-/* =====================================================
-   Single Mortgage Simulation
-===================================================== */
+  "YYYY-MM-DD" for a UTC date (how dates are returned).
+*/
+function isoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
 
 /*
-  simulateSingle(m, extra)
+  daysBetween(from, to)
 
-  Simulates ONE mortgage month-by-month.
+  Whole days from one UTC date to another.
+*/
+function daysBetween(from, to) {
+  return Math.round((to - from) / 86400000);
+}
 
-  Each month:
-    1. Interest accrues
-    2. Scheduled payment reduces principal
-    3. Extra reduces principal further
+/*
+  createRandom(seed)
 
-  Returns:
-    - months to clear
-    - total interest paid
-    - balance progression array
+  Seeded pseudo-random numbers (mulberry32), so a
+  simulation can be repeated exactly:
+    random.next()   → uniform in [0, 1)
+    random.normal() → standard normal (Box–Muller)
 */
-function simulateSingle(m, extra) {
+function createRandom(seed) {
 
-  let balance = m.balance;
-  const r = m.rate / 100 / 12;
-  const scheduled = computeScheduledPayment(m);
-
-  let months = 0;
-  let interestTotal = 0;  
+  let state = (Math.floor(Number(seed)) || 0) >>> 0;
 
-  const balances = [balance];
-  const MAX_MONTHS = 1000 * 12;
+  const random = {
 
-  while (balance > 0 && months < MAX_MONTHS) {
+    next() {
+      state = (state + 0x6D2B79F5) >>> 0;
 
-    const interest = roundMoney(balance * r);
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
 
-    let principal = roundMoney(scheduled - interest);
-    if (principal < 0) principal = 0;
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
 
-    const totalPayment = roundMoney(principal + extra);
+    normal() {
+      const u = 1 - random.next();
+      const v = random.next();
 
-    if (totalPayment >= balance) {
-      interestTotal = roundMoney(interestTotal + interest);
-      balance = 0;
-      months++;
-      balances.push(0);
-      break;
+      return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
     }
+  };
 
-    balance = roundMoney(balance - totalPayment);
-    interestTotal = roundMoney(interestTotal + interest);
-    months++;
+  return random;
+}
 
-    balances.push(balance);
-  }
+/*
+  percentile(sorted, p)
 
-  if (months === MAX_MONTHS)
-    throw new Error("Single simulation exceeded safety cap.");
+  The p-th percentile (0–100) of an ascending array,
+  interpolating between neighbours.
+*/
+function percentile(sorted, p) {
 
-  return { months, interest: interestTotal, balances };
+  if (sorted.length === 0) return 0;
+
+  const position = (sorted.length - 1) * p / 100;
+  const below = Math.floor(position);
+  const above = Math.min(below + 1, sorted.length - 1);
+
+  return sorted[below] + (sorted[above] - sorted[below]) * (position - below);
 }
 
 
 /* =====================================================
-   Baseline Simulation
+   Normalisation
 ===================================================== */
 
 /*
-  simulateBaseline(m1, m2, extra1, extra2)
+  normaliseMortgage(m)
 
-  Each mortgage:
-    - Keeps its own overpayment
-    - Never redirects payments
+  Purpose:
+    Normalises input values to ensure valid ranges.
 
-  Returns:
-    - Total interest
-    - Max months of both
-    - Combined balance array
+  Ensures:
+    - Balance ≥ 1
+    - Rate between 0–25%
+    - Months ≥ 1, or derived from a contractual
+      payment (see normaliseTerm)
+    - Valid product switches (see normaliseSwitches)
+    - A rate schedule (see normaliseRateSchedule)
+    - A known recalculation mode (see RECALCULATION_MODES)
+    - A repayment type and balloon (see normaliseRepaymentType)
+    - A known interest method (see INTEREST_METHODS)
+    - A start date and payment day (see normaliseCalendar)
 */
-function simulateBaseline(m1, m2, extra1, extra2) {
-
-  const b1 = simulateSingle(m1, extra1);
-  const b2 = simulateSingle(m2, extra2);
+function normaliseMortgage(m) {
 
-  const maxLen = Math.max(b1.balances.length, b2.balances.length);
-  const balances = [];
+  const switches = normaliseSwitches(m);
+  const rateSchedule = normaliseRateSchedule(m, switches);
+  const balance = roundMoney(clamp(m.balance || 0, 1, 100000000));
+  const repayment = normaliseRepaymentType(m, balance);
 
-  for (let i = 0; i < maxLen; i++) {
-    balances.push(
-      roundMoney(
-        (b1.balances[i] || 0) +
-        (b2.balances[i] || 0)
-      )
-    );
-  }
+  const interestMethod = INTEREST_METHODS.includes(m.interestMethod)
+    ? m.interestMethod
+    : "monthly-rest";
 
   return {
-    months: Math.max(b1.months, b2.months),
-    interest: roundMoney(b1.interest + b2.interest),
-    balances,
-    m1: b1,
-    m2: b2
+    balance,
+    ...repayment,
+    rate: rateSchedule[0].rate,
+    ...normaliseTerm(m, balance, rateSchedule[0].rate, repayment.balloon, interestMethod),
+    rateSchedule,
+    switches,
+    recalculation: RECALCULATION_MODES.includes(m.recalculation)
+      ? m.recalculation
+      : "reduce-term",
+    interestMethod,
+    ...normaliseCalendar(m)
   };
 }
 
+/*
+  normaliseTerm(m, balance, rate, balloon, interestMethod)
 
-/* =====================================================
-   Cascade Simulation
-===================================================== */
+  Purpose:
+    The remaining term, either as given (m.months) or
+    implied by the contractual monthly payment on the
+    statement (m.payment), see remainingTerm.
 
-/*
-  simulateCascade(...)
+  With a payment, that payment is kept as the scheduled
+  payment (until a rate change or recalculation) and the
+  last month pays whatever is left.
 
-  Key differences from baseline:
+  Throws if the payment does not cover the interest, or
+  the mortgage is fully interest-only (its payment says
+  nothing about the term).
 
-  - overpayments are pooled
-  - Voluntary extras are pooled while both active.
-  - After payoff, scheduled payments may enter the pool (depending on toggle).
-  - Strategy determines which mortgage gets extra
-  - Payments can redirect after payoff
+  Returns { months, payment } (payment null if not given).
 */
-function simulateCascade(
-  m1,
-  m2,
-  extra1,
-  extra2,
-  redirectScheduled = true,
-  redirectExtra = true,
-  strategy = "avalanche"
-)
- {
+function normaliseTerm(m, balance, rate, balloon, interestMethod) {
 
-  let b1 = m1.balance;
-  let b2 = m2.balance;
+  const payment = Number(m.payment) > 0 ? roundMoney(m.payment) : null;
 
-  const r1 = m1.rate / 100 / 12;
-  const r2 = m2.rate / 100 / 12;
+  if (payment === null) {
+    return { months: Math.max(1, Math.floor(m.months || 1)), payment };
+  }
 
-  const sched1 = computeScheduledPayment(m1);
-  const sched2 = computeScheduledPayment(m2);
+  if (balloon >= balance)
+    throw new Error("An interest-only mortgage needs its remaining term, not its payment.");
 
-  let months = 0;
-  let interestTotal = 0;
+  const months = remainingTerm(balance, rate, payment, balloon, interestMethod);
 
-    // ===== Yearly tracking =====
-let yearly = [];
-let yearInterest = 0;
-let yearExtra = 0;
-let yearExtraToM1 = 0;
-let yearExtraToM2 = 0;
-let yearFromM1 = 0;
-let yearFromM2 = 0;
+  if (months === null)
+    throw new Error(
+      `A monthly payment of £${payment} does not cover the interest (£${roundMoney(balance * rate / 100 / 12)} a month).`
+    );
 
+  return { months, payment };
+}
 
-  // Attribution tracking
-let m1ExtraPaidToM1 = 0;
-let m1ExtraPaidToM2 = 0;
-let m2ExtraPaidToM1 = 0;
-let m2ExtraPaidToM2 = 0;
+/*
+  INTEREST_METHODS
+
+  How the lender calculates interest:
+    - "monthly-rest" → balance × rate / 12 each month (the default)
+    - "daily"        → balance × rate / 365 for each actual day
+                       in the month (actual/365, so a leap year
+                       has 366 days of interest)
+    - "annual-rest"  → balance at the start of each year of the
+                       loan × rate / 12, so overpayments only cut
+                       interest from the next anniversary
+*/
+const INTEREST_METHODS = [
+  "monthly-rest",
+  "daily",
+  "annual-rest"
+];
 
+/*
+  normaliseCalendar(m)
 
-  const balances = [roundMoney(b1 + b2)];
-  const m1Balances = [roundMoney(b1)];
-  const m2Balances = [roundMoney(b2)];
+  Purpose:
+    When the mortgage's payments fall:
+      m.startDate   date the balance is at and interest runs
+                    from (a Date or "YYYY-MM-DD")
+      m.paymentDay  day of the month payments are taken
 
-  const MAX_MONTHS = 1000 * 12;
+  Month 1 is the first payment day after the start date,
+  and each month runs from one payment day to the next.
+  Short months move the payment to their last day.
 
-  while (months < MAX_MONTHS) {
+  Ensures:
+    - Start date missing / unreadable → today (UTC)
+    - Payment day 1–31 (missing → the start date's day)
 
-    if (b1 <= 0 && b2 <= 0) break;
+  Returns { startDate, paymentDay, firstPayment } where
+  firstPayment is the calendar month (see monthIndex)
+  of payment 1.
+*/
+function normaliseCalendar(m) {
 
-    months++;
+  const parsed = m.startDate instanceof Date ? m.startDate : new Date(m.startDate || NaN);
+  const valid = isFinite(parsed) ? parsed : new Date();
 
-// ===============================
-    
+  const startDate = new Date(Date.UTC(
+    valid.getUTCFullYear(),
+    valid.getUTCMonth(),
+    valid.getUTCDate()
+  ));
 
-const i1 = b1 > 0 ? roundMoney(b1 * r1) : 0;
-const i2 = b2 > 0 ? roundMoney(b2 * r2) : 0;
+  const paymentDay = clamp(Math.floor(m.paymentDay) || startDate.getUTCDate(), 1, 31);
 
-interestTotal = roundMoney(interestTotal + i1 + i2);
-yearInterest = roundMoney(yearInterest + i1 + i2);
+  const firstPayment = dayInMonth(monthIndex(startDate), paymentDay) > startDate
+    ? monthIndex(startDate)
+    : monthIndex(startDate) + 1;
 
-let p1 = b1 > 0 ? roundMoney(sched1 - i1) : 0;
-let p2 = b2 > 0 ? roundMoney(sched2 - i2) : 0;
+  return { startDate, paymentDay, firstPayment };
+}
+
+/*
+  paymentDate(m, month)
+
+  Date of the mortgage's payment in a month of its own
+  schedule (month 0 → the start date).
+*/
+function paymentDate(m, month) {
+  return month === 0
+    ? m.startDate
+    : dayInMonth(m.firstPayment + month - 1, m.paymentDay);
+}
+
+/*
+  createCalendar(loans)
+
+  Lines several mortgages up on one timeline of calendar
+  months. Month 1 is the month of the earliest first
+  payment; a mortgage whose payments start later joins
+  in the month its first payment falls.
+
+  calendar.offsets[i] → months before mortgage i starts
+                        (its month k is timeline month k + offset)
+  calendar.date(k)    → "YYYY-MM-DD" of timeline month k: the last
+                        payment day that month of the mortgages that
+                        have started (0 → earliest start date)
+  calendar.month(d)   → timeline month a date falls in
+*/
+function createCalendar(loans) {
 
-p1 = Math.max(0, Math.min(p1, b1));
-p2 = Math.max(0, Math.min(p2, b2));
+  const first = Math.min(...loans.map(m => m.firstPayment));
+  const offsets = loans.map(m => m.firstPayment - first);
 
-b1 = roundMoney(b1 - p1);
-b2 = roundMoney(b2 - p2);
+  return {
+    offsets,
 
-const m1Cleared = b1 <= 0;
-const m2Cleared = b2 <= 0;
+    month(date) {
+      return monthIndex(date) - first + 1;
+    },
 
-// ===============================
-// Build source contributions explicitly
-// ===============================
+    date(k) {
 
-let fromM1 = 0;
-let fromM2 = 0;
+      if (k === 0) {
+        return isoDate(new Date(Math.min(...loans.map(m => m.startDate))));
+      }
 
-// While both mortgages active → only voluntary extras enter pool
-if (b1 > 0 && b2 > 0) {
-  fromM1 += extra1;
-  fromM2 += extra2;
+      return isoDate(new Date(Math.max(
+        ...loans
+          .filter((_, i) => offsets[i] < k)
+          .map(m => dayInMonth(first + k - 1, m.paymentDay))
+      )));
+    }
+  };
 }
 
-// If M1 cleared
-else if (b1 <= 0 && b2 > 0) {
+/*
+  normaliseRepaymentType(m, balance)
+
+  Purpose:
+    How the mortgage is repaid:
+      m.repaymentType       "repayment" (default), "interest-only"
+                            or "part-and-part"
+      m.interestOnlyPercent part-and-part only: % of the balance
+                            on interest-only terms
+
+  Returns { repaymentType, balloon } where balloon is the
+  interest-only part, still owed at the end of the term.
+*/
+function normaliseRepaymentType(m, balance) {
 
-  // M2 voluntary extra always continues
-  fromM2 += extra2;
+  const repaymentType =
+    m.repaymentType === "interest-only" || m.repaymentType === "part-and-part"
+      ? m.repaymentType
+      : "repayment";
 
-  // M1 extra continues only if redirectExtra enabled
-  if (redirectExtra) {
-    fromM1 += extra1;
-  }
+  const percent = repaymentType === "interest-only"
+    ? 100
+    : repaymentType === "part-and-part"
+      ? clamp(Number(m.interestOnlyPercent) || 0, 0, 100)
+      : 0;
 
-  // M1 scheduled payment redirects only if enabled
-  if (redirectScheduled) {
-    fromM1 += sched1;
-  }
+  return {
+    repaymentType,
+    balloon: roundMoney(balance * percent / 100)
+  };
 }
 
-// If M2 cleared
-else if (b2 <= 0 && b1 > 0) {
+/*
+  RECALCULATION_MODES
+
+  What the lender does after an overpayment:
+    - "reduce-term"                → payment unchanged, loan ends sooner
+    - "reduce-payment-annually"    → payment recalculated over the
+                                     remaining term on each anniversary
+    - "reduce-payment-immediately" → payment recalculated over the
+                                     remaining term the next month
+*/
+const RECALCULATION_MODES = [
+  "reduce-term",
+  "reduce-payment-annually",
+  "reduce-payment-immediately"
+];
 
-  // M1 voluntary extra always continues
-  fromM1 += extra1;
+/*
+  normaliseSwitches(m)
 
-  // M2 extra continues only if redirectExtra enabled
-  if (redirectExtra) {
-    fromM2 += extra2;
-  }
+  Purpose:
+    Normalises scheduled product switches / remortgages:
+      m.switches = [{
+        month,            first month on the new product
+        rate,             new rate
+        months,           new remaining term (blank → keep current end date)
+        fee,              arrangement fee
+        addFeeToBalance,  true → fee added to the loan, false → paid up front
+        fixMonths,        optional: new rate is fixed for this many months…
+        revertRate        …then reverts to this rate
+      }]
 
-  // M2 scheduled payment redirects only if enabled
-  if (redirectScheduled) {
-    fromM2 += sched2;
-  }
+  Ensures:
+    - Month ≥ 1, sorted by month
+    - Rates between 0–25%
+    - Term ≥ 1 month or null
+    - Fee ≥ 0
+*/
+function normaliseSwitches(m) {
+
+  const switches = Array.isArray(m.switches) ? m.switches : [];
+
+  return switches
+    .filter(s => s && s.month >= 1)
+    .map(s => ({
+      month: Math.floor(s.month),
+      rate: clamp(Number(s.rate) || 0, 0, 25),
+      months: s.months >= 1 ? Math.floor(s.months) : null,
+      fee: roundMoney(clamp(Number(s.fee) || 0, 0, 1000000)),
+      addFeeToBalance: !!s.addFeeToBalance,
+      fixMonths: s.fixMonths > 0 ? Math.floor(s.fixMonths) : 0,
+      revertRate:
+        s.revertRate === undefined || s.revertRate === null || s.revertRate === ""
+          ? null
+          : clamp(Number(s.revertRate) || 0, 0, 25)
+    }))
+    .sort((a, b) => a.month - b.month);
 }
 
-let availableExtra = fromM1 + fromM2;
+/*
+  normaliseRateSchedule(m, switches)
 
-// ===============================
-// Apply available extra
-// ===============================
+  Purpose:
+    Builds the list of rate steps for a mortgage:
+      [{ month: 1, rate }, { month, rate }, ...]
 
-if (b1 > 0 && b2 > 0) {
+    A step applies from the start of its month
+    (month 1 = the first simulated month).
 
-  const targetM1 =
-    strategy === "avalanche"
-      ? m1.rate >= m2.rate
-      : b1 <= b2;
+  Accepts either or both of:
+    - m.rateSchedule   [{ month, rate }, ...]
+    - m.fixEndMonth    last month of a fixed rate (m.rate)
+      m.revertRate     rate from the month after (e.g. SVR)
 
-  const totalSource = fromM1 + fromM2;
+  A product switch replaces every step from its month onwards
+  with the new product's rate (and its own reversion, if any).
 
-  if (targetM1) {
+  Ensures:
+    - Sorted by month, one step per month (later input wins)
+    - First step is month 1 (m.rate if not given)
+    - Rates between 0–25%
+*/
+function normaliseRateSchedule(m, switches = []) {
 
-    const used = Math.min(availableExtra, b1);
-    b1 = roundMoney(b1 - used);
+  let steps = [{ month: 1, rate: clamp(m.rate || 0, 0, 25) }];
 
-    yearExtra += used;
-    yearExtraToM1 += used;
+  const input = Array.isArray(m.rateSchedule) ? m.rateSchedule.slice() : [];
 
-    if (totalSource > 0) {
-      const m1Share = used * (fromM1 / totalSource);
-      const m2Share = used * (fromM2 / totalSource);
+  const hasRevertRate =
+    m.revertRate !== undefined && m.revertRate !== null && m.revertRate !== "";
 
-      yearFromM1 += m1Share;
-      yearFromM2 += m2Share;
+  if (m.fixEndMonth > 0 && hasRevertRate) {
+    input.push({ month: Math.floor(m.fixEndMonth) + 1, rate: m.revertRate });
+  }
 
-      m1ExtraPaidToM1 += m1Share;
-      m2ExtraPaidToM1 += m2Share;
-    }
+  input.forEach(step => {
 
-  } else {
+    const month = Math.max(1, Math.floor(step.month || 1));
+    const rate = clamp(Number(step.rate) || 0, 0, 25);
 
-    const used = Math.min(availableExtra, b2);
-    b2 = roundMoney(b2 - used);
+    const existing = steps.find(s => s.month === month);
 
-    yearExtra += used;
-    yearExtraToM2 += used;
+    if (existing) existing.rate = rate;
+    else steps.push({ month, rate });
+  });
 
-    if (totalSource > 0) {
-      const m1Share = used * (fromM1 / totalSource);
-      const m2Share = used * (fromM2 / totalSource);
+  switches.forEach(s => {
 
-      yearFromM1 += m1Share;
-      yearFromM2 += m2Share;
+    steps = steps.filter(step => step.month < s.month);
+    steps.push({ month: s.month, rate: s.rate });
 
-      m1ExtraPaidToM2 += m1Share;
-      m2ExtraPaidToM2 += m2Share;
+    if (s.fixMonths > 0 && s.revertRate !== null) {
+      steps.push({ month: s.month + s.fixMonths, rate: s.revertRate });
     }
-  }
+  });
 
-} else if (b1 > 0) {
+  return steps.sort((a, b) => a.month - b.month);
+}
 
-  const used = Math.min(availableExtra, b1);
-  b1 = roundMoney(b1 - used);
+/*
+  normaliseExtra(extra)
 
-  yearExtra += used;
-  yearExtraToM1 += used;
+  Purpose:
+    Normalises a mortgage's monthly overpayment: either a
+    fixed amount, or a schedule that changes over time:
+      {
+        amount,       from month 1
+        steps,        [{ month, amount }] new amount from month
+        escalation,   % rise every 12 months since the amount
+                      was last set (month 1 or the latest step)
+        pauses        [{ from, to }] no overpayment in these
+                      months (inclusive; to blank → one month)
+      }
 
-  yearFromM1 += fromM1;
-  yearFromM2 += fromM2;
+  Months are the mortgage's own (month 1 = its first payment).
 
-  m1ExtraPaidToM1 += fromM1;
-  m2ExtraPaidToM1 += fromM2;
+  Ensures:
+    - Amounts ≥ 0, ≤ 1,000,000
+    - Steps and pauses start in month ≥ 1, sorted by month
+      (one step per month, later input wins)
+    - Escalation between 0–100%
+    - A pause never ends before it starts
 
-} else if (b2 > 0) {
+  Returns the schedule (see extraInMonth).
+*/
+function normaliseExtra(extra) {
 
-  const used = Math.min(availableExtra, b2);
-  b2 = roundMoney(b2 - used);
+  const amount = x => roundMoney(clamp(Number(x) || 0, 0, 1000000));
 
-  yearExtra += used;
-  yearExtraToM2 += used;
+  if (!extra || typeof extra !== "object") {
+    return { amount: amount(extra), steps: [], escalation: 0, pauses: [] };
+  }
 
-  yearFromM1 += fromM1;
-  yearFromM2 += fromM2;
+  const steps = [];
 
-  m1ExtraPaidToM2 += fromM1;
-  m2ExtraPaidToM2 += fromM2;
-}
+  (Array.isArray(extra.steps) ? extra.steps : [])
+    .filter(step => step && step.month >= 1)
+    .forEach(step => {
 
-b1 = roundMoney(b1);
-b2 = roundMoney(b2);
+      const month = Math.floor(step.month);
+      const existing = steps.find(x => x.month === month);
 
-if (b1 < 0.01) b1 = 0;
-if (b2 < 0.01) b2 = 0;
+      if (existing) existing.amount = amount(step.amount);
+      else steps.push({ month, amount: amount(step.amount) });
+    });
 
+  const pauses = (Array.isArray(extra.pauses) ? extra.pauses : [])
+    .filter(p => p && p.from >= 1)
+    .map(p => ({
+      from: Math.floor(p.from),
+      to: Math.max(Math.floor(p.from), Math.floor(p.to) || 0)
+    }))
+    .sort((a, b) => a.from - b.from);
 
-    balances.push(roundMoney(b1 + b2));
-    m1Balances.push(roundMoney(b1));
-    m2Balances.push(roundMoney(b2));
+  return {
+    amount: amount(extra.amount),
+    steps: steps.sort((a, b) => a.month - b.month),
+    escalation: clamp(Number(extra.escalation) || 0, 0, 100),
+    pauses
+  };
+}
 
-        // ===== End-of-year check =====
-if (months % 12 === 0 || (b1 <= 0 && b2 <= 0)) {
+/*
+  extraInMonth(schedule, month)
 
- yearly.push({
-  year: Math.ceil(months / 12),
-  interest: roundMoney(yearInterest),
-  fromM1: roundMoney(yearFromM1),
-  fromM2: roundMoney(yearFromM2),
-  extraToM1: roundMoney(yearExtraToM1),
-  extraToM2: roundMoney(yearExtraToM2),
-  endBalanceM1: roundMoney(b1),
-  endBalanceM2: roundMoney(b2)
-});
+  The overpayment a normalised schedule (see normaliseExtra)
+  makes in one of the mortgage's months.
 
-  // Reset yearly counters
-  yearInterest = 0;
-  yearExtra = 0;
-  yearExtraToM1 = 0;
-  yearExtraToM2 = 0;
-  yearFromM1 = 0;
-  yearFromM2 = 0;
+  Example:
+    { amount: 500, steps: [{ month: 25, amount: 800 }],
+      escalation: 3, pauses: [{ from: 30, to: 35 }] }
+    month 1–12 → 500, 13–24 → 515, 25–29 → 800,
+    30–35 → 0, 36 → 800, 37 → 824
+*/
+function extraInMonth(schedule, month) {
 
-}
+  if (schedule.pauses.some(p => month >= p.from && month <= p.to)) return 0;
 
-  }
+  let amount = schedule.amount;
+  let since = 1;
 
-  if (months === MAX_MONTHS)
-    throw new Error("Cascade exceeded safety cap.");
+  for (const step of schedule.steps) {
+    if (step.month > month) break;
 
-return {
-  months,
-  interest: roundMoney(interestTotal),
-  balances,
-  m1Balances,
-  m2Balances,
-  yearly,
-  attribution: {
-    m1ExtraPaidToM1: roundMoney(m1ExtraPaidToM1),
-    m1ExtraPaidToM2: roundMoney(m1ExtraPaidToM2),
-    m2ExtraPaidToM1: roundMoney(m2ExtraPaidToM1),
-    m2ExtraPaidToM2: roundMoney(m2ExtraPaidToM2)
+    amount = step.amount;
+    since = step.month;
   }
-};
-}
 
+  const years = Math.floor((month - since) / 12);
 
-/* =====================================================
-   Public API
-===================================================== */
+  return roundMoney(amount * Math.pow(1 + schedule.escalation / 100, years));
+}
 
-function calculateCascade(
-  m1,
-  m2,
-  extra1,
-  extra2,
-  redirectScheduled = true,
-  redirectExtra = true,
-  strategy = "avalanche"
-) {
+/*
+  normaliseLumpSums(lumpSums, count)
 
-  m1 = normaliseMortgage(m1);
-  m2 = normaliseMortgage(m2);
+  One-off overpayments (bonuses, inheritances, ...):
+    [{ month, amount, source }]
 
-  extra1 = normaliseExtra(extra1);
-  extra2 = normaliseExtra(extra2);
+    - month  → month it is paid (month 1 = the first simulated month)
+    - source → index of the mortgage whose money it is,
+               or "pooled" for household money that belongs
+               to no single mortgage (the default)
 
-  const baseline = simulateBaseline(m1, m2, extra1, extra2);
+  Ensures:
+    - Month ≥ 1
+    - Amount > 0, ≤ 10,000,000 (zero amounts are dropped)
+    - Source is a valid mortgage index or "pooled"
+      (anything else is dropped)
+    - Sorted by month
+*/
+function normaliseLumpSums(lumpSums, count) {
+
+  if (!Array.isArray(lumpSums)) return [];
+
+  return lumpSums
+    .filter(l => l && l.month >= 1)
+    .map(l => ({
+      month: Math.floor(l.month),
+      amount: roundMoney(clamp(Number(l.amount) || 0, 0, 10000000)),
+      source:
+        l.source === undefined || l.source === null || l.source === "pooled"
+          ? "pooled"
+          : Number(l.source)
+    }))
+    .filter(l =>
+      l.amount > 0 &&
+      (l.source === "pooled" ||
+        (Number.isInteger(l.source) && l.source >= 0 && l.source < count))
+    )
+    .sort((a, b) => a.month - b.month);
+}
 
-  const cascade = simulateCascade(
-    m1,
-    m2,
-    extra1,
-    extra2,
-    redirectScheduled,
-    redirectExtra,
-    strategy
+/*
+  lumpSumsByMonth(lumpSums)
+
+  Totals a list of lump sums per month:
+    Map(month → amount)
+*/
+function lumpSumsByMonth(lumpSums = []) {
+
+  const byMonth = new Map();
+
+  lumpSums.forEach(l => {
+    byMonth.set(l.month, roundMoney((byMonth.get(l.month) || 0) + l.amount));
+  });
+
+  return byMonth;
+}
+
+/*
+  normaliseAnnualCap(cap)
+
+  Optional limit on overpayments per 12-month period.
+  Missing / blank → null (no limit), otherwise ≥ 0.
+*/
+function normaliseAnnualCap(cap) {
+  if (cap === null || cap === undefined || cap === "" || !isFinite(cap))
+    return null;
+
+  return roundMoney(clamp(Number(cap), 0, 100000000));
+}
+
+/*
+  normaliseAllowance(loan)
+
+  Purpose:
+    Normalises a mortgage's penalty-free overpayment
+    allowance and early repayment charge (ERC):
+      loan.maxAnnualOverpayment  limit per allowance year (£)
+      loan.allowancePercent      limit as % of the balance at the
+                                 start of each allowance year
+      loan.allowanceResetMonth   month the allowance year starts
+                                 (1–12, i.e. the loan anniversary)
+      loan.ercPercent            ERC on overpayments above the allowance
+      loan.ercEndMonth           last month the allowance applies
+                                 (blank → the whole term)
+      loan.payErc                true  → overpay above the allowance
+                                         and pay the ERC
+                                 false → never exceed the allowance
+
+  If both limits are given the lower one applies.
+
+  Returns null when the mortgage has no limit.
+*/
+function normaliseAllowance(loan) {
+
+  const amount = normaliseAnnualCap(loan.maxAnnualOverpayment);
+
+  const percent =
+    loan.allowancePercent === undefined || loan.allowancePercent === null ||
+    loan.allowancePercent === "" || !isFinite(loan.allowancePercent)
+      ? null
+      : clamp(Number(loan.allowancePercent), 0, 100);
+
+  if (amount === null && percent === null) return null;
+
+  return {
+    amount,
+    percent,
+    resetMonth: clamp(Math.floor(loan.allowanceResetMonth) || 1, 1, 12),
+    ercPercent: clamp(Number(loan.ercPercent) || 0, 0, 100),
+    ercEndMonth: loan.ercEndMonth >= 0 && loan.ercEndMonth !== null &&
+      loan.ercEndMonth !== ""
+      ? Math.floor(loan.ercEndMonth)
+      : null,
+    payErc: !!loan.payErc
+  };
+}
+
+/*
+  normaliseOffset(loan)
+
+  Purpose:
+    Normalises the savings pot linked to an offset mortgage:
+      loan.offsetSavings       savings in the pot today
+      loan.offsetContribution  saved into the pot each month
+                               (while the mortgage is active)
+
+  Interest is charged on the balance minus the pot.
+
+  Ensures:
+    - Savings between £0 – £100,000,000
+    - Contribution between £0 – £1,000,000
+
+  Returns null when the mortgage has no offset.
+*/
+function normaliseOffset(loan) {
+
+  const blank = x => x === undefined || x === null || x === "" || !isFinite(x);
+
+  if (blank(loan.offsetSavings) && blank(loan.offsetContribution)) return null;
+
+  return {
+    savings: roundMoney(clamp(Number(loan.offsetSavings) || 0, 0, 100000000)),
+    contribution: roundMoney(clamp(Number(loan.offsetContribution) || 0, 0, 1000000))
+  };
+}
+
+/*
+  OFFSET_ROUTINGS
+
+  Where pooled extra paid to an offset mortgage goes:
+    - "overpay" → reduces the balance (the default)
+    - "offset"  → saved in the mortgage's offset pot
+*/
+const OFFSET_ROUTINGS = ["overpay", "offset"];
+
+/*
+  normaliseLoan(loan)
+
+  Normalises one entry of the loans array passed to
+  calculateCascadeMulti: the mortgage itself plus its
+  own monthly overpayment (loan.extra, a fixed amount
+  or a schedule, see normaliseExtra), optional
+  overpayment allowance (see normaliseAllowance) and
+  optional offset pot (see normaliseOffset).
+*/
+function normaliseLoan(loan) {
+  return {
+    ...normaliseMortgage(loan),
+    extra: normaliseExtra(loan.extra),
+    maxAnnualOverpayment: normaliseAnnualCap(loan.maxAnnualOverpayment),
+    allowance: normaliseAllowance(loan),
+    offset: normaliseOffset(loan)
+  };
+}
+
+
+/* =====================================================
+   Core Maths
+===================================================== */
+
+/*
+  monthlyPayment(principal, annualRate, totalMonths, balloon)
+
+  Standard amortisation formula.
+
+  Returns the REQUIRED monthly payment to:
+    - Pay loan off in exactly totalMonths
+      (down to `balloon`, if part of it is interest-only)
+    - Including interest
+
+  Implements the standard amortisation formula.
+  balloon = principal gives an interest-only payment.
+*/
+function monthlyPayment(principal, annualRate, totalMonths, balloon = 0) {
+  if (annualRate === 0) return (principal - balloon) / totalMonths;
+
+  const r = annualRate / 100 / 12;
+  const growth = Math.pow(1 + r, totalMonths);
+
+  return (
+    (principal - balloon / growth) *
+    (r * growth) /
+    (growth - 1)
   );
+}
 
-  const rawMonthsSaved = baseline.months - cascade.months;
-  const rawInterestSaved = roundMoney(
-    baseline.interest - cascade.interest
+/*
+  remainingTerm(principal, annualRate, payment, balloon, interestMethod)
+
+  The inverse of monthlyPayment: how many payments of
+  `payment` repay the loan (down to `balloon`). A part
+  payment is rounded up to one more month, the last
+  payment being smaller. A remainder under 1% of a
+  payment is taken as the payment having been rounded
+  to the penny and does not add a month.
+
+  Annual-rest loans use the yearly formula (see
+  annualRestPayment); daily interest is treated as
+  monthly.
+
+  Returns null if the payment does not cover the
+  interest (the loan would never be repaid).
+*/
+function remainingTerm(principal, annualRate, payment, balloon = 0, interestMethod = "monthly-rest") {
+
+  const owed = principal - balloon;
+  if (!(payment > 0) || owed <= 0) return null;
+
+  const wholeMonths = n => Math.max(1, Math.ceil(n - 0.01));
+
+  if (annualRate === 0) return wholeMonths(owed / payment);
+
+  const yearly = interestMethod === "annual-rest";
+  const r = yearly ? annualRate / 100 : annualRate / 100 / 12;
+  const paid = yearly ? payment * 12 : payment;
+
+  if (paid <= roundMoney(principal * r)) return null;
+
+  // payment = (principal - balloon / g) × r × g / (g - 1), solved for g = (1 + r)^n
+  const growth = (paid - balloon * r) / (paid - principal * r);
+  const periods = Math.log(growth) / Math.log(1 + r);
+
+  return wholeMonths(yearly ? periods * 12 : periods);
+}
+
+/*
+  annualRestPayment(principal, annualRate, totalMonths, balloon)
+
+  monthlyPayment for an annual-rest loan: the yearly
+  amortisation payment over totalMonths / 12 years,
+  paid in twelve monthly instalments.
+*/
+function annualRestPayment(principal, annualRate, totalMonths, balloon = 0) {
+  if (annualRate === 0) return (principal - balloon) / totalMonths;
+
+  const r = annualRate / 100;
+  const growth = Math.pow(1 + r, totalMonths / 12);
+
+  return (
+    (principal - balloon / growth) *
+    (r * growth) /
+    (growth - 1) /
+    12
   );
+}
 
-  const monthsSaved =
-    Math.abs(rawMonthsSaved) <= 1 ? 0 : Math.max(0, rawMonthsSaved);
+/*
+  createLoanTerms(m)
+
+  Tracks the contractual side of one mortgage as a
+  simulation walks forward month by month:
+    - current rate (from m.rateSchedule)
+    - scheduled payment
+    - contractual term end
+    - product switches (m.switches) and their fees
+    - overpayment recalculations (m.recalculation)
+
+  terms.startMonth(month, balance)
+    Applies whatever starts this month and returns the
+    balance (plus any fee added to the loan):
+      - product switch → new rate and term, payment
+                         recalculated, fee charged
+      - rate change    → payment recalculated over the
+                         remaining term
+      - recalculation  → after overpayments, in the
+                         "reduce-payment-*" modes
+
+  terms.overpay(amount)
+    Records an overpayment so the next recalculation
+    (if the mode has one) picks it up. Overpayments
+    reduce the interest-only part first.
+
+  terms.interest(month, charged)
+    Interest for the month on the balance that is charged
+    interest (after any offset), by m.interestMethod.
+
+  terms.principalDue(balance, interest)
+    Scheduled principal this month. Never eats into the
+    interest-only part (terms.balloon), so an interest-only
+    loan pays just its interest.
+
+  terms.balloonDue(month, balance)
+    True when an interest-only / part-and-part loan reaches
+    the end of its term with a balance left to repay.
+
+  terms.balloon → interest-only part still owed at term end
+
+  terms.payments → [{ month, rate, scheduled }] one per period
+  terms.fees     → arrangement fees charged so far
+*/
+function createLoanTerms(m) {
+
+  const steps = m.rateSchedule;
+  const switches = m.switches || [];
+
+  let nextStep = 1;
+  let nextSwitch = 0;
+  let overpaid = false;
+
+  // Annual rest: balance interest is charged on this year
+  let rest = null;
+
+  const terms = {
+    rate: m.rate,
+    monthlyRate: m.rate / 100 / 12,
+    scheduled: computeScheduledPayment(m),
+    termEnd: m.months,
+    balloon: m.balloon || 0,
+    fees: 0,
+    payments: [],
+
+    startMonth(month, balance) {
+
+      let rate = null;
+
+      while (nextStep < steps.length && steps[nextStep].month <= month) {
+        rate = steps[nextStep].rate;
+        nextStep++;
+      }
+
+      let product = null;
+
+      while (nextSwitch < switches.length && switches[nextSwitch].month <= month) {
+        product = switches[nextSwitch];
+        nextSwitch++;
+      }
+
+      const recalculate = overpaid && (
+        m.recalculation === "reduce-payment-immediately" ||
+        (m.recalculation === "reduce-payment-annually" && (month - 1) % 12 === 0)
+      );
+
+      if (product) {
+
+        terms.fees = roundMoney(terms.fees + product.fee);
+
+        if (product.addFeeToBalance) {
+          balance = roundMoney(balance + product.fee);
+        }
+
+        if (product.months) {
+          terms.termEnd = month - 1 + product.months;
+        }
+
+      } else if ((rate === null || rate === terms.rate) && !recalculate) {
+        return balance;
+      }
+
+      if (rate !== null) terms.rate = rate;
+
+      overpaid = false;
+
+      terms.monthlyRate = terms.rate / 100 / 12;
+      terms.scheduled = computeScheduledPayment({
+        balance,
+        rate: terms.rate,
+        months: Math.max(1, terms.termEnd - (month - 1)),
+        balloon: terms.balloon,
+        interestMethod: m.interestMethod
+      });
+
+      recordPayment(month);
+
+      return balance;
+    },
+
+    overpay(amount) {
+      if (amount <= 0) return;
+
+      overpaid = true;
+      terms.balloon = roundMoney(Math.max(0, terms.balloon - amount));
+    },
+
+    interest(month, charged) {
+
+      if (m.interestMethod === "daily") {
+        const days = daysBetween(paymentDate(m, month - 1), paymentDate(m, month));
+
+        return roundMoney(charged * terms.rate / 100 / 365 * days);
+      }
+
+      if (m.interestMethod === "annual-rest") {
+        if (rest === null || (month - 1) % 12 === 0) rest = charged;
+
+        return roundMoney(rest * terms.monthlyRate);
+      }
+
+      return roundMoney(charged * terms.monthlyRate);
+    },
+
+    principalDue(balance, interest) {
+      const principal = Math.max(0, roundMoney(terms.scheduled - interest));
+
+      return terms.balloon > 0
+        ? Math.min(principal, Math.max(0, roundMoney(balance - terms.balloon)))
+        : principal;
+    },
+
+    balloonDue(month, balance) {
+      return m.repaymentType !== undefined && m.repaymentType !== "repayment" &&
+        month >= terms.termEnd && balance > 0;
+    }
+  };
+
+  // One entry per payment period (a month-1 switch replaces the first)
+  function recordPayment(month) {
+
+    const entry = { month, rate: terms.rate, scheduled: terms.scheduled };
+    const last = terms.payments[terms.payments.length - 1];
+
+    if (last && last.month === month) {
+      terms.payments[terms.payments.length - 1] = entry;
+    } else {
+      terms.payments.push(entry);
+    }
+  }
+
+  recordPayment(1);
+
+  return terms;
+}
+
+/*
+  createAllowance(allowance, balance)
+
+  Tracks what is left of a mortgage's overpayment
+  allowance (see normaliseAllowance) as a simulation
+  walks forward month by month. The allowance year in
+  progress at the start gets a full allowance (a
+  percentage limit of the starting balance).
+
+  allowance.startMonth(month, balance)
+    Resets the allowance on each anniversary (the
+    reset month, then every 12 months). A percentage
+    limit uses the balance at the reset.
+
+  allowance.room     → most that can be overpaid this month
+                       without an ERC (Infinity = no limit)
+  allowance.capped   → true if overpayments must stop at room
+                       (false when the ERC is paid instead)
+  allowance.use(x)   → records an overpayment, charging the
+                       ERC on any part above room
+  allowance.fees     → ERCs charged so far
+*/
+function createAllowance(a, balance) {
+
+  const limit = balance => {
+    let most = Infinity;
+    if (a.amount !== null) most = a.amount;
+    if (a.percent !== null) most = Math.min(most, roundMoney(balance * a.percent / 100));
+    return most;
+  };
+
+  let left = a ? limit(balance) : Infinity;
+
+  const allowance = {
+    room: Infinity,
+    capped: false,
+    fees: 0,
+
+    startMonth(month, balance) {
+
+      if (!a || (a.ercEndMonth !== null && month > a.ercEndMonth)) {
+        allowance.room = Infinity;
+        allowance.capped = false;
+        return;
+      }
+
+      if ((month - a.resetMonth) % 12 === 0) left = limit(balance);
+
+      allowance.room = left;
+      allowance.capped = !a.payErc;
+    },
+
+    use(amount) {
+
+      if (allowance.room === Infinity || amount <= 0) return;
+
+      const above = Math.max(0, amount - left);
+
+      if (above > 0) {
+        allowance.fees = roundMoney(allowance.fees + above * a.ercPercent / 100);
+      }
+
+      left = roundMoney(Math.max(0, left - amount));
+      allowance.room = left;
+    }
+  };
+
+  return allowance;
+}
+
+/*
+  createOffset(offset)
+
+  Tracks the savings pot of an offset mortgage (see
+  normaliseOffset) as a simulation walks forward
+  month by month. Without an offset the pot stays
+  at zero and nothing can be deposited.
+
+  pot.linked         → true if the mortgage has an offset
+  pot.savings        → savings in the pot so far
+  pot.charged(b)     → part of balance b that is charged
+                       interest (b − savings, never below 0)
+  pot.room(b)        → most a deposit can still offset
+  pot.deposit(x)     → adds x to the pot
+  pot.endMonth()     → adds the monthly contribution
+*/
+function createOffset(o) {
+
+  const pot = {
+    linked: !!o,
+    savings: o ? o.savings : 0,
+
+    charged(balance) {
+      return roundMoney(Math.max(0, balance - pot.savings));
+    },
+
+    room(balance) {
+      return o ? pot.charged(balance) : 0;
+    },
+
+    deposit(amount) {
+      if (amount > 0) pot.savings = roundMoney(pot.savings + amount);
+    },
+
+    endMonth() {
+      if (o) pot.deposit(o.contribution);
+    }
+  };
+
+  return pot;
+}
+
+/*
+  computeScheduledPayment(m)
+
+  Wraps monthlyPayment (annualRestPayment for
+  m.interestMethod "annual-rest") and ensures:
+    - Payment > first month's interest
+    - Prevents negative amortisation
+
+  With m.balloon (interest-only part) the payment only
+  repays the rest; a fully interest-only loan pays
+  exactly the interest.
+
+  A contractual payment (m.payment, see normaliseTerm)
+  is used as it is.
+*/
+function computeScheduledPayment(m) {
+
+  if (m.payment) return m.payment;
+
+  const balloon = Math.min(m.balloon || 0, m.balance);
+
+  let scheduled = m.interestMethod === "annual-rest"
+    ? annualRestPayment(m.balance, m.rate, m.months, balloon)
+    : monthlyPayment(m.balance, m.rate, m.months, balloon);
+scheduled = roundMoney(scheduled);
+
+// Ensure at least 1p payment
+if (scheduled < 0.01) {
+  scheduled = 0.01;
+}
+
+  if (m.rate > 0 && balloon < m.balance) {
+    const r = m.rate / 100 / 12;
+    const firstInterest = roundMoney(m.balance * r);
+
+    if (scheduled <= firstInterest) {
+      scheduled = roundMoney(firstInterest + 0.01);
+    }
+  }
+
+  return scheduled;
+}
+
+
+/* =====================================================
+   Single Mortgage Simulation
+===================================================== */
+
+/*
+  simulateSingle(m, extra)
+
+  extra is the monthly overpayment: an amount or a
+  schedule (see normaliseExtra).
+
+  Simulates ONE mortgage month-by-month.
+
+  Each month:
+    1. Interest accrues
+    2. Scheduled payment reduces principal
+    3. Extra (plus any lump sum due this month, from
+       m.lumpSums [{ month, amount }]) reduces principal further,
+       within the overpayment allowance (m.allowance, if set)
+
+  With an offset (m.offset) interest is charged on the balance
+  minus the pot, and the pot grows by its monthly contribution.
+
+  When the rate schedule changes the rate, or a product switch
+  starts, the scheduled payment is recalculated (createLoanTerms).
+  So is it after overpayments, if the lender reduces the payment
+  rather than the term (m.recalculation).
+
+  Extra the allowance blocks (or that is not needed in the
+  final month) stays with the household as `unallocated`.
+
+  Returns:
+    - months to clear
+    - total interest paid
+    - balance progression array
+    - dates: "YYYY-MM-DD" of each balance (payment dates,
+             dates[0] = start date, see normaliseCalendar)
+    - payments: [{ month, rate, scheduled }] one entry per rate period
+    - fees: product switch fees and ERCs charged
+    - ercFees: the ERC part of fees
+    - unallocated: extra that was not paid in
+    - capBinding: months in which the allowance held extra back
+                  (or, when the ERC is paid, was exceeded)
+    - balloon: interest-only balance repaid at the end of the term
+    - offsetSavings: savings in the offset pot at the end
+    - monthlyInterest[k]: interest charged in month k
+    - ledger[k - 1]: month k's { month, opening, fees, interest,
+                     principal, extra, balloon, closing }
+                     (fees: switch fees added to the balance)
+*/
+function simulateSingle(m, extra) {
+
+  const schedule = normaliseExtra(extra);
+
+  let balance = m.balance;
+
+  const terms = createLoanTerms(m);
+  const allowance = createAllowance(m.allowance, m.balance);
+  const pot = createOffset(m.offset);
+
+  const lumps = lumpSumsByMonth(m.lumpSums);
+
+  let months = 0;
+  let interestTotal = 0;  
+  let unallocated = 0;
+  let balloon = 0;
+
+  const capBinding = [];
+
+  const balances = [balance];
+  const dates = [isoDate(paymentDate(m, 0))];
+  const monthlyInterest = [0];
+  const ledger = [];
+  const MAX_MONTHS = 1000 * 12;
+
+  while (balance > 0 && months < MAX_MONTHS) {
+
+    const opening = balance;
+
+    balance = terms.startMonth(months + 1, balance);
+    allowance.startMonth(months + 1, balance);
+
+    const interest = terms.interest(months + 1, pot.charged(balance));
+
+    const principal = terms.principalDue(balance, interest);
+
+    const offered = roundMoney(
+      extraInMonth(schedule, months + 1) + (lumps.get(months + 1) || 0)
+    );
+    const wanted = Math.min(offered, Math.max(0, roundMoney(balance - principal)));
+
+    const extraPaid = allowance.capped
+      ? Math.max(0, Math.min(wanted, allowance.room))
+      : wanted;
+
+    if (wanted > allowance.room) capBinding.push(months + 1);
+
+    allowance.use(extraPaid);
+    terms.overpay(extraPaid);
+    unallocated = roundMoney(unallocated + offered - extraPaid);
+
+    const totalPayment = roundMoney(principal + extraPaid);
+
+    monthlyInterest.push(interest);
+
+    const row = {
+      month: months + 1,
+      opening,
+      fees: roundMoney(balance - opening),
+      interest,
+      principal: Math.min(principal, balance),
+      extra: extraPaid,
+      balloon: 0,
+      closing: 0
+    };
+
+    ledger.push(row);
+
+    if (totalPayment >= balance) {
+      interestTotal = roundMoney(interestTotal + interest);
+      balance = 0;
+      months++;
+      balances.push(0);
+      dates.push(isoDate(paymentDate(m, months)));
+      break;
+    }
+
+    balance = roundMoney(balance - totalPayment);
+    interestTotal = roundMoney(interestTotal + interest);
+    months++;
+
+    pot.endMonth();
+
+    // Interest-only part repaid in one go at the end of the term
+    if (terms.balloonDue(months, balance)) {
+      balloon = balance;
+      row.balloon = balance;
+      balance = 0;
+    }
+
+    row.closing = balance;
+    balances.push(balance);
+    dates.push(isoDate(paymentDate(m, months)));
+  }
+
+  if (months === MAX_MONTHS)
+    throw new Error("Single simulation exceeded safety cap.");
+
+  return {
+    months,
+    interest: interestTotal,
+    balances,
+    dates,
+    payments: terms.payments,
+    fees: roundMoney(terms.fees + allowance.fees),
+    ercFees: allowance.fees,
+    unallocated,
+    capBinding,
+    balloon,
+    offsetSavings: pot.savings,
+    monthlyInterest,
+    ledger
+  };
+}
+
+
+/* =====================================================
+   Baseline Simulation
+===================================================== */
+
+/*
+  ledgerRow(count, balance)
+
+  One mortgage's month in a ledger (see simulateCascade)
+  with nothing happening: the balance stays as it is.
+*/
+function ledgerRow(count, balance) {
+  return {
+    opening: balance,
+    fees: 0,
+    interest: 0,
+    principal: 0,
+    extra: 0,
+    from: Array(count).fill(0),
+    pooled: 0,
+    deposited: 0,
+    balloon: 0,
+    closing: balance
+  };
+}
+
+/*
+  simulateBaseline(loans, lumpSums)
+
+  Each mortgage:
+    - Keeps its own overpayment (loan.extra)
+    - Gets the lump sums whose source is that mortgage
+    - Never redirects payments
+
+  Pooled lump sums have no owner, so when mortgages are kept
+  separate they are shared in proportion to starting balances,
+  to the penny (largest remainder, see apportionPence).
+  Any part a cleared mortgage cannot take is left unspent.
+
+  Mortgages are lined up on one calendar (see createCalendar):
+  lump sum months are timeline months, and ones that fall
+  before a mortgage's first payment are not used by it.
+
+  Returns:
+    - Total interest
+    - Total fees (product switches and ERCs)
+    - Total cost (interest + fees)
+    - Extra held back by allowances (unallocated)
+    - Savings left in offset pots (offsetSavings)
+    - Max months of all mortgages (on the shared timeline)
+    - Combined balance array, with its dates
+    - monthlyInterest[k]: interest charged in timeline month k
+    - loanBalances[i]: mortgage i's balances on the shared timeline
+      (its opening balance until its first payment)
+    - startOffsets[i]: months before mortgage i's first payment
+    - Per-mortgage simulateSingle results (loans[i], own months)
+    - ledger: month by month on the shared timeline, as in
+      simulateCascade (each mortgage's extra comes from itself,
+      except its share of pooled lump sums)
+*/
+function simulateBaseline(loans, lumpSums = []) {
+
+  const calendar = createCalendar(loans);
+  const offsets = calendar.offsets;
+
+  // Pooled lump sums split by balance, to the penny (see apportionPence)
+  const shares = lumpSums.map(l => l.source === "pooled"
+    ? apportionPence(toPence(l.amount), loans.map(m => m.balance))
+    : null
+  );
+
+  const loanLumpSums = loans.map((m, i) => lumpSums
+    .map((l, k) => ({ ...l, share: shares[k] && fromPence(shares[k][i]) }))
+    .filter(l => l.source === i || l.source === "pooled")
+    .filter(l => l.month > offsets[i])
+    .map(l => ({
+      month: l.month - offsets[i],
+      amount: l.source === i ? l.amount : l.share,
+      pooled: l.source === "pooled"
+    }))
+  );
+
+  const singles = loans.map((m, i) => simulateSingle(
+    { ...m, lumpSums: loanLumpSums[i] },
+    m.extra
+  ));
+
+  const loanBalances = singles.map((s, i) => [
+    ...Array(offsets[i]).fill(loans[i].balance),
+    ...s.balances
+  ]);
+
+  const maxLen = Math.max(...loanBalances.map(x => x.length));
+  const balances = [];
+  const dates = [];
+  const monthlyInterest = [];
+
+  for (let i = 0; i < maxLen; i++) {
+    balances.push(
+      roundMoney(
+        loanBalances.reduce((t, x) => t + (x[i] || 0), 0)
+      )
+    );
+    monthlyInterest.push(
+      roundMoney(
+        singles.reduce((t, s, j) => t + (s.monthlyInterest[i - offsets[j]] || 0), 0)
+      )
+    );
+    dates.push(calendar.date(i));
+  }
+
+  // Pooled lump sums are counted as paid before the mortgage's own extra
+  const pooledShares = loanLumpSums.map(list =>
+    lumpSumsByMonth(list.filter(l => l.pooled))
+  );
+
+  const ledger = dates.slice(1).map((date, k) => ({
+    month: k + 1,
+    date,
+    loans: singles.map((s, i) => {
+
+      const row = s.ledger[k - offsets[i]];
+
+      if (!row) {
+        return ledgerRow(loans.length, loanBalances[i][k + 1] || 0);
+      }
+
+      const pooled = Math.min(row.extra, pooledShares[i].get(row.month) || 0);
+      const from = Array(loans.length).fill(0);
+      from[i] = roundMoney(row.extra - pooled);
+
+      const { month, ...figures } = row;
+
+      return { ...ledgerRow(loans.length, 0), ...figures, from, pooled };
+    })
+  }));
+
+  const interest = roundMoney(singles.reduce((t, s) => t + s.interest, 0));
+  const fees = roundMoney(singles.reduce((t, s) => t + s.fees, 0));
+
+  return {
+    months: maxLen - 1,
+    interest,
+    fees,
+    ercFees: roundMoney(singles.reduce((t, s) => t + s.ercFees, 0)),
+    totalCost: roundMoney(interest + fees),
+    unallocated: roundMoney(singles.reduce((t, s) => t + s.unallocated, 0)),
+    offsetSavings: roundMoney(singles.reduce((t, s) => t + s.offsetSavings, 0)),
+    balances,
+    dates,
+    monthlyInterest,
+    loanBalances,
+    startOffsets: offsets,
+    loans: singles,
+    ledger
+  };
+}
+
+
+/* =====================================================
+   Allocation Strategies
+===================================================== */
+
+/*
+  ALLOCATION_STRATEGIES
+
+  Registry of ways to share the pooled extra between
+  the mortgages that are still active.
+
+  Each strategy has a label (shown in the UI) and ONE of:
+
+    - order(ctx)   → indexes, highest priority first.
+                     Extra fills one mortgage, then spills to the next.
+
+    - weights(ctx) → one weight per mortgage.
+                     Extra is shared in proportion to the weights.
+
+  ctx:
+    - loans     normalised mortgages
+    - balances  balances after this month's scheduled payments
+    - room      most each mortgage can take this month
+                (balance, or what is left of its allowance;
+                for offset routing, what the pot can still offset)
+    - rates     current annual rate of each mortgage
+    - interest  interest charged this month, per mortgage
+    - active    indexes of mortgages with a balance
+    - options   strategyOptions passed to calculateCascadeMulti
+
+  Ties keep input order (mortgage 1 before mortgage 2).
+*/
+const ALLOCATION_STRATEGIES = {
+
+  avalanche: {
+    label: "Highest interest first (avalanche)",
+    order: ({ rates, active }) =>
+      active.slice().sort((a, b) => rates[b] - rates[a] || a - b)
+  },
+
+  snowball: {
+    label: "Smallest balance first (snowball)",
+    order: ({ balances, active }) =>
+      active.slice().sort((a, b) => balances[a] - balances[b] || a - b)
+  },
+
+  "proportional-balance": {
+    label: "Split by balance",
+    weights: ({ balances }) => balances.slice()
+  },
+
+  "proportional-interest": {
+    label: "Split by interest charged",
+    weights: ({ interest }) => interest.slice()
+  },
+
+  priority: {
+    label: "Your priority order",
+    order: ({ active, options }) => [
+      ...(options.priority || []).filter(i => active.includes(i)),
+      ...active.filter(i => !(options.priority || []).includes(i))
+    ]
+  },
+
+  split: {
+    label: "Fixed percentage split",
+    weights: ({ loans, options }) =>
+      loans.map((_, i) => (options.split || [])[i] || 0)
+  }
+};
+
+/*
+  registerAllocationStrategy(name, strategy)
+
+  Adds (or replaces) a strategy in the registry.
+  The strategy must provide order(ctx) or weights(ctx).
+*/
+function registerAllocationStrategy(name, strategy) {
+
+  if (!strategy || (typeof strategy.order !== "function" &&
+      typeof strategy.weights !== "function"))
+    throw new Error("Strategy must provide order() or weights().");
+
+  ALLOCATION_STRATEGIES[name] = { label: name, ...strategy };
+}
+
+/*
+  normaliseStrategyOptions(options, count)
+
+  Ensures:
+    - priority is a list of unique, valid mortgage indexes
+    - split has one non-negative percentage per mortgage
+      (equal split if nothing usable was given)
+*/
+function normaliseStrategyOptions(options = {}, count) {
+
+  const priority = [];
+
+  (options.priority || []).forEach(i => {
+    i = Math.floor(i);
+    if (i >= 0 && i < count && !priority.includes(i)) priority.push(i);
+  });
+
+  let split = Array.from({ length: count }, (_, i) =>
+    clamp(Number((options.split || [])[i]) || 0, 0, 100)
+  );
+
+  if (split.every(x => x === 0)) split = split.map(() => 100 / count);
+
+  return { priority, split };
+}
+
+/*
+  allocatePool(strategy, pool, ctx)
+
+  Shares `pool` between the active mortgages.
+
+  Never pays more than a mortgage's room (balance or cap):
+  anything left over spills to the others (by order,
+  or by re-sharing between the remaining weights).
+  If every mortgage is full, the rest is left unallocated.
+
+  Works in whole pence: weighted strategies share the pool
+  by largest remainder (see apportionPence), so no penny is
+  lost to rounding.
+
+  Returns one amount per mortgage.
+*/
+function allocatePool(strategy, pool, ctx) {
+
+  const def = ALLOCATION_STRATEGIES[strategy];
+  const amounts = ctx.loans.map(() => 0);
+  const room = (ctx.room || ctx.balances).map(toPence);
+
+  let remaining = toPence(pool);
+
+  if (def.order) {
+
+    for (const i of def.order(ctx)) {
+
+      if (remaining <= 0) break;
+
+      const used = Math.max(0, Math.min(remaining, room[i]));
+
+      amounts[i] += used;
+      room[i] -= used;
+      remaining -= used;
+    }
+
+    return amounts.map(fromPence);
+  }
+
+  const weights = def.weights(ctx);
+  let open = ctx.active.filter(i => room[i] > 0);
+
+  while (remaining > 0 && open.length > 0) {
+
+    // Nothing to weight by (e.g. every open mortgage at 0%) → share equally
+    const weighted = open.some(i => weights[i] > 0);
+
+    const shares = apportionPence(
+      remaining,
+      open.map(i => weighted ? weights[i] : 1)
+    );
+
+    open.forEach((i, k) => {
+      const used = Math.min(shares[k], room[i]);
+
+      amounts[i] += used;
+      room[i] -= used;
+      remaining -= used;
+    });
+
+    open = open.filter(i => room[i] > 0);
+  }
+
+  return amounts.map(fromPence);
+}
+
+
+/* =====================================================
+   Cascade Simulation
+===================================================== */
+
+/*
+  simulateCascade(loans, redirectScheduled, redirectExtra, strategy, strategyOptions, lumpSums, excessTo, offsetRouting)
+
+  Key differences from baseline:
+
+  - overpayments are pooled
+  - Voluntary extras are pooled while any mortgage is active.
+  - After payoff, scheduled payments may enter the pool (depending on toggle).
+  - Strategy determines which mortgage gets extra
+    (see ALLOCATION_STRATEGIES)
+  - Payments can redirect after payoff
+
+  Works for any number of mortgages. Per-mortgage figures are
+  arrays in input order:
+    - loanBalances[i]       → balance progression of mortgage i
+    - yearly[].from[i]      → extra that came from mortgage i
+    - yearly[].extraTo[i]   → extra that was paid into mortgage i
+    - attribution[i][j]     → extra from mortgage i paid into mortgage j
+    - allocations[k][i]     → extra paid into mortgage i in month k + 1
+    - loanPayments[i]       → [{ month, rate, scheduled }] per rate period
+    - fees / totalCost      → product switch fees and ERCs, interest + fees
+    - ercFees               → the ERC part of fees
+    - balloons[i]           → interest-only balance of mortgage i
+                              repaid at the end of its term
+    - capBinding            → [{ month, loans: [indexes] }] months in which
+                              an allowance held extra back (or was exceeded
+                              and the ERC paid)
+
+  Mortgages are lined up on one calendar (see createCalendar). A
+  mortgage whose first payment falls later joins the pool in that
+  month: until then it takes no extra and adds none (its own lump
+  sums before then are not used). Its own months (rate schedule,
+  switches, allowance, loanPayments) count from its first payment.
+    - dates[k]              → "YYYY-MM-DD" of balances[k]
+    - startOffsets[i]       → months before mortgage i's first payment
+    - yearly[].startDate / endDate → dates of the first and last
+                              month in the year
+
+  Lump sums (see normaliseLumpSums) enter the pool in their month:
+  a mortgage's own lump sum counts as coming from that mortgage
+  (once it is cleared, only if redirectExtra is on); pooled ones
+  are reported separately:
+    - yearly[].lumpSums     → lump-sum money paid in
+    - yearly[].pooled       → pooled (ownerless) lump-sum money paid in
+
+  The pool, its allocation and its sources are counted in whole
+  pence, and each payment is split between its sources by
+  largest remainder (see apportionPence). So every year (and
+  every ledger row) from[] plus pooled equals extraTo[] exactly,
+  and attribution adds up to what each mortgage received.
+
+  Rates follow each mortgage's rate schedule. At a rate change or
+  product switch the scheduled payment is recalculated (see
+  createLoanTerms), and strategies see the current rates (so
+  avalanche re-targets when rates cross over). In the
+  "reduce-payment-*" modes the lender also recalculates after
+  overpayments, so a cleared mortgage redirects the payment it
+  was actually charging.
+
+  Overpayment allowances (see normaliseAllowance) limit what a
+  mortgage takes each allowance year. What the strategy wanted to
+  pay above an allowance goes, depending on excessTo:
+    - "mortgages" → spills to the other mortgages (the default)
+    - "savings"   → straight to the household's savings
+  Pooled money no mortgage takes is reported as `unallocated`
+  (it stays with the household, i.e. the savings pot).
+
+  Offset mortgages (see normaliseOffset) are charged interest on
+  the balance minus their pot, and the pot grows by its monthly
+  contribution. With offsetRouting "offset" the extra a strategy
+  gives an offset mortgage is saved in its pot instead of paid
+  off (no allowance applies, and only up to the balance the pot
+  does not yet offset). Liquidity is reported as:
+    - offsetSavings[i]      → savings in mortgage i's pot at the end
+    - savings[k]            → offset pots plus unallocated money
+                              after month k (savings[0] = today)
+
+  monthlyInterest[k] is the interest charged in month k, and
+  outgoings[k] everything the household paid out in month k:
+  scheduled payments, the pool, offset contributions and balloons
+  (see compareInvesting).
+
+  ledger[k - 1] is timeline month k in full:
+    { month, date, loans: [...] }, per mortgage (see ledgerRow):
+    - opening / closing     → balance before and after the month
+    - fees                  → switch fees added to the balance
+    - interest, principal   → the scheduled payment's split
+    - extra                 → overpayment received from the pool
+    - from[j] / pooled      → where that extra came from: mortgage
+                              j's money, or pooled lump sums
+    - deposited             → extra saved in its offset pot instead
+                              (its sources are in from / pooled too)
+    - balloon               → interest-only part repaid at term end
+*/
+function simulateCascade(
+  loans,
+  redirectScheduled = true,
+  redirectExtra = true,
+  strategy = "avalanche",
+  strategyOptions = {},
+  lumpSums = [],
+  excessTo = "mortgages",
+  offsetRouting = "overpay"
+) {
+
+  const count = loans.length;
+  const zeros = () => loans.map(() => 0);
+
+  const ownLumps = loans.map((_, i) =>
+    lumpSumsByMonth(lumpSums.filter(l => l.source === i))
+  );
+  const pooledLumps =
+    lumpSumsByMonth(lumpSums.filter(l => l.source === "pooled"));
+
+  const calendar = createCalendar(loans);
+  const offsets = calendar.offsets;
+
+  const b = loans.map(m => m.balance);
+  const terms = loans.map(createLoanTerms);
+  const allowances = loans.map(m => createAllowance(m.allowance, m.balance));
+  const pots = loans.map(m => createOffset(m.offset));
+
+  // Extra paid to mortgage i goes into its offset pot
+  const deposits = pots.map(pot => offsetRouting === "offset" && pot.linked);
+
+  let months = 0;
+  let interestTotal = 0;
+
+  // Mortgage i's own month number (below 1 → not started)
+  const own = i => months - offsets[i];
+
+  // ===== Yearly tracking (money flow in whole pence) =====
+  const yearly = [];
+  let yearInterest = 0;
+  let yearFrom = zeros();
+  let yearExtraTo = zeros();
+  let yearLumpSums = 0;
+  let yearPooled = 0;
+  let yearStart = 1;
+
+  // Attribution tracking: attribution[from][to]
+  const attribution = loans.map(zeros);
+
+  // Month-by-month allocation of the pool (unallocated in pence)
+  const allocations = [];
+  let unallocated = 0;
+
+  // Months in which an allowance limited the strategy
+  const capBinding = [];
+
+  // Interest-only balances repaid at term end
+  const balloons = zeros();
+
+  const balances = [roundMoney(b.reduce((t, x) => t + x, 0))];
+  const loanBalances = b.map(x => [roundMoney(x)]);
+
+  // Money the household keeps: offset pots + unallocated
+  const totalSavings = () =>
+    roundMoney(pots.reduce((t, pot) => t + pot.savings, fromPence(unallocated)));
+
+  const savings = [totalSavings()];
+  const dates = [calendar.date(0)];
+  const outgoings = [0];
+  const monthlyInterest = [0];
+  const ledger = [];
+
+  const MAX_MONTHS = 1000 * 12;
+
+  while (months < MAX_MONTHS) {
+
+    if (b.every(x => x <= 0)) break;
+
+    months++;
+
+    let paid = 0;
+
+    const rows = b.map(x => ledgerRow(count, x));
+
+    // ===============================
+    // Interest + scheduled payments
+    // ===============================
+
+    const monthInterest = zeros();
+
+    for (let i = 0; i < count; i++) {
+
+      if (b[i] <= 0 || own(i) < 1) continue;
+
+      b[i] = terms[i].startMonth(own(i), b[i]);
+      allowances[i].startMonth(own(i), b[i]);
+
+      const interest = terms[i].interest(own(i), pots[i].charged(b[i]));
+      monthInterest[i] = interest;
+
+      rows[i].fees = roundMoney(b[i] - rows[i].opening);
+      rows[i].interest = interest;
+
+      interestTotal = roundMoney(interestTotal + interest);
+      yearInterest = roundMoney(yearInterest + interest);
+
+      const principal = Math.min(terms[i].principalDue(b[i], interest), b[i]);
+      rows[i].principal = principal;
+
+      b[i] = roundMoney(b[i] - principal);
+      paid += interest + principal;
+    }
+
+    // ===============================
+    // Build source contributions explicitly (in pence)
+    // ===============================
+
+    const from = zeros();
+    let pooled = 0;
+    let lumpIn = 0;
+
+    // Nothing is pooled once every mortgage is cleared
+    if (b.some(x => x > 0)) {
+
+      pooled = toPence(pooledLumps.get(months) || 0);
+      lumpIn = pooled;
+
+      for (let i = 0; i < count; i++) {
+
+        // Not started yet → nothing to pool
+        if (own(i) < 1) continue;
+
+        const lump = toPence(ownLumps[i].get(months) || 0);
+
+        const extra = toPence(extraInMonth(loans[i].extra, own(i)));
+
+        // Active mortgage → its voluntary extra always enters the pool
+        if (b[i] > 0) {
+          from[i] += extra + lump;
+          lumpIn += lump;
+          continue;
+        }
+
+        // Cleared mortgage → extra continues only if redirectExtra enabled
+        if (redirectExtra) {
+          from[i] += extra + lump;
+          lumpIn += lump;
+        }
+
+        // Cleared mortgage → scheduled payment redirects only if enabled
+        if (redirectScheduled) {
+          from[i] += toPence(terms[i].scheduled);
+        }
+      }
+    }
+
+    const totalSource = from.reduce((t, x) => t + x, pooled);
+    const pool = fromPence(totalSource);
+
+    // ===============================
+    // Apply available extra
+    // ===============================
+
+    const active = [];
+
+    for (let i = 0; i < count; i++) {
+      if (b[i] > 0 && own(i) >= 1) active.push(i);
+    }
+
+    // Deposits are limited by the pot, overpayments by the allowance
+    const open = b.map((x, i) =>
+      own(i) < 1 ? 0 : deposits[i] ? pots[i].room(x) : x
+    );
+
+    const ctx = {
+      loans,
+      balances: b.slice(),
+      room: open.map((x, i) =>
+        !deposits[i] && allowances[i].capped ? Math.min(x, allowances[i].room) : x
+      ),
+      rates: terms.map(t => t.rate),
+      interest: monthInterest,
+      active,
+      options: strategyOptions
+    };
+
+    // What the strategy would pay if no allowance applied
+    const limited = active.some(i => !deposits[i] && allowances[i].room < b[i]);
+
+    const wanted = totalSource > 0 && limited
+      ? allocatePool(strategy, pool, { ...ctx, room: open })
+      : null;
+
+    let amounts = zeros();
+
+    if (totalSource > 0) {
+      amounts = wanted && excessTo === "savings"
+        ? wanted.map((x, i) => Math.min(x, ctx.room[i]))
+        : allocatePool(strategy, pool, ctx);
+    }
+
+    if (wanted) {
+      const binding = active.filter(i =>
+        !deposits[i] && wanted[i] > allowances[i].room
+      );
+      if (binding.length > 0) capBinding.push({ month: months, loans: binding });
+    }
+
+    allocations.push(amounts);
+    paid += pool;
+
+    monthlyInterest.push(roundMoney(monthInterest.reduce((t, x) => t + x, 0)));
+
+    unallocated += totalSource - amounts.reduce((t, x) => t + toPence(x), 0);
+
+    for (let to = 0; to < count; to++) {
+
+      const used = toPence(amounts[to]);
+      if (used <= 0) continue;
+
+      if (deposits[to]) {
+        pots[to].deposit(fromPence(used));
+        rows[to].deposited = fromPence(used);
+      } else {
+        b[to] = fromPence(toPence(b[to]) - used);
+        rows[to].extra = fromPence(used);
+
+        allowances[to].use(fromPence(used));
+        terms[to].overpay(fromPence(used));
+      }
+
+      yearExtraTo[to] += used;
+
+      // Split what was used between its sources, to the penny
+      const shares = apportionPence(used, [...from, pooled]);
+
+      for (let i = 0; i < count; i++) {
+        yearFrom[i] += shares[i];
+        attribution[i][to] += shares[i];
+        rows[to].from[i] = fromPence(shares[i]);
+      }
+
+      rows[to].pooled = fromPence(shares[count]);
+      yearPooled += shares[count];
+      if (lumpIn > 0) {
+        yearLumpSums += apportionPence(used, [lumpIn, totalSource - lumpIn])[0];
+      }
+    }
+
+    for (let i = 0; i < count; i++) {
+
+      // Contributions stop once the mortgage is cleared
+      if (b[i] > 0 && own(i) >= 1) {
+        const saved = pots[i].savings;
+
+        pots[i].endMonth();
+        paid += pots[i].savings - saved;
+      }
+
+      b[i] = roundMoney(b[i]);
+      if (b[i] < 0.01) b[i] = 0;
+
+      // Interest-only part repaid in one go at the end of the term
+      if (own(i) >= 1 && terms[i].balloonDue(own(i), b[i])) {
+        balloons[i] = b[i];
+        rows[i].balloon = b[i];
+        paid += b[i];
+        b[i] = 0;
+      }
+
+      rows[i].closing = b[i];
+      loanBalances[i].push(b[i]);
+    }
+
+    balances.push(roundMoney(b.reduce((t, x) => t + x, 0)));
+    savings.push(totalSavings());
+    outgoings.push(roundMoney(paid));
+    dates.push(calendar.date(months));
+    ledger.push({ month: months, date: dates[months], loans: rows });
+
+    // ===== End-of-year check =====
+    if (months % 12 === 0 || b.every(x => x <= 0)) {
+
+      yearly.push({
+        year: Math.ceil(months / 12),
+        interest: roundMoney(yearInterest),
+        from: yearFrom.map(fromPence),
+        extraTo: yearExtraTo.map(fromPence),
+        lumpSums: fromPence(yearLumpSums),
+        pooled: fromPence(yearPooled),
+        endBalances: b.map(roundMoney),
+        startDate: dates[yearStart],
+        endDate: dates[months]
+      });
+
+      // Reset yearly counters
+      yearInterest = 0;
+      yearFrom = zeros();
+      yearExtraTo = zeros();
+      yearLumpSums = 0;
+      yearPooled = 0;
+      yearStart = months + 1;
+    }
+  }
+
+  if (months === MAX_MONTHS)
+    throw new Error("Cascade exceeded safety cap.");
+
+  const ercFees = roundMoney(allowances.reduce((t, a) => t + a.fees, 0));
+  const fees = roundMoney(terms.reduce((t, x) => t + x.fees, ercFees));
+
+  return {
+    months,
+    interest: roundMoney(interestTotal),
+    fees,
+    ercFees,
+    totalCost: roundMoney(interestTotal + fees),
+    balances,
+    loanBalances,
+    yearly,
+    attribution: attribution.map(row => row.map(fromPence)),
+    allocations,
+    unallocated: fromPence(unallocated),
+    capBinding,
+    balloons,
+    offsetSavings: pots.map(pot => pot.savings),
+    savings,
+    outgoings,
+    monthlyInterest,
+    dates,
+    startOffsets: offsets,
+    loanPayments: terms.map(t => t.payments),
+    ledger
+  };
+}
+
+
+/* =====================================================
+   Public API
+===================================================== */
+
+/*
+  calculateCascadeMulti(loans, options)
+
+  Entry point for any number of mortgages.
+
+  loans:
+    [{ balance, rate, months, extra }, ...]
+    (extra: an amount or a schedule, see normaliseExtra;
+    payment instead of months: see normaliseTerm)
+
+  options:
+    - redirectScheduled (default true)
+    - redirectExtra     (default true)
+    - strategy          (default "avalanche", see ALLOCATION_STRATEGIES)
+    - strategyOptions   { priority: [indexes], split: [percentages] }
+                        used by the "priority" and "split" strategies
+    - lumpSums          [{ month, amount, source }] one-off overpayments,
+                        source = mortgage index or "pooled"
+                        (see normaliseLumpSums)
+    - excessTo          "mortgages" (default) or "savings": where extra
+                        above a mortgage's allowance goes
+    - offsetRouting     "overpay" (default) or "offset": whether extra
+                        paid to an offset mortgage reduces its balance
+                        or is saved in its pot (see OFFSET_ROUTINGS)
+    - inflationRate     annual % for real-terms figures (default 0)
+    - discountRate      annual % for present values
+                        (default: the inflation rate)
+
+  Returns baseline (separate) and cascade (combined) results,
+  with per-mortgage figures as arrays in input order, plus
+  scheduled[i] (first monthly payment) and terms[i]
+  (remaining term in months, as given or derived).
+
+  Real-terms and present-value figures (see addRealTerms) are
+  realInterestSaved and presentValueInterestSaved, and on each
+  of baseline / cascade.
+*/
+function calculateCascadeMulti(loans, options = {}) {
+
+  const {
+    redirectScheduled = true,
+    redirectExtra = true,
+    strategy = "avalanche"
+  } = options;
+
+  if (!Array.isArray(loans) || loans.length === 0)
+    throw new Error("At least one mortgage is required.");
+
+  if (!ALLOCATION_STRATEGIES[strategy])
+    throw new Error("Unknown allocation strategy: " + strategy);
+
+  loans = loans.map(normaliseLoan);
+
+  const strategyOptions =
+    normaliseStrategyOptions(options.strategyOptions, loans.length);
+
+  const lumpSums = normaliseLumpSums(options.lumpSums, loans.length);
+
+  const baseline = simulateBaseline(loans, lumpSums);
+
+  const cascade = simulateCascade(
+    loans,
+    redirectScheduled,
+    redirectExtra,
+    strategy,
+    strategyOptions,
+    lumpSums,
+    options.excessTo === "savings" ? "savings" : "mortgages",
+    OFFSET_ROUTINGS.includes(options.offsetRouting) ? options.offsetRouting : "overpay"
+  );
+
+  const rawMonthsSaved = baseline.months - cascade.months;
+  const rawInterestSaved = roundMoney(
+    baseline.interest - cascade.interest
+  );
+
+  const monthsSaved =
+    Math.abs(rawMonthsSaved) <= 1 ? 0 : Math.max(0, rawMonthsSaved);
+
+  const interestSaved =
+    Math.abs(rawInterestSaved) < 0.5 ? 0 : Math.max(0, rawInterestSaved);
+
+  const inflationRate = clamp(Number(options.inflationRate) || 0, -10, 50);
+  const discountRate = options.discountRate === undefined || options.discountRate === null
+    ? inflationRate
+    : clamp(Number(options.discountRate) || 0, -10, 50);
+
+  const realBaseline = addRealTerms(baseline, inflationRate, discountRate);
+  const realCascade = addRealTerms(cascade, inflationRate, discountRate);
+
+  return {
+    baseline: realBaseline,
+    cascade: realCascade,
+    monthsSaved,
+    interestSaved,
+    inflationRate,
+    discountRate,
+    realInterestSaved: roundMoney(realBaseline.realInterest - realCascade.realInterest),
+    presentValueInterestSaved: roundMoney(
+      realBaseline.presentValueInterest - realCascade.presentValueInterest
+    ),
+    scheduled: loans.map(computeScheduledPayment),
+    terms: loans.map(loan => loan.months)
+  };
+}
+
+/*
+  priceIndex(annualRate, month)
+
+  How much prices (or money, for a discount rate) have
+  grown by timeline month `month`: 1 today, compounding
+  to 1 + annualRate each year.
+*/
+function priceIndex(annualRate, month) {
+  return Math.pow(1 + annualRate / 100, month / 12);
+}
+
+/*
+  addRealTerms(run, inflationRate, discountRate)
+
+  A baseline or cascade result with:
+    - realInterest          interest in today's money
+                            (each month deflated by inflation)
+    - presentValueInterest  interest discounted at discountRate
+    - realTotalCost         realInterest + fees (fees are
+                            not deflated)
+    - yearly[].realInterest   the year's interest in today's money
+    - yearly[].priceIndex     prices at the end of the year
+                              (divide other amounts by it)
+*/
+function addRealTerms(run, inflationRate, discountRate) {
+
+  const discounted = rate => roundMoney(
+    run.monthlyInterest.reduce((t, x, k) => t + x / priceIndex(rate, k), 0)
+  );
+
+  const realInterest = discounted(inflationRate);
+
+  const real = {
+    ...run,
+    realInterest,
+    presentValueInterest: discounted(discountRate),
+    realTotalCost: roundMoney(realInterest + run.fees)
+  };
+
+  if (run.yearly) {
+
+    let first = 1;
+
+    real.yearly = run.yearly.map(y => {
+
+      const last = Math.min(y.year * 12, run.months);
+      const months = run.monthlyInterest.slice(first, last + 1);
+
+      const row = {
+        ...y,
+        realInterest: roundMoney(
+          months.reduce((t, x, k) => t + x / priceIndex(inflationRate, first + k), 0)
+        ),
+        priceIndex: priceIndex(inflationRate, last)
+      };
+
+      first = last + 1;
+      return row;
+    });
+  }
+
+  return real;
+}
+
+/*
+  calculateCascade(m1, m2, extra1, extra2, ...)
+
+  Original two-mortgage entry point.
+
+  Runs calculateCascadeMulti and maps the per-mortgage
+  arrays back onto the m1/m2 field names.
+
+  lumpSums sources are 0 (m1), 1 (m2) or "pooled"; the
+  pooled money is each year's `pooled`, so fromM1 + fromM2
+  + pooled = extraToM1 + extraToM2.
+*/
+function calculateCascade(
+  m1,
+  m2,
+  extra1,
+  extra2,
+  redirectScheduled = true,
+  redirectExtra = true,
+  strategy = "avalanche",
+  lumpSums = [],
+  inflationRate = 0
+) {
+
+  const result = calculateCascadeMulti(
+    [
+      { ...m1, extra: extra1 },
+      { ...m2, extra: extra2 }
+    ],
+    { redirectScheduled, redirectExtra, strategy, lumpSums, inflationRate }
+  );
+
+  const baseline = result.baseline;
+  const cascade = result.cascade;
+  const attribution = cascade.attribution;
+
+  return {
+    baseline: {
+      months: baseline.months,
+      interest: baseline.interest,
+      realInterest: baseline.realInterest,
+      presentValueInterest: baseline.presentValueInterest,
+      balances: baseline.balances,
+      m1: baseline.loans[0],
+      m2: baseline.loans[1]
+    },
+    cascade: {
+      months: cascade.months,
+      interest: cascade.interest,
+      realInterest: cascade.realInterest,
+      presentValueInterest: cascade.presentValueInterest,
+      balances: cascade.balances,
+      m1Balances: cascade.loanBalances[0],
+      m2Balances: cascade.loanBalances[1],
+      yearly: cascade.yearly.map(y => ({
+        year: y.year,
+        interest: y.interest,
+        realInterest: y.realInterest,
+        fromM1: y.from[0],
+        fromM2: y.from[1],
+        extraToM1: y.extraTo[0],
+        extraToM2: y.extraTo[1],
+        lumpSums: y.lumpSums,
+        pooled: y.pooled,
+        endBalanceM1: y.endBalances[0],
+        endBalanceM2: y.endBalances[1]
+      })),
+      attribution: {
+        m1ExtraPaidToM1: attribution[0][0],
+        m1ExtraPaidToM2: attribution[0][1],
+        m2ExtraPaidToM1: attribution[1][0],
+        m2ExtraPaidToM2: attribution[1][1]
+      }
+    },
+    monthsSaved: result.monthsSaved,
+    interestSaved: result.interestSaved,
+    realInterestSaved: result.realInterestSaved,
+    presentValueInterestSaved: result.presentValueInterestSaved,
+    scheduled1: result.scheduled[0],
+    scheduled2: result.scheduled[1]
+  };
+}
+
+/* =====================================================
+   Allocation Optimiser
+===================================================== */
+
+/*
+  permutations(items)
+
+  Every ordering of items.
+  [0, 1] → [[0, 1], [1, 0]]
+*/
+function permutations(items) {
+
+  if (items.length <= 1) return [items.slice()];
+
+  return items.flatMap((item, i) =>
+    permutations([...items.slice(0, i), ...items.slice(i + 1)])
+      .map(rest => [item, ...rest])
+  );
+}
+
+/*
+  percentageSplits(count, step)
+
+  Every way to split 100% between count mortgages
+  in multiples of step.
+  (2, 50) → [[0, 100], [50, 50], [100, 0]]
+*/
+function percentageSplits(count, step, total = 100) {
+
+  if (count === 1) return [[total]];
+
+  const splits = [];
+
+  for (let p = 0; p <= total; p += step) {
+    percentageSplits(count - 1, step, total - p)
+      .forEach(rest => splits.push([p, ...rest]));
+  }
+
+  return splits;
+}
+
+/*
+  allocationPolicies(count)
+
+  Candidate policies searched by optimiseAllocation:
+    - every registered strategy that needs no options
+    - every priority order (up to 5 mortgages)
+    - fixed splits in 10% steps (2 mortgages)
+      or 25% steps (3 mortgages)
+*/
+function allocationPolicies(count) {
+
+  const policies = [];
+
+  Object.keys(ALLOCATION_STRATEGIES).forEach(key => {
+    if (key === "priority" || key === "split") return;
+
+    policies.push({
+      strategy: key,
+      strategyOptions: {},
+      label: ALLOCATION_STRATEGIES[key].label
+    });
+  });
+
+  const indexes = Array.from({ length: count }, (_, i) => i);
+
+  if (count > 1 && count <= 5) {
+    permutations(indexes).forEach(priority => policies.push({
+      strategy: "priority",
+      strategyOptions: { priority },
+      label: "Priority order " + priority.map(i => i + 1).join(" → ")
+    }));
+  }
+
+  const step = count === 2 ? 10 : count === 3 ? 25 : 0;
+
+  if (step) {
+    percentageSplits(count, step).forEach(split => policies.push({
+      strategy: "split",
+      strategyOptions: { split },
+      label: "Split " + split.map(p => p + "%").join(" / ")
+    }));
+  }
+
+  return policies;
+}
+
+/*
+  optimiseAllocation(loans, options)
+
+  Searches allocation policies for the pooled extra and
+  returns the one that minimises options.objective:
+    - "interest" (default) → total interest, then months
+    - "months"             → months to mortgage-free, then interest
+
+  options: as calculateCascadeMulti, plus
+    - constraints.maxAnnualOverpayment
+        per-mortgage annual caps (overrides loan.maxAnnualOverpayment)
+    - onProgress(done, total) after each policy (see reportProgress)
+
+  Returns:
+    - policy      { strategy, strategyOptions, label }
+    - result      calculateCascadeMulti result for that policy
+                  (cascade.allocations is the month-by-month allocation)
+    - candidates  every policy tried with its score, best first
+*/
+function optimiseAllocation(loans, options = {}) {
+
+  const objective = options.objective === "months" ? "months" : "interest";
+
+  const caps =
+    (options.constraints && options.constraints.maxAnnualOverpayment) || [];
+
+  const constrained = loans.map((loan, i) =>
+    caps[i] === undefined || caps[i] === null
+      ? loan
+      : { ...loan, maxAnnualOverpayment: caps[i] }
+  );
+
+  const score = c => objective === "months"
+    ? [c.months, c.interest]
+    : [c.interest, c.months];
+
+  const better = (a, b) => {
+    const [a1, a2] = score(a);
+    const [b1, b2] = score(b);
+    return a1 < b1 || (a1 === b1 && a2 < b2);
+  };
+
+  let best = null;
+
+  const policies = allocationPolicies(loans.length);
+
+  const candidates = policies.map((policy, k) => {
+
+    const result = calculateCascadeMulti(constrained, {
+      ...options,
+      strategy: policy.strategy,
+      strategyOptions: policy.strategyOptions
+    });
+
+    reportProgress(options, k + 1, policies.length);
+
+    const candidate = {
+      policy,
+      interest: result.cascade.interest,
+      months: result.cascade.months
+    };
+
+    if (!best || better(candidate, best)) {
+      best = { ...candidate, result };
+    }
+
+    return candidate;
+  });
+
+  candidates.sort((a, b) =>
+    better(a, b) ? -1 : better(b, a) ? 1 : 0
+  );
+
+  return {
+    objective,
+    policy: best.policy,
+    result: best.result,
+    candidates
+  };
+}
+
+
+/* =====================================================
+   Offset Comparison
+===================================================== */
+
+/*
+  compareOffsetRouting(loans, options)
+
+  Runs calculateCascadeMulti twice, once overpaying the
+  offset mortgages and once saving their extra in the
+  offset pots (options.offsetRouting is ignored).
+
+  Savings are compared in the month the first of the two
+  plans is mortgage-free, when the other may still owe
+  a balance.
+
+  Returns:
+    - overpay / offset      calculateCascadeMulti results
+    - interestDifference    offset interest − overpay interest
+    - month                 month the savings are compared
+    - liquidityRetained     offset savings − overpay savings
+    - balanceDifference     offset balance − overpay balance
+*/
+function compareOffsetRouting(loans, options = {}) {
+
+  const overpay = calculateCascadeMulti(loans, { ...options, offsetRouting: "overpay" });
+  const offset = calculateCascadeMulti(loans, { ...options, offsetRouting: "offset" });
+
+  const month = Math.min(overpay.cascade.months, offset.cascade.months);
+
+  return {
+    overpay,
+    offset,
+    interestDifference: roundMoney(offset.cascade.interest - overpay.cascade.interest),
+    month,
+    liquidityRetained: roundMoney(
+      offset.cascade.savings[month] - overpay.cascade.savings[month]
+    ),
+    balanceDifference: roundMoney(
+      offset.cascade.balances[month] - overpay.cascade.balances[month]
+    )
+  };
+}
+
+
+/* =====================================================
+   Invest vs Overpay
+===================================================== */
+
+/*
+  INVESTMENT_WRAPPERS
+
+  How investment growth is taxed (see normaliseInvestment):
+    - "tax-free" → an ISA or pension, no tax on growth
+    - "taxable"  → growth taxed at taxRate as it is earned
+*/
+const INVESTMENT_WRAPPERS = [
+  "tax-free",
+  "taxable"
+];
+
+/*
+  normaliseInvestment(investment)
+
+  Purpose:
+    Normalises the investing alternative:
+      {
+        returnRate: 6,       // expected annual return (%)
+        wrapper: "taxable",  // see INVESTMENT_WRAPPERS
+        taxRate: 20          // % of growth lost to tax (taxable only)
+      }
+
+  Ensures:
+    - Return between -50% and 50% a year
+    - A known wrapper (default "tax-free")
+    - Tax rate 0–100% (default 20%, 0 when tax-free)
+
+  Returns the above plus monthlyReturn, the net monthly
+  growth rate (compounding to returnRate over a year,
+  less tax).
+*/
+function normaliseInvestment(investment = {}) {
+
+  const returnRate = clamp(Number(investment.returnRate) || 0, -50, 50);
+
+  const wrapper = INVESTMENT_WRAPPERS.includes(investment.wrapper)
+    ? investment.wrapper
+    : "tax-free";
+
+  const taxRate = wrapper === "taxable"
+    ? clamp(Number(investment.taxRate ?? 20) || 0, 0, 100)
+    : 0;
+
+  const gross = Math.pow(1 + returnRate / 100, 1 / 12) - 1;
+
+  return {
+    returnRate,
+    wrapper,
+    taxRate,
+    monthlyReturn: gross > 0 ? gross * (1 - taxRate / 100) : gross
+  };
+}
+
+/*
+  compareInvesting(loans, options)
+
+  The overpaying plan (calculateCascadeMulti with options)
+  against investing instead: the mortgages run with no
+  overpayments or lump sums, and each month the investor
+  invests the difference between what the overpaying plan
+  paid out and what their own mortgages cost (outgoings,
+  see simulateCascade). Both plans spend the same cash.
+
+  options.investment sets the return and tax treatment
+  (see normaliseInvestment). Investments grow each month,
+  then that month's money is added.
+
+  Net worth (savings − mortgage balances, plus the
+  investments) is tracked until the overpaying plan is
+  mortgage-free, where the two are compared.
+
+  Returns:
+    - overpay / invest      calculateCascadeMulti results
+                            (invest: no overpayments)
+    - investment            normalised settings
+    - month                 month the plans are compared
+    - dates                 "YYYY-MM-DD" of months 0..month
+    - contributions[k]      money invested in month k
+    - investments[k]        value of the investments after month k
+    - overpayNetWorth[k]    net worth after month k, overpaying
+    - investNetWorth[k]     net worth after month k, investing
+    - remainingBalance      mortgage still owed when investing
+    - netWorthDifference    invest − overpay net worth at month
+*/
+function compareInvesting(loans, options = {}) {
+
+  const investment = normaliseInvestment(options.investment);
+
+  const overpay = calculateCascadeMulti(loans, options);
+
+  const invest = calculateCascadeMulti(
+    loans.map(loan => ({ ...loan, extra: 0 })),
+    { ...options, redirectScheduled: false, redirectExtra: false, lumpSums: [] }
+  );
+
+  const month = overpay.cascade.months;
+
+  // Past the end of a run its last value holds
+  const at = (arr, k) => arr[Math.min(k, arr.length - 1)];
+  const spent = (run, k) => k < run.outgoings.length ? run.outgoings[k] : 0;
+
+  const contributions = [0];
+  const investments = [0];
+  const overpayNetWorth = [];
+  const investNetWorth = [];
+
+  let value = 0;
+
+  for (let k = 0; k <= month; k++) {
+
+    if (k > 0) {
+      const amount = roundMoney(spent(overpay.cascade, k) - spent(invest.cascade, k));
+
+      value = roundMoney(value * (1 + investment.monthlyReturn) + amount);
+
+      contributions.push(amount);
+      investments.push(value);
+    }
+
+    overpayNetWorth.push(roundMoney(
+      overpay.cascade.savings[k] - overpay.cascade.balances[k]
+    ));
+
+    investNetWorth.push(roundMoney(
+      value + at(invest.cascade.savings, k) - at(invest.cascade.balances, k)
+    ));
+  }
+
+  return {
+    overpay,
+    invest,
+    investment,
+    month,
+    dates: overpay.cascade.dates.slice(0, month + 1),
+    contributions,
+    investments,
+    overpayNetWorth,
+    investNetWorth,
+    remainingBalance: at(invest.cascade.balances, month),
+    netWorthDifference: roundMoney(investNetWorth[month] - overpayNetWorth[month])
+  };
+}
+
+
+/* =====================================================
+   Rate Scenarios (Monte Carlo)
+===================================================== */
+
+/*
+  reversion(loan)
+
+  The rate step a mortgage ends up on: the last step of
+  its rate schedule, product switches included (see
+  normaliseRateSchedule). A fixed rate ends the month
+  before; { month: 1, rate } when there is no fix.
+*/
+function reversion(loan) {
+  const steps = normaliseRateSchedule(loan, normaliseSwitches(loan));
+  return steps[steps.length - 1];
+}
+
+/*
+  normaliseMonteCarlo(mc, loans)
+
+  Purpose:
+    Normalises the random base-rate model:
+      {
+        paths: 200,        // number of rate paths
+        seed: 1,           // same seed → same paths
+        baseRate: 4,       // base rate today (%)
+        drift: 0,          // expected change, % points a year
+        volatility: 1,     // standard deviation of the change
+                           // over a year, % points
+        margin: 2,         // lender margin over base (%), one
+                           // for all or one per mortgage
+        floor: 0,          // base rate never falls below this
+        step: 0.25         // base rate moves in steps of this
+      }
+
+  Ensures:
+    - 1–2000 paths, a whole-number seed
+    - Base rate and floor 0–25%, drift ±5, volatility 0–10
+    - A margin per mortgage: given, or the rate it reverts
+      to (see reversion; its current rate if it has no fix)
+      minus base
+    - Step 0–5 (0 → base rate moves continuously)
+*/
+function normaliseMonteCarlo(mc = {}, loans) {
+
+  const baseRate = clamp(Number(mc.baseRate) || 0, 0, 25);
+
+  const margins = loans.map((loan, i) => {
+
+    const given = Array.isArray(mc.margin) ? mc.margin[i] : mc.margin;
+
+    if (given !== undefined && given !== null && given !== "") {
+      return clamp(Number(given) || 0, -10, 25);
+    }
+
+    return roundMoney(reversion(loan).rate - baseRate);
+  });
+
+  return {
+    paths: clamp(Math.floor(Number(mc.paths) || 200), 1, 2000),
+    seed: Math.floor(Number(mc.seed) || 1),
+    baseRate,
+    drift: clamp(Number(mc.drift) || 0, -5, 5),
+    volatility: clamp(Number(mc.volatility) || 0, 0, 10),
+    margins,
+    floor: clamp(Number(mc.floor) || 0, 0, 25),
+    step: clamp(mc.step === undefined ? 0.25 : Number(mc.step) || 0, 0, 5)
+  };
+}
+
+/*
+  generateBasePath(mc, random, months)
+
+  One random walk of the base rate: path[k - 1] is the
+  base rate in timeline month k. Each month it moves by
+  drift / 12 plus a normal shock of volatility / √12,
+  held at the floor, and is quoted in whole steps.
+*/
+function generateBasePath(mc, random, months) {
+
+  const path = [];
+  let level = mc.baseRate;
+
+  for (let k = 1; k <= months; k++) {
+
+    level = Math.max(
+      mc.floor,
+      level + mc.drift / 12 + mc.volatility / Math.sqrt(12) * random.normal()
+    );
+
+    const quoted = mc.step > 0 ? Math.round(level / mc.step) * mc.step : level;
+
+    path.push(Math.max(mc.floor, roundMoney(quoted)));
+  }
+
+  return path;
+}
+
+/*
+  pathLoans(loans, offsets, path, margins)
+
+  The loans with their rate after any fixed period
+  following base + margin along one base-rate path
+  from the month it reverts (see reversion; no fix →
+  from month 1).
+  Product switches keep their own rates.
+
+  A term derived from a contractual payment (see
+  normaliseTerm) is kept, and the payment re-derived, so
+  a path above what the payment covers can still run.
+*/
+function pathLoans(loans, offsets, path, margins) {
+
+  return loans.map((loan, i) => {
+
+    if (loan.payment) {
+      loan = { ...loan, months: normaliseMortgage(loan).months, payment: null };
+    }
+
+    const fixEnd = reversion(loan).month - 1;
+    const steps = [];
+
+    let last = null;
+
+    for (let month = fixEnd + 1; month + offsets[i] <= path.length; month++) {
+
+      const rate = roundMoney(clamp(path[month + offsets[i] - 1] + margins[i], 0, 25));
+
+      if (rate !== last) steps.push({ month, rate });
+      last = rate;
+    }
+
+    return {
+      ...loan,
+      fixEndMonth: null,
+      revertRate: null,
+      rateSchedule: [
+        ...normaliseRateSchedule(loan).filter(step => step.month <= fixEnd),
+        ...steps
+      ]
+    };
+  });
+}
+
+/*
+  simulateRatePaths(loans, options)
+
+  Monte Carlo of where rates go after the fixes end.
+  Generates options.monteCarlo.paths base-rate paths (see
+  normaliseMonteCarlo) and runs calculateCascadeMulti over
+  each with the other options, giving the combined
+  (cascade) and separate (baseline) plans on every path.
+  options.onProgress(done, total) is called after each path.
+
+  Returns:
+    - settings              normalised model
+    - combined / separate   { interest, months, dates } each
+                            { p10, p50, p90 } across paths
+                            (months whole, dates "YYYY-MM-DD")
+    - balanceBands          { dates, p10, p50, p90 } combined
+                            total balance after each month
+                            (0 once a path is mortgage-free)
+*/
+function simulateRatePaths(loans, options = {}) {
+
+  if (!Array.isArray(loans) || loans.length === 0)
+    throw new Error("At least one mortgage is required.");
+
+  const mc = normaliseMonteCarlo(options.monteCarlo, loans);
+
+  const normalised = loans.map(normaliseLoan);
+  const calendar = createCalendar(normalised);
+  const offsets = calendar.offsets;
+
+  // Long enough for every term, with room for a late finish
+  const horizon = Math.max(...normalised.map((m, i) => offsets[i] + m.months)) + 120;
+
+  const random = createRandom(mc.seed);
+  const runs = [];
+
+  for (let p = 0; p < mc.paths; p++) {
+
+    const path = generateBasePath(mc, random, horizon);
+    const result = calculateCascadeMulti(pathLoans(loans, offsets, path, mc.margins), options);
+
+    runs.push({
+      combined: result.cascade,
+      separate: result.baseline
+    });
+
+    reportProgress(options, p + 1, mc.paths);
+  }
+
+  const bands = values => {
+    const sorted = values.slice().sort((a, b) => a - b);
+
+    return {
+      p10: percentile(sorted, 10),
+      p50: percentile(sorted, 50),
+      p90: percentile(sorted, 90)
+    };
+  };
+
+  const summarise = plan => {
+
+    const interest = bands(runs.map(run => run[plan].interest));
+    const months = bands(runs.map(run => run[plan].months));
+
+    ["p10", "p50", "p90"].forEach(p => {
+      interest[p] = roundMoney(interest[p]);
+      months[p] = Math.round(months[p]);
+    });
+
+    return {
+      interest,
+      months,
+      dates: {
+        p10: calendar.date(months.p10),
+        p50: calendar.date(months.p50),
+        p90: calendar.date(months.p90)
+      }
+    };
+  };
+
+  const longest = Math.max(...runs.map(run => run.combined.months));
+  const balanceBands = { dates: [], p10: [], p50: [], p90: [] };
+
+  for (let k = 0; k <= longest; k++) {
+
+    const band = bands(runs.map(run => run.combined.balances[k] || 0));
+
+    balanceBands.dates.push(calendar.date(k));
+    balanceBands.p10.push(roundMoney(band.p10));
+    balanceBands.p50.push(roundMoney(band.p50));
+    balanceBands.p90.push(roundMoney(band.p90));
+  }
+
+  return {
+    settings: mc,
+    combined: summarise("combined"),
+    separate: summarise("separate"),
+    balanceBands
+  };
+}
+
+
+/* =====================================================
+   Rate Stress Test
+===================================================== */
+
+/*
+  shockLoan(loan, shock, from)
+
+  The loan with `shock` percentage points added to its
+  rate from the shock month onwards: month 1 (from "now")
+  or the month it reverts (from "fix-end", see reversion:
+  fixEndMonth, a rate schedule or a product switch's fix;
+  no fix → month 1). Later rate steps and product switches
+  are shocked too.
+
+  A term derived from a contractual payment (see
+  normaliseTerm) is kept, and the payment re-derived.
+
+  Returns { loan, month } where month is the shock month.
+*/
+function shockLoan(loan, shock, from) {
+
+  if (loan.payment) {
+    loan = { ...loan, months: normaliseMortgage(loan).months, payment: null };
+  }
+
+  const month = from === "fix-end" ? reversion(loan).month : 1;
+
+  const steps = normaliseRateSchedule(loan);
+  const inForce = steps.filter(step => step.month <= month).pop();
+
+  const rateSchedule = [
+    ...steps.filter(step => step.month < month),
+    { month, rate: inForce.rate + shock },
+    ...steps
+      .filter(step => step.month > month)
+      .map(step => ({ month: step.month, rate: step.rate + shock }))
+  ];
+
+  const hasRevert = s => s.revertRate !== undefined && s.revertRate !== null && s.revertRate !== "";
+
+  // A switch made before the shock month can still revert after it
+  const switches = (Array.isArray(loan.switches) ? loan.switches : []).map(s => ({
+    ...s,
+    rate: s.month >= month ? Number(s.rate) + shock : s.rate,
+    revertRate: hasRevert(s) && s.month + (Math.floor(s.fixMonths) || 0) >= month
+      ? Number(s.revertRate) + shock
+      : s.revertRate
+  }));
+
+  return {
+    loan: { ...loan, revertRate: null, rateSchedule, switches },
+    month
+  };
+}
+
+/*
+  stressTestRates(loans, options)
+
+  Lender-style affordability stress test: reruns the
+  scenario through calculateCascadeMulti with every rate
+  shocked up by each of options.shocks (percentage points,
+  default [1, 2, 3]).
+
+  options: as calculateCascadeMulti, plus
+    - shocks      [1, 2, 3]
+    - shockFrom   "now" (default) or "fix-end" (see shockLoan)
+    - strategies  strategy keys to run (default: every
+                  registered strategy)
+    - onProgress  (done, total) after each shock
+
+  Returns { shockFrom, shocks: [...] }, one entry per shock:
+    - shock
+    - payments[i]   mortgage i's scheduled payment once the
+                    shock applies (without overpayments)
+    - separate      { interest, totalCost, months, date }
+    - strategies    [{ strategy, label, interest, totalCost,
+                       months, date }] combined plans
+*/
+function stressTestRates(loans, options = {}) {
+
+  if (!Array.isArray(loans) || loans.length === 0)
+    throw new Error("At least one mortgage is required.");
+
+  const shocks = Array.isArray(options.shocks) ? options.shocks.map(Number) : [1, 2, 3];
+  const shockFrom = options.shockFrom === "fix-end" ? "fix-end" : "now";
+
+  const keys = (Array.isArray(options.strategies)
+    ? options.strategies
+    : Object.keys(ALLOCATION_STRATEGIES)
+  ).filter(key => ALLOCATION_STRATEGIES[key]);
+
+  const strategies = keys.length > 0 ? keys : ["avalanche"];
+
+  const outcome = run => ({
+    interest: run.interest,
+    totalCost: run.totalCost,
+    months: run.months,
+    date: run.dates[run.months]
+  });
+
+  return {
+    shockFrom,
+    shocks: shocks.map((shock, k) => {
+
+      const shocked = loans.map(loan => shockLoan(loan, shock, shockFrom));
+      const shockedLoans = shocked.map(s => s.loan);
+
+      // Contractual payments: no overpayments or lump sums
+      const contractual = calculateCascadeMulti(
+        shockedLoans.map(loan => ({ ...loan, extra: 0 })),
+        { redirectScheduled: false, redirectExtra: false }
+      );
+
+      const payments = contractual.baseline.loans.map((single, i) =>
+        single.payments.filter(p => p.month <= shocked[i].month).pop().scheduled
+      );
+
+      const results = strategies.map(strategy => ({
+        strategy,
+        result: calculateCascadeMulti(shockedLoans, { ...options, strategy })
+      }));
+
+      reportProgress(options, k + 1, shocks.length);
+
+      return {
+        shock,
+        payments,
+        separate: outcome(results[0].result.baseline),
+        strategies: results.map(({ strategy, result }) => ({
+          strategy,
+          label: ALLOCATION_STRATEGIES[strategy].label,
+          ...outcome(result.cascade)
+        }))
+      };
+    })
+  };
+}
+
+
+/* =====================================================
+   Sensitivity Analysis
+===================================================== */
+
+/*
+  SENSITIVITY_STEPS
+
+  How far analyseSensitivity moves each input either way:
+  balances by a percentage, rates by percentage points,
+  terms by months and overpayments (and contractual
+  payments) by pounds a month.
+*/
+const SENSITIVITY_STEPS = {
+  balance: 10,
+  rate: 1,
+  months: 12,
+  payment: 100,
+  extra: 100
+};
+
+/*
+  analyseSensitivity(loans, options)
+
+  Which input matters most: reruns the scenario through
+  calculateCascadeMulti with one input moved at a time and
+  measures the combined plan's total interest and months
+  to clear against the scenario as given.
+
+  For each mortgage: balance, rate (every step and switch,
+  as shockLoan from "now"), term (or the monthly payment,
+  for a term derived from one) and overpayment (every
+  step of its schedule). Then each redirect toggle, off
+  and on.
+
+  options: as calculateCascadeMulti, plus
+    - steps       overrides for SENSITIVITY_STEPS
+    - onProgress  (done, total) after each run
+
+  Returns { base: { interest, months }, steps, inputs },
+  inputs sorted by impact (largest interest change first):
+    - input     "balance", "rate", "months", "payment",
+                "extra", "redirectScheduled" or "redirectExtra"
+    - mortgage  index, or null for the toggles
+    - low/high  { value, interest, months, interestChange,
+                  monthsChange } with the input moved down /
+                up (toggles: off / on), or null where that
+                can't be run (a contractual payment no longer
+                covering the interest)
+    - impact    largest absolute interest change
+*/
+function analyseSensitivity(loans, options = {}) {
+
+  if (!Array.isArray(loans) || loans.length === 0)
+    throw new Error("At least one mortgage is required.");
+
+  const steps = { ...SENSITIVITY_STEPS, ...(options.steps || {}) };
+
+  // The scenario, 8 runs per mortgage and both toggles off and on
+  const total = 1 + loans.length * 8 + 4;
+  let done = 0;
+
+  const run = (variantLoans, variantOptions = options) => {
+    const cascade = calculateCascadeMulti(variantLoans, variantOptions).cascade;
+    reportProgress(options, ++done, total);
+    return { interest: cascade.interest, months: cascade.months };
+  };
+
+  const base = run(loans);
+
+  // A contractual payment that no longer covers the interest can't be run
+  const covered = loan => {
+
+    if (!loan.payment) return true;
+
+    const m = normaliseMortgage({ ...loan, payment: null, months: 1 });
+
+    return m.balloon < m.balance &&
+      remainingTerm(m.balance, m.rate, loan.payment, m.balloon, m.interestMethod) !== null;
+  };
+
+  const measure = (value, variantLoans, variantOptions) => {
+
+    if (!variantLoans.every(covered)) {
+      reportProgress(options, ++done, total);
+      return null;
+    }
+
+    const outcome = run(variantLoans, variantOptions);
+    return {
+      value,
+      ...outcome,
+      interestChange: roundMoney(outcome.interest - base.interest),
+      monthsChange: outcome.months - base.months
+    };
+  };
+
+  const inputs = [];
+
+  loans.forEach((loan, i) => {
+
+    const withLoan = variant => loans.map((l, j) => j === i ? variant : l);
+    const balance = Number(loan.balance) || 0;
+    const extra = normaliseExtra(loan.extra);
+
+    const moveExtra = d => ({
+      ...extra,
+      amount: Math.max(0, extra.amount + d),
+      steps: extra.steps.map(s => ({ ...s, amount: Math.max(0, s.amount + d) }))
+    });
+
+    const rateLoan = shock => shockLoan(loan, shock, "now").loan;
+    const rate = normaliseRateSchedule(loan)[0].rate;
+
+    inputs.push({
+      input: "balance",
+      mortgage: i,
+      low: measure(
+        roundMoney(balance * (1 - steps.balance / 100)),
+        withLoan({ ...loan, balance: roundMoney(balance * (1 - steps.balance / 100)) })
+      ),
+      high: measure(
+        roundMoney(balance * (1 + steps.balance / 100)),
+        withLoan({ ...loan, balance: roundMoney(balance * (1 + steps.balance / 100)) })
+      )
+    });
+
+    inputs.push({
+      input: "rate",
+      mortgage: i,
+      low: measure(Math.max(0, rate - steps.rate), withLoan(rateLoan(-steps.rate))),
+      high: measure(rate + steps.rate, withLoan(rateLoan(steps.rate)))
+    });
+
+    if (loan.payment) {
+
+      const lowPayment = Math.max(0.01, roundMoney(loan.payment - steps.payment));
+
+      inputs.push({
+        input: "payment",
+        mortgage: i,
+        low: measure(lowPayment, withLoan({ ...loan, payment: lowPayment })),
+        high: measure(
+          roundMoney(loan.payment + steps.payment),
+          withLoan({ ...loan, payment: roundMoney(loan.payment + steps.payment) })
+        )
+      });
+
+    } else {
+
+      const months = Math.floor(loan.months);
+
+      inputs.push({
+        input: "months",
+        mortgage: i,
+        low: measure(
+          Math.max(1, months - steps.months),
+          withLoan({ ...loan, months: Math.max(1, months - steps.months) })
+        ),
+        high: measure(months + steps.months, withLoan({ ...loan, months: months + steps.months }))
+      });
+    }
+
+    inputs.push({
+      input: "extra",
+      mortgage: i,
+      low: measure(Math.max(0, extra.amount - steps.extra), withLoan({ ...loan, extra: moveExtra(-steps.extra) })),
+      high: measure(extra.amount + steps.extra, withLoan({ ...loan, extra: moveExtra(steps.extra) }))
+    });
+  });
+
+  ["redirectScheduled", "redirectExtra"].forEach(input => {
+    inputs.push({
+      input,
+      mortgage: null,
+      low: measure(false, loans, { ...options, [input]: false }),
+      high: measure(true, loans, { ...options, [input]: true })
+    });
+  });
+
+  inputs.forEach(entry => {
+    entry.impact = Math.max(
+      entry.low ? Math.abs(entry.low.interestChange) : 0,
+      entry.high ? Math.abs(entry.high.interestChange) : 0
+    );
+  });
+
+  return {
+    base,
+    steps,
+    inputs: inputs.sort((a, b) => b.impact - a.impact)
+  };
+}
+
+
+/* =====================================================
+   Goal Seek
+===================================================== */
+
+/*
+  goalSeekLoans(loans, total)
+
+  The loans with `total` monthly overpayment shared in
+  proportion to their current extra (month 1 amounts),
+  or to their balances if none is set.
+*/
+function goalSeekLoans(loans, total) {
+
+  const extras = loans.map(loan => normaliseExtra(loan.extra).amount);
+  const useExtras = extras.some(x => x > 0);
+
+  const weights = useExtras ? extras : loans.map(loan => Number(loan.balance) || 0);
+  const totalWeight = weights.reduce((t, w) => t + w, 0) || 1;
+
+  return loans.map((loan, i) => ({
+    ...loan,
+    extra: roundMoney(total * weights[i] / totalWeight)
+  }));
+}
+
+/*
+  solveOverpayment(loans, target, options)
+
+  Finds the smallest combined monthly overpayment (whole
+  pounds) that makes the combined plan mortgage-free by
+  `target`: a timeline month, or a date ("YYYY-MM" or
+  "YYYY-MM-DD", cleared by the payment in that month).
+
+  options: as calculateCascadeMulti (strategy, redirects, ...).
+  The overpayment replaces each mortgage's extra, shared
+  as goalSeekLoans does; lump sums still apply.
+
+  Returns:
+    - feasible      false if even clearing everything in
+                    month 1 cannot meet the target
+    - target        the target as a timeline month
+    - monthlyExtra  combined overpayment needed
+    - split[i]      suggested overpayment from mortgage i
+    - allocation[i] where the strategy sends it in month 1
+    - result        calculateCascadeMulti result at that amount
+*/
+function solveOverpayment(loans, target, options = {}) {
+
+  if (!Array.isArray(loans) || loans.length === 0)
+    throw new Error("At least one mortgage is required.");
+
+  const month = typeof target === "number"
+    ? Math.floor(target)
+    : createCalendar(loans.map(normaliseLoan)).month(new Date(target));
+
+  if (!(month >= 1)) throw new Error("Target must be a month ≥ 1 or a date.");
+
+  const run = total => calculateCascadeMulti(goalSeekLoans(loans, total), options);
+  const meets = result => result.cascade.months <= month;
+
+  const answer = (total, result) => ({
+    feasible: true,
+    target: month,
+    monthlyExtra: total,
+    split: goalSeekLoans(loans, total).map(loan => loan.extra),
+    allocation: result.cascade.allocations[0] || loans.map(() => 0),
+    result
+  });
+
+  const none = run(0);
+  if (meets(none)) return answer(0, none);
+
+  let hi = Math.ceil(loans.reduce((t, loan) => t + (Number(loan.balance) || 0), 0));
+  let best = run(hi);
+
+  if (!meets(best)) {
+    return { feasible: false, target: month, monthlyExtra: null, split: null, allocation: null, result: best };
+  }
+
+  let lo = 0;
+
+  while (hi - lo > 1) {
+
+    const mid = Math.floor((lo + hi) / 2);
+    const result = run(mid);
+
+    if (meets(result)) {
+      hi = mid;
+      best = result;
+    } else {
+      lo = mid;
+    }
+  }
+
+  return answer(hi, best);
+}
+
+/*
+  solveMortgageFreeDate(loans, monthlyExtra, options)
+
+  The inverse of solveOverpayment: when the combined plan
+  is mortgage-free with `monthlyExtra` a month, shared
+  as goalSeekLoans does.
+
+  Returns { months, date, split, result }, date being
+  "YYYY-MM-DD" of the last payment.
+*/
+function solveMortgageFreeDate(loans, monthlyExtra, options = {}) {
+
+  const total = normaliseExtra(monthlyExtra).amount;
+  const shared = goalSeekLoans(loans, total);
+  const result = calculateCascadeMulti(shared, options);
+
+  return {
+    months: result.cascade.months,
+    date: result.cascade.dates[result.cascade.months],
+    split: shared.map(loan => loan.extra),
+    result
+  };
+}
+
+
+/* =====================================================
+   Schedule Export
+===================================================== */
+
+/*
+  scheduleRows(run, names)
+
+  One engine run's ledger (see simulateCascade) as rows
+  for a spreadsheet: a header, then one row per mortgage
+  per month while it has a balance.
+*/
+function scheduleRows(run, names) {
+
+  const header = [
+    "Month", "Date", "Mortgage", "Opening balance", "Fees added", "Interest",
+    "Scheduled principal", "Extra received",
+    ...names.map(name => `Extra from ${name}`),
+    "Extra from pooled lump sums", "Saved in offset", "Interest-only repaid",
+    "Closing balance"
+  ];
+
+  const rows = run.ledger.flatMap(entry => entry.loans
+    .map((row, i) => ({ row, i }))
+    .filter(({ row }) => row.opening > 0)
+    .map(({ row, i }) => [
+      entry.month, entry.date, names[i], row.opening, row.fees, row.interest,
+      row.principal, row.extra, ...row.from, row.pooled, row.deposited,
+      row.balloon, row.closing
+    ]));
+
+  return [header, ...rows];
+}
+
+/*
+  planScheduleRows(result, names)
+
+  A calculateCascadeMulti result's schedule, combined
+  then kept separate, as one table with a Plan column
+  (see scheduleRows).
+*/
+function planScheduleRows(result, names) {
+
+  const combined = scheduleRows(result.cascade, names);
+  const separate = scheduleRows(result.baseline, names);
+
+  return [
+    ["Plan", ...combined[0]],
+    ...combined.slice(1).map(row => ["Combined", ...row]),
+    ...separate.slice(1).map(row => ["Separate", ...row])
+  ];
+}
+
+/*
+  toCsv(rows)
+
+  Rows as CSV text, quoting any cell with a comma, quote
+  or line break.
+*/
+function toCsv(rows) {
+
+  const cell = value => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return rows.map(row => row.map(cell).join(",")).join("\r\n") + "\r\n";
+}
+
+
+/* =====================================================
+   Exports
+===================================================== */
+
+/*
+  ENGINE_EXPORTS
+
+  The engine's public API. engine.js has no DOM access,
+  so it loads three ways:
+
+    - <script src="engine.js"> (and importScripts in a
+      worker) → each export becomes a global
+    - require("./engine.js") in Node or a bundler
+      → module.exports
+    - import from "./engine.mjs" → named ES exports
+*/
+const ENGINE_EXPORTS = {
+
+  // Entry points
+  calculateCascade,
+  calculateCascadeMulti,
+  simulateSingle,
+  simulateBaseline,
+  simulateCascade,
+
+  // Core maths
+  monthlyPayment,
+  remainingTerm,
+  computeScheduledPayment,
+
+  // Normalisers
+  normaliseMortgage,
+  normaliseTerm,
+  normaliseCalendar,
+  normaliseRepaymentType,
+  normaliseSwitches,
+  normaliseRateSchedule,
+  normaliseExtra,
+  normaliseLumpSums,
+  normaliseAnnualCap,
+  normaliseAllowance,
+  normaliseOffset,
+  normaliseLoan,
+  normaliseStrategyOptions,
+  normaliseInvestment,
+  normaliseMonteCarlo,
+
+  // Strategies and analyses
+  ALLOCATION_STRATEGIES,
+  registerAllocationStrategy,
+  optimiseAllocation,
+  compareOffsetRouting,
+  compareInvesting,
+  simulateRatePaths,
+  stressTestRates,
+  analyseSensitivity,
+  solveOverpayment,
+  solveMortgageFreeDate,
+
+  // Schedule export
+  scheduleRows,
+  planScheduleRows,
+  toCsv,
+
+  // Options and money
+  RECALCULATION_MODES,
+  INTEREST_METHODS,
+  OFFSET_ROUTINGS,
+  INVESTMENT_WRAPPERS,
+  SENSITIVITY_STEPS,
+  roundMoney,
+  toPence,
+  fromPence,
+  apportionPence
+};
+
+if (typeof module === "object" && module.exports) {
+  module.exports = ENGINE_EXPORTS;
+} else {
+  Object.assign(globalThis, ENGINE_EXPORTS);
+}
+
+
+/* =====================================================
+   Tests
+===================================================== */
+
+function runAllocationComparisonTests() {
+
+  console.log("Running allocation comparison tests...");
+
+  let cascadeWorse = 0;
+
+  for (let i = 0; i < 10000; i++) {
+
+    const m1 = { balance: 200000, rate: 5, months: 300 };
+    const m2 = { balance: 150000, rate: 3, months: 300 };
+
+    const result = calculateCascade(m1, m2, 500, 300);
+
+    if (result.cascade.interest > result.baseline.interest + 0.01)
+      cascadeWorse++;
+  }
+
+  console.log("Cascade worse cases:", cascadeWorse);
+}
+
+if (DEV_MODE) {
+  // After the page has loaded, or straight away in Node / a worker
+  if (typeof document !== "undefined") {
+    document.addEventListener("DOMContentLoaded", function () {
+      runAllocationComparisonTests();
+      runComparisonModeTests();
+    });
+  } else {
+    runAllocationComparisonTests();
+    runComparisonModeTests();
+  }
+}
+function runComparisonModeTests() {
+
+  console.log("Running comparison mode tests...");
+
+  const m1 = { balance: 300000, rate: 5, months: 300 };
+  const m2 = { balance: 200000, rate: 3, months: 300 };
+
+  const extra1 = 500;
+  const extra2 = 200;
+
+  // Baseline: no overpayments
+  const baselineNone = calculateCascade(
+    m1,
+    m2,
+    0,
+    0,
+    false,
+    false,
+    "avalanche"
+  );
+
+  // Cascade with extras
+  const cascade = calculateCascade(
+    m1,
+    m2,
+    extra1,
+    extra2,
+    true,
+    true,
+    "avalanche"
+  );
+
+  if (cascade.cascade.interest > baselineNone.baseline.interest + 0.01) {
+    console.error("ERROR: Cascade worse than no-overpayment baseline");
+  } else {
+    console.log("PASS: Cascade improves vs no-overpayment baseline");
+  }
+}
+
+function runHighRateAllocationInvariantTest() {
+
+  console.log("Running strict high-rate invariant test...");
+
+  const m1 = { balance: 200000, rate: 7, months: 300 };
+  const m2 = { balance: 200000, rate: 6.5, months: 300 };
+
+  const result = calculateCascade(
+    m1,
+    m2,
+    500,
+    500,
+    false,
+    false,
+    "avalanche"
+  );
+
+  const m1Balances = result.cascade.m1Balances;
+  const m2Balances = result.cascade.m2Balances;
+
+  let errorFound = false;
+
+  for (let i = 1; i < m1Balances.length; i++) {
+
+    const prevM1 = m1Balances[i - 1];
+    const prevM2 = m2Balances[i - 1];
+
+    const currM1 = m1Balances[i];
+    const currM2 = m2Balances[i];
+
+    // If BOTH mortgages still had balance last month
+    if (prevM1 > 0 && prevM2 > 0) {
+
+      const reductionM1 = prevM1 - currM1;
+      const reductionM2 = prevM2 - currM2;
+
+      // If lower-rate mortgage reduced MORE than higher-rate mortgage
+      if (reductionM2 > reductionM1 + 0.01) {
+        console.error(
+          "ERROR: Lower-rate mortgage reduced more than higher-rate mortgage in month",
+          i
+        );
+        errorFound = true;
+        break;
+      }
+    }
+  }
+
+  if (!errorFound) {
+    console.log("PASS: Higher-rate mortgage always received priority while both active");
+  }
+}
+
+if (DEV_MODE) {
+  runHighRateAllocationInvariantTest();
+  runOwnerContributionTest();
+}
+
+function runOwnerContributionTest() {
+
+  console.log("Running owner contribution invariant test...");
+
+  const m1 = { balance: 250000, rate: 7, months: 240 };
+  const m2 = { balance: 150000, rate: 6, months: 240 };
+
+  const extra1 = 500;
+  const extra2 = 200;
+
+  const result = calculateCascade(
+    m1,
+    m2,
+    extra1,
+    extra2,
+    false,
+    false,
+    "avalanche"
+  );
+
+  const attr = result.cascade.attribution;
+
+  const m2TotalContribution =
+    attr.m2ExtraPaidToM1 + attr.m2ExtraPaidToM2;
+
+  console.log("Attribution:", attr);
+
+  if (extra2 > 0 && m2TotalContribution <= 0.01) {
+    console.error("ERROR: Mortgage 2 extra never contributed anywhere");
+  } else {
+    console.log("PASS: Mortgage 2 extra correctly contributed");
+  }
+}
+
+/* =====================================================
+   EXTENDED DEV INVARIANT SUITE
+===================================================== */
+
+function runExtendedInvariantSuite() {
+
+  console.log("Running extended invariant suite...");
+
+  /* -------------------------------------------------
+     2. No negative balances
+  ------------------------------------------------- */
+  (function () {
+
+    const m1 = { balance: 250000, rate: 7, months: 240 };
+    const m2 = { balance: 150000, rate: 6, months: 240 };
+
+    const result = calculateCascade(
+      m1, m2, 500, 200,
+      true, true, "avalanche"
+    );
+
+    const allBalances = [
+      ...result.cascade.m1Balances,
+      ...result.cascade.m2Balances
+    ];
+
+    if (allBalances.some(b => b < -0.01)) {
+      console.error("ERROR: Negative balance detected");
+    } else {
+      console.log("PASS: No negative balances");
+    }
+  })();
+
+
+  /* -------------------------------------------------
+     3. Final balances exactly zero
+  ------------------------------------------------- */
+  (function () {
+
+    const m1 = { balance: 300000, rate: 5, months: 300 };
+    const m2 = { balance: 200000, rate: 4, months: 300 };
+
+    const result = calculateCascade(
+      m1, m2, 600, 400,
+      true, true, "avalanche"
+    );
+
+    const finalM1 = result.cascade.m1Balances.slice(-1)[0];
+    const finalM2 = result.cascade.m2Balances.slice(-1)[0];
+
+    if (Math.abs(finalM1) > 0.01 || Math.abs(finalM2) > 0.01) {
+      console.error("ERROR: Final balances not zero");
+    } else {
+      console.log("PASS: Final balances zero");
+    }
+  })();
+
+
+  /* -------------------------------------------------
+     4. Balance never increases month-to-month
+  ------------------------------------------------- */
+  (function () {
+
+    const m1 = { balance: 200000, rate: 6, months: 300 };
+    const m2 = { balance: 150000, rate: 5, months: 300 };
+
+    const result = calculateCascade(
+      m1, m2, 500, 200,
+      true, true, "avalanche"
+    );
+
+    const check = (arr) => {
+      for (let i = 1; i < arr.length; i++) {
+        if (arr[i] > arr[i - 1] + 0.01) {
+          return false;
+        }
+      }
+      return true;
+    };
+
+    if (!check(result.cascade.m1Balances) ||
+        !check(result.cascade.m2Balances)) {
+      console.error("ERROR: Balance increased unexpectedly");
+    } else {
+      console.log("PASS: Balances monotonic");
+    }
+  })();
+
+
+  /* -------------------------------------------------
+     5. No-extra → cascade identical to baseline
+  ------------------------------------------------- */
+  (function () {
+
+    const m1 = { balance: 200000, rate: 5, months: 300 };
+    const m2 = { balance: 150000, rate: 4, months: 300 };
+
+    const result = calculateCascade(
+      m1, m2, 0, 0,
+      true, true, "avalanche"
+    );
+
+    if (Math.abs(result.interestSaved) > 0.5) {
+      console.error("ERROR: Cascade differs with zero extra");
+    } else {
+      console.log("PASS: Zero-extra case stable");
+    }
+  })();
+
+
+  /* -------------------------------------------------
+     6. Conservation invariant (From = To)
+  ------------------------------------------------- */
+  (function () {
+
+    const m1 = { balance: 295000, rate: 3, months: 161 };
+    const m2 = { balance: 150000, rate: 1, months: 300 };
+
+    const result = calculateCascade(
+      m1, m2, 500, 100,
+      true, true, "avalanche",
+      [{ month: 30, amount: 12345.67, source: "pooled" }]
+    );
+
+    const yearly = result.cascade.yearly;
+
+    // Exact to the penny, every year (pooled money has no source mortgage)
+    const unbalanced = yearly.filter(y =>
+      toPence(y.fromM1) + toPence(y.fromM2) + toPence(y.pooled) !==
+      toPence(y.extraToM1) + toPence(y.extraToM2)
+    );
+
+    if (unbalanced.length > 0) {
+      console.error("ERROR: Conservation invariant failed");
+    } else {
+      console.log("PASS: Conservation invariant");
+    }
+  })();
+
+
+  /* -------------------------------------------------
+     7. Redirect-off invariant
+  ------------------------------------------------- */
+  (function () {
+
+    const m1 = { balance: 295000, rate: 3, months: 161 };
+    const m2 = { balance: 150000, rate: 1, months: 300 };
+
+    const result = calculateCascade(
+      m1, m2, 500, 100,
+      false, false, "avalanche"
+    );
+
+    const yearly = result.cascade.yearly;
+
+    const yearlyTotals = yearly.map(y => y.fromM1 + y.fromM2);
+
+    if (Math.max(...yearlyTotals) > 7200 + 1) {
+      console.error("ERROR: Redirect-off allowed scheduled payments");
+    } else {
+      console.log("PASS: Redirect-off behaviour correct");
+    }
+  })();
+
+}
+/* Run only in DEV_MODE */
+if (DEV_MODE) {
+  runZeroInterestTest();
+  runTinyBalanceTest();
+  runSymmetryTest();
+  runExtremeRatePriorityTest();
+  runMassiveExtraTest();
+  runRedirectMatrixTest();
+  runRandomFuzzer();
+}
+
+
+function runZeroInterestTest() {
+  console.log("Running zero-interest test...");
+
+  const m1 = { balance: 100000, rate: 0, months: 120 };
+  const m2 = { balance: 50000, rate: 5, months: 240 };
+
+  const result = calculateCascade(m1, m2, 200, 100);
+
+  if (isNaN(result.cascade.interest)) {
+    console.error("ERROR: Zero interest produced NaN");
+  } else {
+    console.log("PASS: Zero interest handled correctly");
+  }
+}
+
+function runTinyBalanceTest() {
+  console.log("Running tiny balance test...");
+
+  const m1 = { balance: 50, rate: 7, months: 240 };
+  const m2 = { balance: 200000, rate: 5, months: 300 };
+
+  const result = calculateCascade(m1, m2, 100, 0);
+
+  const final = result.cascade.m1Balances.slice(-1)[0];
+
+  if (Math.abs(final) > 0.01) {
+    console.error("ERROR: Tiny balance not cleared cleanly");
+  } else {
+    console.log("PASS: Tiny balance cleared cleanly");
+  }
+}
+
+function runSymmetryTest() {
+  console.log("Running symmetry test...");
+
+  const m1 = { balance: 200000, rate: 5, months: 300 };
+  const m2 = { balance: 200000, rate: 5, months: 300 };
+
+  const result = calculateCascade(m1, m2, 300, 300);
+
+  const diff = Math.abs(
+    result.cascade.m1Balances.slice(-1)[0] -
+    result.cascade.m2Balances.slice(-1)[0]
+  );
+
+  if (diff > 0.01) {
+    console.error("ERROR: Symmetry violated");
+  } else {
+    console.log("PASS: Symmetry holds");
+  }
+}
+
+function runExtremeRatePriorityTest() {
+  console.log("Running extreme rate priority test...");
+
+  const m1 = { balance: 300000, rate: 10, months: 300 };
+  const m2 = { balance: 300000, rate: 1, months: 300 };
+
+  const result = calculateCascade(m1, m2, 500, 500);
+
+  const m1Balances = result.cascade.m1Balances;
+  const m2Balances = result.cascade.m2Balances;
+
+  for (let i = 1; i < m1Balances.length; i++) {
+
+    const prevM1 = m1Balances[i - 1];
+    const prevM2 = m2Balances[i - 1];
+
+    const currM1 = m1Balances[i];
+    const currM2 = m2Balances[i];
+
+    // Only enforce priority while BOTH are active
+    if (prevM1 > 0 && prevM2 > 0) {
+
+      const reductionM1 = prevM1 - currM1;
+      const reductionM2 = prevM2 - currM2;
+
+      if (reductionM2 > reductionM1 + 0.01) {
+        console.error("ERROR: Allocation priority violated in month", i);
+        return;
+      }
+    }
+  }
+
+  console.log("PASS: Extreme rate priority enforced correctly");
+}
+
+function runMassiveExtraTest() {
+  console.log("Running massive extra test...");
+
+  const m1 = { balance: 200000, rate: 5, months: 300 };
+  const m2 = { balance: 150000, rate: 4, months: 300 };
+
+  const result = calculateCascade(m1, m2, 10000, 10000);
+
+  if (result.cascade.months <= 0) {
+    console.error("ERROR: Massive extra broke simulation");
+  } else {
+    console.log("PASS: Massive extra stable");
+  }
+}
+
+function runRedirectMatrixTest() {
+  console.log("Running redirect matrix test...");
+
+  const m1 = { balance: 200000, rate: 5, months: 300 };
+  const m2 = { balance: 100000, rate: 3, months: 300 };
+
+  const a = calculateCascade(m1, m2, 300, 200, true, true);
+  const b = calculateCascade(m1, m2, 300, 200, false, false);
+
+  if (a.cascade.months > b.cascade.months) {
+    console.error("ERROR: Redirect worsened outcome");
+  } else {
+    console.log("PASS: Redirect behaves logically");
+  }
+}
+
+function runRandomFuzzer() {
+  console.log("Running random fuzzer...");
+
+  for (let i = 0; i < 1000; i++) {
+
+    const m1 = {
+      balance: 50000 + Math.random() * 300000,
+      rate: Math.random() * 10,
+      months: 60 + Math.floor(Math.random() * 360)
+    };
+
+    const m2 = {
+      balance: 50000 + Math.random() * 300000,
+      rate: Math.random() * 10,
+      months: 60 + Math.floor(Math.random() * 360)
+    };
+
+    const result = calculateCascade(
+      m1, m2,
+      Math.random() * 1000,
+      Math.random() * 1000
+    );
+
+    if (!isFinite(result.cascade.interest)) {
+      console.error("ERROR: Random fuzzer broke engine");
+      return;
+    }
+  }
+
+  console.log("PASS: Random fuzzer stable");
+}
+
+
+if (DEV_MODE) {
+  runMultiLoanTest();
+}
+
+function runMultiLoanTest() {
+  console.log("Running multi-loan test...");
+
+  const loans = [
+    { balance: 200000, rate: 5, months: 300, extra: 300 },
+    { balance: 150000, rate: 6, months: 240, extra: 200 },
+    { balance: 80000, rate: 4, months: 180, extra: 0 },
+    { balance: 30000, rate: 8, months: 120, extra: 100 }
+  ];
+
+  const result = calculateCascadeMulti(loans);
+  const cascade = result.cascade;
+
+  const paidIn = cascade.attribution
+    .map(row => row.reduce((t, x) => t + x, 0));
+
+  const received = loans
+    .map((_, to) => cascade.attribution.reduce((t, row) => t + toPence(row[to]), 0));
+
+  const totalTo = cascade.yearly
+    .reduce((t, y) => t + y.extraTo.reduce((s, x) => s + toPence(x), 0), 0);
+
+  const finals = cascade.loanBalances.map(arr => arr.slice(-1)[0]);
+
+  if (finals.some(b => Math.abs(b) > 0.01)) {
+    console.error("ERROR: Multi-loan final balances not zero");
+  } else if (received.reduce((t, x) => t + x, 0) !== totalTo) {
+    console.error("ERROR: Multi-loan attribution does not match extra paid");
+  } else if (paidIn[2] > 0.01 && !cascade.yearly.some(y => y.endBalances[2] === 0)) {
+    console.error("ERROR: Mortgage 3 contributed before it was cleared");
+  } else if (result.cascade.interest > result.baseline.interest + 0.01) {
+    console.error("ERROR: Multi-loan cascade worse than separate");
+  } else {
+    console.log("PASS: Multi-loan cascade consistent");
+  }
+}
+
+
+if (DEV_MODE) {
+  runStrategyRegistryTest();
+}
+
+function runStrategyRegistryTest() {
+  console.log("Running strategy registry test...");
+
+  const loans = [
+    { balance: 180000, rate: 4.7, months: 209, extra: 500 },
+    { balance: 250000, rate: 5.1, months: 300, extra: 100 },
+    { balance: 50000, rate: 6, months: 120, extra: 0 }
+  ];
+
+  for (const strategy of Object.keys(ALLOCATION_STRATEGIES)) {
+
+    const result = calculateCascadeMulti(loans, {
+      strategy,
+      strategyOptions: { priority: [2, 0], split: [50, 30, 20] }
+    });
+
+    const finals = result.cascade.loanBalances.map(arr => arr.slice(-1)[0]);
+
+    if (finals.some(b => Math.abs(b) > 0.01)) {
+      console.error("ERROR: Strategy left a balance:", strategy);
+      return;
+    }
+  }
+
+  // 100/0/0 split and "mortgage 1 first" priority are the same policy
+  const split = calculateCascadeMulti(loans, {
+    strategy: "split",
+    strategyOptions: { split: [100, 0, 0] }
+  });
 
-  const interestSaved =
-    Math.abs(rawInterestSaved) < 0.5 ? 0 : Math.max(0, rawInterestSaved);
+  const priority = calculateCascadeMulti(loans, {
+    strategy: "priority",
+    strategyOptions: { priority: [0] }
+  });
 
-  const scheduled1 = computeScheduledPayment(m1);
-  const scheduled2 = computeScheduledPayment(m2);
+  if (Math.abs(split.cascade.interest - priority.cascade.interest) > 0.01) {
+    console.error("ERROR: 100% split differs from matching priority order");
+  } else {
+    console.log("PASS: Every registered strategy clears all mortgages");
+  }
+}
 
-  return {
-    baseline,
-    cascade,
-    monthsSaved,
-    interestSaved,
-    scheduled1,
-    scheduled2
-  };
+
+if (DEV_MODE) {
+  runOptimiserTest();
 }
 
-window.calculateCascade = calculateCascade;
+function runOptimiserTest() {
+  console.log("Running optimiser test...");
 
+  const loans = [
+    { balance: 180000, rate: 4.7, months: 209, extra: 500 },
+    { balance: 250000, rate: 5.1, months: 300, extra: 100 },
+    { balance: 50000, rate: 6, months: 120, extra: 0 }
+  ];
 
-/* =====================================================
-   Tests
-===================================================== */
+  const caps = [null, 5000, 2000];
 
-function runAllocationComparisonTests() {
+  const optimal = optimiseAllocation(loans, {
+    constraints: { maxAnnualOverpayment: caps }
+  });
 
-  console.log("Running allocation comparison tests...");
+  const allocations = optimal.result.cascade.allocations;
 
-  let cascadeWorse = 0;
+  for (let start = 0; start < allocations.length; start += 12) {
 
-  for (let i = 0; i < 10000; i++) {
+    const year = allocations.slice(start, start + 12);
 
-    const m1 = { balance: 200000, rate: 5, months: 300 };
-    const m2 = { balance: 150000, rate: 3, months: 300 };
+    for (let i = 0; i < caps.length; i++) {
+      if (caps[i] === null) continue;
 
-    const result = calculateCascade(m1, m2, 500, 300);
+      const paid = year.reduce((t, month) => t + month[i], 0);
 
-    if (result.cascade.interest > result.baseline.interest + 0.01)
-      cascadeWorse++;
+      if (paid > caps[i] + 0.01) {
+        console.error("ERROR: Annual cap exceeded for mortgage", i + 1);
+        return;
+      }
+    }
   }
 
-  console.log("Cascade worse cases:", cascadeWorse);
+  const beaten = Object.keys(ALLOCATION_STRATEGIES).some(strategy =>
+    calculateCascadeMulti(
+      loans.map((loan, i) => ({ ...loan, maxAnnualOverpayment: caps[i] })),
+      { strategy }
+    ).cascade.interest < optimal.result.cascade.interest - 0.01
+  );
+
+  if (beaten) {
+    console.error("ERROR: A registered strategy beat the optimiser");
+  } else {
+    console.log("PASS: Optimiser respects caps and beats every strategy");
+  }
 }
 
+
 if (DEV_MODE) {
-  document.addEventListener("DOMContentLoaded", function () {
-    runAllocationComparisonTests();
-    runComparisonModeTests();
-  });
+  runRateScheduleTest();
 }
-function runComparisonModeTests() {
 
-  console.log("Running comparison mode tests...");
+function runRateScheduleTest() {
+  console.log("Running rate schedule test...");
 
-  const m1 = { balance: 300000, rate: 5, months: 300 };
-  const m2 = { balance: 200000, rate: 3, months: 300 };
+  // Mortgage 1 is cheaper until its fix ends, then dearer
+  const loans = [
+    { balance: 200000, rate: 3, fixEndMonth: 24, revertRate: 7, months: 300, extra: 300 },
+    { balance: 200000, rate: 5, months: 300, extra: 300 }
+  ];
 
-  const extra1 = 500;
-  const extra2 = 200;
+  const result = calculateCascadeMulti(loans);
+  const allocations = result.cascade.allocations;
+  const payments = result.baseline.loans[0].payments;
 
-  // Baseline: no overpayments
-  const baselineNone = calculateCascade(
-    m1,
-    m2,
-    0,
-    0,
-    false,
-    false,
-    "avalanche"
-  );
+  if (allocations[23][1] <= 0 || allocations[24][0] <= 0) {
+    console.error("ERROR: Avalanche did not re-target when rates crossed");
+  } else if (payments.length !== 2 || payments[1].month !== 25 ||
+             payments[1].scheduled <= payments[0].scheduled) {
+    console.error("ERROR: Scheduled payment not recalculated at reversion");
+  } else {
+    console.log("PASS: Rate schedule re-targets and re-prices payments");
+  }
+}
 
-  // Cascade with extras
-  const cascade = calculateCascade(
-    m1,
-    m2,
-    extra1,
-    extra2,
-    true,
-    true,
-    "avalanche"
-  );
 
-  if (cascade.cascade.interest > baselineNone.baseline.interest + 0.01) {
-    console.error("ERROR: Cascade worse than no-overpayment baseline");
+if (DEV_MODE) {
+  runProductSwitchTest();
+}
+
+function runProductSwitchTest() {
+  console.log("Running product switch test...");
+
+  const base = { balance: 200000, rate: 3, fixEndMonth: 24, revertRate: 7.5, months: 300, extra: 0 };
+
+  const switched = calculateCascadeMulti([{
+    ...base,
+    switches: [{ month: 25, rate: 4.5, months: 240, fee: 999, addFeeToBalance: true }]
+  }]);
+
+  const paidUpFront = calculateCascadeMulti([{
+    ...base,
+    switches: [{ month: 25, rate: 4.5, fee: 999 }]
+  }]);
+
+  const single = switched.baseline.loans[0];
+  const newTerm = single.payments.find(p => p.month === 25);
+  const expected = computeScheduledPayment({
+    balance: single.balances[24] + 999,
+    rate: 4.5,
+    months: 240
+  });
+
+  if (!newTerm || Math.abs(newTerm.scheduled - expected) > 0.01) {
+    console.error("ERROR: Payment not re-derived at the switch", newTerm, expected);
+  } else if (switched.baseline.months !== 24 + 240) {
+    console.error("ERROR: New term not applied", switched.baseline.months);
+  } else if (paidUpFront.baseline.fees !== 999 ||
+             Math.abs(paidUpFront.baseline.totalCost -
+               (paidUpFront.baseline.interest + 999)) > 0.01) {
+    console.error("ERROR: Arrangement fee missing from total cost");
   } else {
-    console.log("PASS: Cascade improves vs no-overpayment baseline");
+    console.log("PASS: Product switch re-prices the loan and counts fees");
   }
 }
 
-function runHighRateAllocationInvariantTest() {
-
-  console.log("Running strict high-rate invariant test...");
 
-  const m1 = { balance: 200000, rate: 7, months: 300 };
-  const m2 = { balance: 200000, rate: 6.5, months: 300 };
+if (DEV_MODE) {
+  runLumpSumTest();
+}
 
-  const result = calculateCascade(
-    m1,
-    m2,
-    500,
-    500,
-    false,
-    false,
-    "avalanche"
-  );
+function runLumpSumTest() {
+  console.log("Running lump sum test...");
 
-  const m1Balances = result.cascade.m1Balances;
-  const m2Balances = result.cascade.m2Balances;
+  const loans = [
+    { balance: 100000, rate: 5, months: 240, extra: 100 },
+    { balance: 50000, rate: 3, months: 240, extra: 100 }
+  ];
 
-  let errorFound = false;
+  const lumpSums = [
+    { month: 13, amount: 10000, source: 1 },
+    { month: 25, amount: 6000, source: "pooled" }
+  ];
 
-  for (let i = 1; i < m1Balances.length; i++) {
+  const plain = calculateCascadeMulti(loans);
+  const result = calculateCascadeMulti(loans, { lumpSums });
 
-    const prevM1 = m1Balances[i - 1];
-    const prevM2 = m2Balances[i - 1];
+  // Separate: mortgage 2 takes its own lump sum in month 13
+  const before = plain.baseline.loans[1].balances;
+  const after = result.baseline.loans[1].balances;
+  const separateDrop = (after[12] - after[13]) - (before[12] - before[13]);
 
-    const currM1 = m1Balances[i];
-    const currM2 = m2Balances[i];
+  const yearly = result.cascade.yearly;
 
-    // If BOTH mortgages still had balance last month
-    if (prevM1 > 0 && prevM2 > 0) {
+  const paidIn = yearly.reduce((t, y) => t + y.lumpSums, 0);
 
-      const reductionM1 = prevM1 - currM1;
-      const reductionM2 = prevM2 - currM2;
+  const leak = yearly.some(y =>
+    y.from.reduce((t, x) => t + toPence(x), toPence(y.pooled)) !==
+    y.extraTo.reduce((t, x) => t + toPence(x), 0)
+  );
 
-      // If lower-rate mortgage reduced MORE than higher-rate mortgage
-      if (reductionM2 > reductionM1 + 0.01) {
-        console.error(
-          "ERROR: Lower-rate mortgage reduced more than higher-rate mortgage in month",
-          i
-        );
-        errorFound = true;
-        break;
-      }
-    }
+  if (Math.abs(separateDrop - 10000) > 1) {
+    console.error("ERROR: Lump sum not applied to its own mortgage", separateDrop);
+  } else if (Math.abs(paidIn - 16000) > 0.01 || yearly[2].pooled !== 6000) {
+    console.error("ERROR: Lump sums not reported in the yearly flow", paidIn);
+  } else if (leak) {
+    console.error("ERROR: Lump sums break yearly conservation");
+  } else if (result.cascade.interest >= plain.cascade.interest) {
+    console.error("ERROR: Lump sums did not reduce interest");
+  } else {
+    console.log("PASS: Lump sums are pooled, reported and conserved");
   }
+}
 
-  if (!errorFound) {
-    console.log("PASS: Higher-rate mortgage always received priority while both active");
+
+if (DEV_MODE) {
+  runAllowanceTest();
+}
+
+function runAllowanceTest() {
+  console.log("Running overpayment allowance test...");
+
+  // 10% of £200,000 = £20,000 a year → full after 8 months of £2,500
+  const loans = [
+    { balance: 200000, rate: 6, months: 300, extra: 2500,
+      allowancePercent: 10, ercPercent: 3, ercEndMonth: 60 },
+    { balance: 100000, rate: 4, months: 300, extra: 0 }
+  ];
+
+  const spill = calculateCascadeMulti(loans);
+  const saved = calculateCascadeMulti(loans, { excessTo: "savings" });
+
+  const withErc = calculateCascadeMulti([
+    { ...loans[0], payErc: true },
+    loans[1]
+  ]);
+
+  const allocations = spill.cascade.allocations;
+  const firstBinding = spill.cascade.capBinding[0];
+
+  // Allowance year from month 5: £6,000 left until then, renewed once
+  const anniversary = calculateCascadeMulti([
+    { balance: 200000, rate: 6, months: 300, extra: 2500,
+      maxAnnualOverpayment: 6000, allowanceResetMonth: 5 },
+    loans[1]
+  ], { excessTo: "savings" }).cascade.allocations.map(a => a[0]);
+
+  if (allocations[8][0] !== 0 || allocations[8][1] !== 2500 ||
+      allocations[12][0] !== 2500) {
+    console.error("ERROR: Allowance not enforced / reset", allocations[8], allocations[12]);
+  } else if (!firstBinding || firstBinding.month !== 9) {
+    console.error("ERROR: Binding month not flagged", firstBinding);
+  } else if (saved.cascade.allocations[8][1] !== 0 ||
+             saved.cascade.unallocated < 2500) {
+    console.error("ERROR: Excess not kept in savings");
+  } else if (withErc.cascade.ercFees <= 0 ||
+             withErc.cascade.fees !== withErc.cascade.ercFees ||
+             withErc.cascade.allocations[8][0] !== 2500) {
+    console.error("ERROR: ERC not charged when exceeding the allowance");
+  } else if (spill.cascade.loanBalances[0][60] > 2500 &&
+             allocations[60][0] !== 2500) {
+    console.error("ERROR: Allowance still applied after the ERC period");
+  } else if ([2500, 2500, 1000, 0, 2500, 2500, 1000, 0, 0].some((x, k) => anniversary[k] !== x) ||
+             anniversary[16] !== 2500) {
+    console.error("ERROR: Allowance year not renewed on its anniversary", anniversary.slice(0, 17));
+  } else {
+    console.log("PASS: Allowances cap, spill, save and charge ERCs");
   }
 }
 
+
 if (DEV_MODE) {
-  runHighRateAllocationInvariantTest();
-  runOwnerContributionTest();
+  runRecalculationModeTest();
 }
 
-function runOwnerContributionTest() {
+function runRecalculationModeTest() {
+  console.log("Running recalculation mode test...");
 
-  console.log("Running owner contribution invariant test...");
+  const loan = { balance: 150000, rate: 5, months: 240, extra: 300 };
 
-  const m1 = { balance: 250000, rate: 7, months: 240 };
-  const m2 = { balance: 150000, rate: 6, months: 240 };
+  const term = simulateSingle(normaliseLoan(loan), 300);
 
-  const extra1 = 500;
-  const extra2 = 200;
+  const annual = simulateSingle(
+    normaliseLoan({ ...loan, recalculation: "reduce-payment-annually" }), 300
+  );
 
-  const result = calculateCascade(
-    m1,
-    m2,
-    extra1,
-    extra2,
-    false,
-    false,
-    "avalanche"
+  const immediate = simulateSingle(
+    normaliseLoan({ ...loan, recalculation: "reduce-payment-immediately" }), 300
   );
 
-  const attr = result.cascade.attribution;
+  const annualMonths = annual.payments.slice(1).map(p => p.month);
+
+  // Cleared mortgage redirects what the lender was actually charging
+  const cascade = calculateCascadeMulti([
+    { ...loan, recalculation: "reduce-payment-immediately", extra: 2000 },
+    { balance: 300000, rate: 3, months: 300, extra: 0 }
+  ]).cascade;
+
+  const charged = cascade.loanPayments[0][cascade.loanPayments[0].length - 1];
+
+  if (term.payments.length !== 1 || term.months >= 240) {
+    console.error("ERROR: Reduce-term mode changed the payment");
+  } else if (annualMonths[0] !== 13 || annualMonths.some(m => (m - 1) % 12 !== 0)) {
+    console.error("ERROR: Annual recalculation not on anniversaries", annualMonths);
+  } else if (immediate.payments[1].month !== 2 ||
+             immediate.payments[1].scheduled >= immediate.payments[0].scheduled) {
+    console.error("ERROR: Immediate recalculation did not lower the payment");
+  } else if (annual.months <= term.months || immediate.interest <= term.interest) {
+    console.error("ERROR: Reduce-payment modes should keep the term longer");
+  } else if (charged.scheduled >= immediate.payments[0].scheduled) {
+    console.error("ERROR: Redirected payment ignores the lender recalculation");
+  } else {
+    console.log("PASS: Lender recalculation modes behave as expected");
+  }
+}
 
-  const m2TotalContribution =
-    attr.m2ExtraPaidToM1 + attr.m2ExtraPaidToM2;
 
-  console.log("Attribution:", attr);
+if (DEV_MODE) {
+  runInterestOnlyTest();
+}
 
-  if (extra2 > 0 && m2TotalContribution <= 0.01) {
-    console.error("ERROR: Mortgage 2 extra never contributed anywhere");
+function runInterestOnlyTest() {
+  console.log("Running interest-only test...");
+
+  const io = { balance: 200000, rate: 6, months: 120, repaymentType: "interest-only" };
+
+  const plain = simulateSingle(normaliseLoan(io), 0);
+  const overpaid = simulateSingle(normaliseLoan(io), 500);
+
+  const partAndPart = simulateSingle(normaliseLoan({
+    ...io,
+    repaymentType: "part-and-part",
+    interestOnlyPercent: 50
+  }), 0);
+
+  // Overpaying lowers the balance, and with it the interest,
+  // but no scheduled principal is ever taken
+  const secondMonthPaid = overpaid.balances[1] - overpaid.balances[2];
+
+  if (plain.balances[119] !== 200000 || plain.balloon !== 200000 ||
+      plain.months !== 120 || Math.abs(plain.interest - 120000) > 0.01) {
+    console.error("ERROR: Interest-only loan should pay interest and a balloon", plain.balloon);
+  } else if (Math.abs(secondMonthPaid - 500) > 0.01 || overpaid.balloon !== 140000) {
+    console.error("ERROR: Overpayments into interest-only loan mishandled", secondMonthPaid, overpaid.balloon);
+  } else if (partAndPart.balloon !== 100000 || partAndPart.months !== 120) {
+    console.error("ERROR: Part-and-part balloon wrong", partAndPart.balloon);
   } else {
-    console.log("PASS: Mortgage 2 extra correctly contributed");
+    console.log("PASS: Interest-only and part-and-part loans end in a balloon");
   }
 }
 
-/* =====================================================
-   EXTENDED DEV INVARIANT SUITE
-===================================================== */
 
-function runExtendedInvariantSuite() {
+if (DEV_MODE) {
+  runOffsetTest();
+}
 
-  console.log("Running extended invariant suite...");
+function runOffsetTest() {
+  console.log("Running offset mortgage test...");
 
-  /* -------------------------------------------------
-     2. No negative balances
-  ------------------------------------------------- */
-  (function () {
+  const loan = {
+    balance: 200000,
+    rate: 6,
+    months: 300,
+    extra: 500,
+    offsetSavings: 20000,
+    offsetContribution: 100
+  };
 
-    const m1 = { balance: 250000, rate: 7, months: 240 };
-    const m2 = { balance: 150000, rate: 6, months: 240 };
+  const covered = simulateSingle(
+    normaliseLoan({ balance: 100000, rate: 5, months: 120, offsetSavings: 100000 }),
+    0
+  );
 
-    const result = calculateCascade(
-      m1, m2, 500, 200,
-      true, true, "avalanche"
-    );
+  const plain = compareOffsetRouting([loan]);
 
-    const allBalances = [
-      ...result.cascade.m1Balances,
-      ...result.cascade.m2Balances
-    ];
+  // A 1,000 allowance with the rest kept in savings: the pot takes it all
+  const limited = compareOffsetRouting(
+    [
+      { ...loan, maxAnnualOverpayment: 1000 },
+      { balance: 100000, rate: 4, months: 200, extra: 200 }
+    ],
+    { excessTo: "savings" }
+  );
 
-    if (allBalances.some(b => b < -0.01)) {
-      console.error("ERROR: Negative balance detected");
-    } else {
-      console.log("PASS: No negative balances");
-    }
-  })();
+  const firstInterest = plain.overpay.cascade.yearly[0].interest;
+
+  if (covered.interest !== 0 || covered.offsetSavings !== 100000) {
+    console.error("ERROR: Fully offset mortgage should charge no interest", covered.interest);
+  } else if (firstInterest >= roundMoney(200000 * 0.06)) {
+    console.error("ERROR: Offset pot not deducted from interest", firstInterest);
+  } else if (Math.abs(plain.interestDifference) > 1 || plain.liquidityRetained <= 0) {
+    console.error("ERROR: Saving in the pot should match overpaying and keep the money",
+      plain.interestDifference, plain.liquidityRetained);
+  } else if (limited.interestDifference >= 0 ||
+      limited.offset.cascade.offsetSavings[0] <= limited.overpay.cascade.offsetSavings[0]) {
+    console.error("ERROR: Offset pot should beat a capped overpayment", limited.interestDifference);
+  } else {
+    console.log("PASS: Offset pots cut interest and keep savings liquid");
+  }
+}
 
 
-  /* -------------------------------------------------
-     3. Final balances exactly zero
-  ------------------------------------------------- */
-  (function () {
+if (DEV_MODE) {
+  runInterestMethodTest();
+}
 
-    const m1 = { balance: 300000, rate: 5, months: 300 };
-    const m2 = { balance: 200000, rate: 4, months: 300 };
+function runInterestMethodTest() {
+  console.log("Running interest method test...");
 
-    const result = calculateCascade(
-      m1, m2, 600, 400,
-      true, true, "avalanche"
-    );
+  const loan = { balance: 100000, rate: 5, months: 300, startDate: "2024-01-15" };
 
-    const finalM1 = result.cascade.m1Balances.slice(-1)[0];
-    const finalM2 = result.cascade.m2Balances.slice(-1)[0];
+  // 365.25 days a year at rate / 365 can leave a few pounds for one more month
+  const daily = simulateSingle(normaliseLoan({ ...loan, interestMethod: "daily" }), 0);
+  const monthly = simulateSingle(normaliseLoan(loan), 1000);
+  const annual = simulateSingle(normaliseLoan({ ...loan, interestMethod: "annual-rest" }), 1000);
 
-    if (Math.abs(finalM1) > 0.01 || Math.abs(finalM2) > 0.01) {
-      console.error("ERROR: Final balances not zero");
-    } else {
-      console.log("PASS: Final balances zero");
-    }
-  })();
+  const dailyTerms = createLoanTerms(normaliseLoan({ ...loan, interestMethod: "daily" }));
+  const annualTerms = createLoanTerms(normaliseLoan({ ...loan, interestMethod: "annual-rest" }));
 
+  // 15 Jan → 15 Feb = 31 days, 15 Feb → 15 Mar 2024 = 29 days (leap year)
+  const january = dailyTerms.interest(1, 100000);
+  const february = dailyTerms.interest(2, 100000);
 
-  /* -------------------------------------------------
-     4. Balance never increases month-to-month
-  ------------------------------------------------- */
-  (function () {
+  // Annual rest: a lower balance mid-year only counts from the anniversary
+  annualTerms.interest(1, 100000);
+  const midYear = annualTerms.interest(6, 90000);
+  const anniversary = annualTerms.interest(13, 90000);
 
-    const m1 = { balance: 200000, rate: 6, months: 300 };
-    const m2 = { balance: 150000, rate: 5, months: 300 };
+  if (january !== 424.66 || february !== 397.26) {
+    console.error("ERROR: Daily interest should count actual days", january, february);
+  } else if (midYear !== 416.67 || anniversary !== 375) {
+    console.error("ERROR: Annual rest should hold the balance for a year", midYear, anniversary);
+  } else if (daily.months > 301 || annual.interest <= monthly.interest) {
+    console.error("ERROR: Interest methods mis-simulated", daily.months, annual.interest, monthly.interest);
+  } else {
+    console.log("PASS: Daily and annual-rest interest follow the calendar");
+  }
+}
 
-    const result = calculateCascade(
-      m1, m2, 500, 200,
-      true, true, "avalanche"
-    );
 
-    const check = (arr) => {
-      for (let i = 1; i < arr.length; i++) {
-        if (arr[i] > arr[i - 1] + 0.01) {
-          return false;
-        }
-      }
-      return true;
-    };
+if (DEV_MODE) {
+  runCalendarTest();
+}
 
-    if (!check(result.cascade.m1Balances) ||
-        !check(result.cascade.m2Balances)) {
-      console.error("ERROR: Balance increased unexpectedly");
-    } else {
-      console.log("PASS: Balances monotonic");
-    }
-  })();
+function runCalendarTest() {
+  console.log("Running calendar test...");
+
+  // Paid on the 31st: short months move the payment to their last day
+  const single = simulateSingle(
+    normaliseLoan({ balance: 50000, rate: 4, months: 120, startDate: "2024-01-31" }),
+    0
+  );
+
+  // Mortgage 2 makes its first payment a month after mortgage 1
+  const result = calculateCascadeMulti([
+    { balance: 100000, rate: 5, months: 240, extra: 300, startDate: "2026-01-10", paymentDay: 1 },
+    { balance: 80000, rate: 6, months: 240, extra: 200, startDate: "2026-03-20", paymentDay: 28 }
+  ]);
+
+  const cascade = result.cascade;
+  const baseline = result.baseline;
+
+  if (single.dates[1] !== "2024-02-29" || single.dates[2] !== "2024-03-31" ||
+      single.dates.length !== single.balances.length) {
+    console.error("ERROR: Payment dates ignore month lengths", single.dates.slice(0, 3));
+  } else if (cascade.startOffsets[1] !== 1 || cascade.dates[1] !== "2026-02-01" ||
+      cascade.dates[2] !== "2026-03-28") {
+    console.error("ERROR: Mortgages not lined up by date", cascade.startOffsets, cascade.dates.slice(0, 3));
+  } else if (cascade.allocations[0][0] !== 300 || cascade.allocations[0][1] !== 0 ||
+      cascade.loanBalances[1][1] !== 80000 || baseline.loanBalances[1][1] !== 80000) {
+    console.error("ERROR: Mortgage joined before its first payment", cascade.allocations[0]);
+  } else if (baseline.months !==
+      Math.max(baseline.loans[0].months, baseline.loans[1].months + 1)) {
+    console.error("ERROR: Separate timeline mis-aligned", baseline.months);
+  } else if (cascade.yearly[0].startDate !== "2026-02-01" ||
+      cascade.yearly[0].endDate !== cascade.dates[12]) {
+    console.error("ERROR: Yearly rows not dated", cascade.yearly[0]);
+  } else {
+    console.log("PASS: Schedules follow real dates and payment days");
+  }
+}
+
+
+if (DEV_MODE) {
+  runExtraScheduleTest();
+}
+
+function runExtraScheduleTest() {
+  console.log("Running overpayment schedule test...");
+
+  const schedule = normaliseExtra({
+    amount: 500,
+    steps: [{ month: 25, amount: 900 }, { month: 25, amount: 800 }],
+    escalation: 3,
+    pauses: [{ from: 30, to: 35 }, { from: 50, to: 40 }]
+  });
 
+  const expected = { 1: 500, 13: 515, 25: 800, 30: 0, 36: 800, 37: 824, 50: 0, 51: 848.72 };
 
-  /* -------------------------------------------------
-     5. No-extra → cascade identical to baseline
-  ------------------------------------------------- */
-  (function () {
+  const wrong = Object.keys(expected)
+    .filter(month => extraInMonth(schedule, Number(month)) !== expected[month]);
 
-    const m1 = { balance: 200000, rate: 5, months: 300 };
-    const m2 = { balance: 150000, rate: 4, months: 300 };
+  const result = calculateCascadeMulti([
+    { balance: 150000, rate: 5, months: 300, extra: schedule },
+    { balance: 100000, rate: 4, months: 300, extra: { amount: 200, pauses: [{ from: 30, to: 35 }] } }
+  ]);
 
-    const result = calculateCascade(
-      m1, m2, 0, 0,
-      true, true, "avalanche"
-    );
+  // Paused months: no overpayment from either mortgage
+  const paused = result.cascade.allocations[29].every(x => x === 0);
+  const fromFirst = result.cascade.yearly[2].from[0];
 
-    if (Math.abs(result.interestSaved) > 0.5) {
-      console.error("ERROR: Cascade differs with zero extra");
-    } else {
-      console.log("PASS: Zero-extra case stable");
-    }
-  })();
+  const single = result.baseline.loans[0];
+  const scheduledOnly = single.balances[29] - single.balances[30];
+  const withExtra = single.balances[28] - single.balances[29];
 
+  if (wrong.length > 0) {
+    console.error("ERROR: Overpayment schedule amounts wrong in months", wrong);
+  } else if (normaliseExtra(-50).amount !== 0 || schedule.pauses[1].to !== 50) {
+    console.error("ERROR: Overpayment schedule not validated", schedule);
+  } else if (!paused || Math.abs(fromFirst - (800 * 5 + 800)) > 0.01) {
+    console.error("ERROR: Cascade ignores the overpayment schedule", fromFirst);
+  } else if (withExtra - scheduledOnly < 790) {
+    console.error("ERROR: Baseline ignores the overpayment schedule", withExtra, scheduledOnly);
+  } else {
+    console.log("PASS: Overpayment schedules step, escalate and pause");
+  }
+}
 
-  /* -------------------------------------------------
-     6. Conservation invariant (From = To)
-  ------------------------------------------------- */
-  (function () {
 
-    const m1 = { balance: 295000, rate: 3, months: 161 };
-    const m2 = { balance: 150000, rate: 1, months: 300 };
+if (DEV_MODE) {
+  runGoalSeekTest();
+}
 
-    const result = calculateCascade(
-      m1, m2, 500, 100,
-      true, true, "avalanche"
-    );
+function runGoalSeekTest() {
+  console.log("Running goal seek test...");
 
-    const yearly = result.cascade.yearly;
+  const loans = [
+    { balance: 180000, rate: 4.7, months: 209, extra: 500, startDate: "2026-01-01" },
+    { balance: 250000, rate: 5.1, months: 300, extra: 100, startDate: "2026-01-01" }
+  ];
 
-    const totalFrom = yearly.reduce(
-      (t, y) => t + y.fromM1 + y.fromM2, 0
-    );
+  const solved = solveOverpayment(loans, "2035-01");
 
-    const totalTo = yearly.reduce(
-      (t, y) => t + y.extraToM1 + y.extraToM2, 0
-    );
+  const justEnough = solveMortgageFreeDate(loans, solved.monthlyExtra);
+  const oneLess = solveMortgageFreeDate(loans, solved.monthlyExtra - 1);
 
-    if (Math.abs(totalFrom - totalTo) > 1) {
-      console.error("ERROR: Conservation invariant failed");
-    } else {
-      console.log("PASS: Conservation invariant");
-    }
-  })();
+  const splitTotal = roundMoney(solved.split.reduce((t, x) => t + x, 0));
 
+  // No overpayment allowed at all → the target can't be reached
+  const blocked = solveOverpayment(
+    loans.map(loan => ({ ...loan, maxAnnualOverpayment: 0 })),
+    60,
+    { excessTo: "savings" }
+  );
 
-  /* -------------------------------------------------
-     7. Redirect-off invariant
-  ------------------------------------------------- */
-  (function () {
+  if (!solved.feasible || solved.target !== 108 || justEnough.months > 108 || oneLess.months <= 108) {
+    console.error("ERROR: Goal seek did not find the minimum overpayment",
+      solved.monthlyExtra, justEnough.months, oneLess.months);
+  } else if (justEnough.date !== "2035-01-01" || Math.abs(splitTotal - solved.monthlyExtra) > 0.01 ||
+      Math.abs(solved.split[0] / solved.split[1] - 5) > 0.01) {
+    console.error("ERROR: Goal seek split or date wrong", solved.split, justEnough.date);
+  } else if (blocked.feasible || solveOverpayment(loans, 600).monthlyExtra !== 0) {
+    console.error("ERROR: Goal seek mis-handles unreachable or easy targets");
+  } else {
+    console.log("PASS: Goal seek finds the minimum overpayment and its date");
+  }
+}
 
-    const m1 = { balance: 295000, rate: 3, months: 161 };
-    const m2 = { balance: 150000, rate: 1, months: 300 };
 
-    const result = calculateCascade(
-      m1, m2, 500, 100,
-      false, false, "avalanche"
-    );
+if (DEV_MODE) {
+  runPaymentTermTest();
+}
 
-    const yearly = result.cascade.yearly;
+function runPaymentTermTest() {
+  console.log("Running payment → term test...");
 
-    const yearlyTotals = yearly.map(y => y.fromM1 + y.fromM2);
+  // Round trips: the payment for a term implies that term
+  const cases = [
+    { balance: 200000, rate: 5, months: 300 },
+    { balance: 150000, rate: 3.7, months: 209, repaymentType: "part-and-part", interestOnlyPercent: 40 },
+    { balance: 90000, rate: 6.25, months: 120, interestMethod: "annual-rest" },
+    { balance: 60000, rate: 0, months: 84 }
+  ];
 
-    if (Math.max(...yearlyTotals) > 7200 + 1) {
-      console.error("ERROR: Redirect-off allowed scheduled payments");
-    } else {
-      console.log("PASS: Redirect-off behaviour correct");
-    }
-  })();
+  const wrong = cases.filter(c => {
+    const m = normaliseMortgage(c);
+    const payment = computeScheduledPayment(m);
 
+    return normaliseMortgage({ ...c, months: null, payment }).months !== c.months;
+  });
+
+  // A payment between two terms → one more month, smaller last payment
+  const loan = { balance: 200000, rate: 5, payment: 1200, extra: 0 };
+  const result = calculateCascadeMulti([loan]);
+  const single = result.baseline.loans[0];
+
+  const lastPayment = single.balances[single.months - 1] * (1 + 5 / 100 / 12);
+
+  let rejected = false;
+
+  try {
+    normaliseMortgage({ balance: 200000, rate: 5, payment: 833.33 });
+  } catch (e) {
+    rejected = true;
+  }
+
+  if (wrong.length > 0) {
+    console.error("ERROR: Payment did not imply the original term", wrong);
+  } else if (result.terms[0] !== single.months || result.scheduled[0] !== 1200 || lastPayment >= 1200) {
+    console.error("ERROR: Implied term or partial last payment wrong",
+      result.terms[0], single.months, lastPayment);
+  } else if (!rejected || remainingTerm(200000, 5, 833.34) === null) {
+    console.error("ERROR: Payment that does not cover interest not rejected");
+  } else {
+    console.log("PASS: Contractual payment implies the remaining term");
+  }
 }
-/* Run only in DEV_MODE */
+
+
 if (DEV_MODE) {
-  runZeroInterestTest();
-  runTinyBalanceTest();
-  runSymmetryTest();
-  runExtremeRatePriorityTest();
-  runMassiveExtraTest();
-  runRedirectMatrixTest();
-  runRandomFuzzer();
+  runInvestTest();
 }
 
+function runInvestTest() {
+  console.log("Running invest vs overpay test...");
 
-function runZeroInterestTest() {
-  console.log("Running zero-interest test...");
+  const loans = [
+    { balance: 180000, rate: 4.7, months: 209, extra: 500 },
+    { balance: 250000, rate: 5.1, months: 300, extra: 100 }
+  ];
 
-  const m1 = { balance: 100000, rate: 0, months: 120 };
-  const m2 = { balance: 50000, rate: 5, months: 240 };
+  const options = { lumpSums: [{ month: 13, amount: 10000, source: "pooled" }] };
 
-  const result = calculateCascade(m1, m2, 200, 100);
+  const cash = compareInvesting(loans, { ...options, investment: { returnRate: 0 } });
+  const high = compareInvesting(loans, { ...options, investment: { returnRate: 12 } });
+  const taxed = compareInvesting(loans, {
+    ...options,
+    investment: { returnRate: 12, wrapper: "taxable", taxRate: 40 }
+  });
 
-  if (isNaN(result.cascade.interest)) {
-    console.error("ERROR: Zero interest produced NaN");
+  // Same cash out in both plans
+  const sum = arr => roundMoney(arr.reduce((t, x) => t + x, 0));
+  const invested = sum(cash.contributions);
+  const difference = roundMoney(
+    sum(cash.overpay.cascade.outgoings) -
+    sum(cash.invest.cascade.outgoings.slice(0, cash.month + 1))
+  );
+
+  if (Math.abs(invested - difference) > 1 || cash.contributions[13] < 10600) {
+    console.error("ERROR: Invested money does not match the overpaying plan's spending",
+      invested, difference, cash.contributions[13]);
+  } else if (cash.netWorthDifference >= 0 || cash.overpayNetWorth[cash.month] !== 0) {
+    console.error("ERROR: Uninvested cash should lose to overpaying", cash.netWorthDifference);
+  } else if (high.netWorthDifference <= 0 || taxed.netWorthDifference >= high.netWorthDifference) {
+    console.error("ERROR: Investment return or tax not applied",
+      high.netWorthDifference, taxed.netWorthDifference);
+  } else if (high.investNetWorth[0] !== -430000 || high.dates.length !== high.month + 1) {
+    console.error("ERROR: Net worth series misaligned", high.investNetWorth[0]);
   } else {
-    console.log("PASS: Zero interest handled correctly");
+    console.log("PASS: Investing compares against overpaying on equal cash");
   }
 }
 
-function runTinyBalanceTest() {
-  console.log("Running tiny balance test...");
 
-  const m1 = { balance: 50, rate: 7, months: 240 };
-  const m2 = { balance: 200000, rate: 5, months: 300 };
+if (DEV_MODE) {
+  runRealTermsTest();
+}
 
-  const result = calculateCascade(m1, m2, 100, 0);
+function runRealTermsTest() {
+  console.log("Running real terms test...");
+
+  const loans = [
+    { balance: 180000, rate: 4.7, months: 209, extra: 500 },
+    { balance: 250000, rate: 5.1, months: 300, extra: 100 }
+  ];
+
+  const nominal = calculateCascadeMulti(loans);
+  const real = calculateCascadeMulti(loans, { inflationRate: 3 });
+  const npv = calculateCascadeMulti(loans, { inflationRate: 3, discountRate: 6 });
+
+  const sum = arr => roundMoney(arr.reduce((t, x) => t + x, 0));
+
+  // Year 2's interest deflated by between 1 and 2 years of inflation
+  const year2 = real.cascade.yearly[1];
+  const factor = year2.interest / year2.realInterest;
+
+  const legacy = calculateCascade(loans[0], loans[1], 500, 100, true, true, "avalanche", [], 3);
+
+  if (Math.abs(sum(nominal.cascade.monthlyInterest) - nominal.cascade.interest) > 1 ||
+      Math.abs(sum(nominal.baseline.monthlyInterest) - nominal.baseline.interest) > 1) {
+    console.error("ERROR: Monthly interest does not add up to the total");
+  } else if (nominal.cascade.realInterest !== nominal.cascade.interest ||
+      Math.abs(nominal.realInterestSaved - nominal.interestSaved) > 0.01) {
+    console.error("ERROR: Zero inflation should leave interest unchanged");
+  } else if (real.cascade.realInterest >= real.cascade.interest ||
+      real.realInterestSaved >= real.interestSaved ||
+      real.cascade.presentValueInterest !== real.cascade.realInterest) {
+    console.error("ERROR: Real-terms interest not deflated",
+      real.cascade.realInterest, real.realInterestSaved);
+  } else if (factor < 1.03 || factor > 1.0609 ||
+      Math.abs(sum(real.cascade.yearly.map(y => y.realInterest)) - real.cascade.realInterest) > 1) {
+    console.error("ERROR: Yearly real interest wrong", factor);
+  } else if (npv.cascade.presentValueInterest >= npv.cascade.realInterest ||
+      legacy.cascade.realInterest !== real.cascade.realInterest) {
+    console.error("ERROR: Present value or legacy wrapper wrong");
+  } else {
+    console.log("PASS: Inflation-adjusted and present-value interest");
+  }
+}
 
-  const final = result.cascade.m1Balances.slice(-1)[0];
 
-  if (Math.abs(final) > 0.01) {
-    console.error("ERROR: Tiny balance not cleared cleanly");
+if (DEV_MODE) {
+  runMonteCarloTest();
+}
+
+function runMonteCarloTest() {
+  console.log("Running Monte Carlo rate path test...");
+
+  const loans = [
+    { balance: 180000, rate: 4.7, months: 209, extra: 500, fixEndMonth: 24, revertRate: 7 },
+    { balance: 250000, rate: 5.1, months: 300, extra: 100 }
+  ];
+
+  const monteCarlo = { paths: 40, seed: 7, baseRate: 4, drift: 0.2, volatility: 1.5 };
+
+  const first = simulateRatePaths(loans, { monteCarlo });
+  const again = simulateRatePaths(loans, { monteCarlo });
+  const other = simulateRatePaths(loans, { monteCarlo: { ...monteCarlo, seed: 8 } });
+
+  // No randomness → every path is the deterministic plan
+  const flat = simulateRatePaths(loans, {
+    monteCarlo: { paths: 5, baseRate: 4, volatility: 0 }
+  });
+  const fixed = calculateCascadeMulti(loans);
+
+  const ordered = ["combined", "separate"].every(plan =>
+    first[plan].interest.p10 <= first[plan].interest.p50 &&
+    first[plan].interest.p50 <= first[plan].interest.p90 &&
+    first[plan].months.p10 <= first[plan].months.p90
+  );
+
+  const bands = first.balanceBands;
+  const k = 60;
+
+  // A contractual payment the path's rate no longer covers
+  const payment = simulateRatePaths(
+    [{ balance: 200000, rate: 5, payment: 900, extra: 100 }],
+    { monteCarlo: { paths: 5, seed: 3, baseRate: 4, margin: 2, volatility: 1 } }
+  );
+  const paymentMonths = normaliseMortgage({ balance: 200000, rate: 5, payment: 900 }).months;
+
+  // A fix given as a rate schedule reverts to its last step, not the fixed rate
+  const scheduled = [{ balance: 180000, rate: 3, months: 240, rateSchedule: [{ month: 25, rate: 7 }] }];
+  const scheduledFlat = simulateRatePaths(scheduled, {
+    monteCarlo: { paths: 3, baseRate: 4, volatility: 0 }
+  });
+  const scheduledFixed = calculateCascadeMulti(scheduled);
+
+  if (JSON.stringify(first) !== JSON.stringify(again) ||
+      first.combined.interest.p50 === other.combined.interest.p50) {
+    console.error("ERROR: Rate paths not reproducible from the seed");
+  } else if (!ordered || first.combined.interest.p10 === first.combined.interest.p90) {
+    console.error("ERROR: Percentile bands not ordered or not spread", first.combined);
+  } else if (Math.abs(flat.combined.interest.p10 - fixed.cascade.interest) > 0.01 ||
+      Math.abs(flat.separate.interest.p90 - fixed.baseline.interest) > 0.01 ||
+      flat.combined.months.p50 !== fixed.cascade.months) {
+    console.error("ERROR: Zero volatility should match the fixed plan",
+      flat.combined.interest, fixed.cascade.interest);
+  } else if (!(bands.p10[k] <= bands.p50[k] && bands.p50[k] <= bands.p90[k]) ||
+      bands.dates.length !== bands.p50.length || bands.p90[0] !== 430000) {
+    console.error("ERROR: Balance bands wrong", bands.p10[k], bands.p50[k], bands.p90[k]);
+  } else if (!(payment.separate.months.p90 > 0 && payment.separate.months.p90 <= paymentMonths)) {
+    console.error("ERROR: Payment-mode loan on a rate path", payment.separate.months, paymentMonths);
+  } else if (scheduledFlat.settings.margins[0] !== 3 ||
+      Math.abs(scheduledFlat.separate.interest.p50 - scheduledFixed.baseline.interest) > 0.01) {
+    console.error("ERROR: Rate schedule reversion not followed", scheduledFlat.settings.margins,
+      scheduledFlat.separate.interest, scheduledFixed.baseline.interest);
   } else {
-    console.log("PASS: Tiny balance cleared cleanly");
+    console.log("PASS: Monte Carlo rate paths are seeded and banded");
   }
 }
 
-function runSymmetryTest() {
-  console.log("Running symmetry test...");
 
-  const m1 = { balance: 200000, rate: 5, months: 300 };
-  const m2 = { balance: 200000, rate: 5, months: 300 };
+if (DEV_MODE) {
+  runStressTest();
+}
 
-  const result = calculateCascade(m1, m2, 300, 300);
+function runStressTest() {
+  console.log("Running rate shock stress test...");
 
-  const diff = Math.abs(
-    result.cascade.m1Balances.slice(-1)[0] -
-    result.cascade.m2Balances.slice(-1)[0]
+  const loans = [
+    { balance: 180000, rate: 4.7, months: 209, extra: 500, fixEndMonth: 24, revertRate: 7 },
+    { balance: 250000, rate: 5.1, months: 300, extra: 100 }
+  ];
+
+  const now = stressTestRates(loans, { shocks: [0, 1, 2, 3] });
+  const later = stressTestRates(loans, { shocks: [2], shockFrom: "fix-end", strategies: ["avalanche"] });
+  const plain = calculateCascadeMulti(loans);
+
+  const [base, , , worst] = now.shocks;
+
+  const rising = now.shocks.every((s, k) => k === 0 ||
+    (s.separate.interest > now.shocks[k - 1].separate.interest &&
+     s.payments.every((p, i) => p > now.shocks[k - 1].payments[i]))
   );
 
-  if (diff > 0.01) {
-    console.error("ERROR: Symmetry violated");
+  // Mortgage 1 shocked from month 25: 7% + 2 = 9% on what is left
+  const fixEnd = later.shocks[0];
+  const expected = computeScheduledPayment({
+    balance: calculateCascadeMulti([{ ...loans[0], extra: 0 }]).baseline.loans[0].balances[24],
+    rate: 9,
+    months: 209 - 24
+  });
+
+  const avalanche = base.strategies.find(s => s.strategy === "avalanche");
+
+  // Fixes given as a rate schedule or a product switch's fix
+  const shocked = [
+    { balance: 180000, rate: 4.7, months: 209, rateSchedule: [{ month: 25, rate: 7 }] },
+    { balance: 180000, rate: 4.7, months: 209, switches: [{ month: 13, rate: 3, fixMonths: 12, revertRate: 7 }] }
+  ].map(loan => shockLoan(loan, 2, "fix-end"));
+
+  const shockedSteps = shocked.map(s =>
+    JSON.stringify(normaliseMortgage(s.loan).rateSchedule.map(step => [step.month, step.rate]))
+  );
+
+  if (Math.abs(avalanche.interest - plain.cascade.interest) > 0.01 ||
+      Math.abs(base.separate.interest - plain.baseline.interest) > 0.01) {
+    console.error("ERROR: A zero shock should match the plain scenario");
+  } else if (!rising || worst.strategies.length !== Object.keys(ALLOCATION_STRATEGIES).length) {
+    console.error("ERROR: Shocked payments and interest should rise", now.shocks.map(s => s.payments));
+  } else if (Math.abs(fixEnd.payments[0] - expected) > 0.01 ||
+      Math.abs(fixEnd.payments[1] - computeScheduledPayment({ balance: 250000, rate: 7.1, months: 300 })) > 0.01) {
+    console.error("ERROR: Fix-end shock applied at the wrong time", fixEnd.payments, expected);
+  } else if (shocked.some(s => s.month !== 25) ||
+      shockedSteps[0] !== "[[1,4.7],[25,9]]" || shockedSteps[1] !== "[[1,4.7],[13,3],[25,9]]") {
+    console.error("ERROR: Fix-end shock ignores scheduled or switched fixes", shockedSteps);
   } else {
-    console.log("PASS: Symmetry holds");
+    console.log("PASS: Rate shocks re-price payments from now or from fix end");
   }
 }
 
-function runExtremeRatePriorityTest() {
-  console.log("Running extreme rate priority test...");
 
-  const m1 = { balance: 300000, rate: 10, months: 300 };
-  const m2 = { balance: 300000, rate: 1, months: 300 };
+if (DEV_MODE) {
+  runSensitivityTest();
+}
 
-  const result = calculateCascade(m1, m2, 500, 500);
+function runSensitivityTest() {
+  console.log("Running sensitivity analysis test...");
+
+  const loans = [
+    { balance: 180000, rate: 4.7, months: 209, extra: 500 },
+    { balance: 250000, rate: 5.1, payment: 1600, extra: 100 }
+  ];
+
+  const sensitivity = analyseSensitivity(loans);
+  const plain = calculateCascadeMulti(loans);
+
+  const find = (input, mortgage) =>
+    sensitivity.inputs.find(x => x.input === input && x.mortgage === mortgage);
+
+  const rate = find("rate", 1);
+  const extra = find("extra", 0);
+  const payment = find("payment", 1);
+  const impacts = sensitivity.inputs.map(x => x.impact);
+
+  // £1,000 a month no longer covers mortgage 2's interest
+  const tight = analyseSensitivity(loans, { steps: { payment: 600 } });
+
+  if (Math.abs(sensitivity.base.interest - plain.cascade.interest) > 0.01 ||
+      sensitivity.inputs.length !== 10) {
+    console.error("ERROR: Sensitivity base or inputs wrong", sensitivity.base, sensitivity.inputs.length);
+  } else if (!(rate.low.interestChange < 0 && rate.high.interestChange > 0) ||
+      !(extra.low.interestChange > 0 && extra.high.interestChange < 0) ||
+      !(extra.low.monthsChange >= 0 && extra.high.monthsChange <= 0) ||
+      !(payment.low.interestChange > 0 && payment.high.interestChange < 0)) {
+    console.error("ERROR: Sensitivity moves the wrong way", rate, extra, payment);
+  } else if (impacts.some((impact, k) => k > 0 && impact > impacts[k - 1])) {
+    console.error("ERROR: Sensitivity inputs not sorted by impact", impacts);
+  } else if (find("months", 1) || tight.inputs.find(x => x.input === "payment").low !== null ||
+      find("redirectScheduled", null).high.interestChange !== 0) {
+    console.error("ERROR: Sensitivity payment or toggle handling wrong");
+  } else {
+    console.log("PASS: Sensitivity ranks inputs by their effect on interest");
+  }
+}
 
-  const m1Balances = result.cascade.m1Balances;
-  const m2Balances = result.cascade.m2Balances;
 
-  for (let i = 1; i < m1Balances.length; i++) {
+if (DEV_MODE) {
+  runLedgerTest();
+}
 
-    const prevM1 = m1Balances[i - 1];
-    const prevM2 = m2Balances[i - 1];
+function runLedgerTest() {
+  console.log("Running monthly ledger test...");
 
-    const currM1 = m1Balances[i];
-    const currM2 = m2Balances[i];
+  const loans = [
+    {
+      balance: 150000, rate: 4.5, months: 240, extra: 300,
+      switches: [{ month: 25, rate: 5.5, fee: 999, addFeeToBalance: true }]
+    },
+    { balance: 60000, rate: 6, months: 120, extra: 100, repaymentType: "part-and-part", interestOnlyPercent: 60 },
+    { balance: 80000, rate: 3, months: 200, offsetSavings: 10000, startDate: "2026-09-15" }
+  ];
 
-    // Only enforce priority while BOTH are active
-    if (prevM1 > 0 && prevM2 > 0) {
+  const lumpSums = [{ month: 6, amount: 5000, source: "pooled" }, { month: 12, amount: 2000, source: 1 }];
 
-      const reductionM1 = prevM1 - currM1;
-      const reductionM2 = prevM2 - currM2;
+  const sum = (list, f) => roundMoney(list.reduce((t, x) => t + f(x), 0));
 
-      if (reductionM2 > reductionM1 + 0.01) {
-        console.error("ERROR: Allocation priority violated in month", i);
-        return;
-      }
+  const check = (run, label) => {
+
+    const rows = run.ledger.flatMap(entry => entry.loans);
+
+    const unbalanced = rows.filter(r =>
+      Math.abs(r.opening + r.fees - r.principal - r.extra - r.balloon - r.closing) > 0.02
+    );
+
+    const unsourced = rows.filter(r =>
+      Math.abs(r.extra + r.deposited - r.pooled - r.from.reduce((t, x) => t + x, 0)) > 0.02
+    );
+
+    const mismatched = run.ledger.filter((entry, k) =>
+      entry.date !== run.dates[k + 1] ||
+      entry.loans.some((r, i) => r.closing !== (run.loanBalances[i][k + 1] || 0))
+    );
+
+    if (run.ledger.length !== run.months || unbalanced.length || unsourced.length || mismatched.length ||
+        Math.abs(sum(rows, r => r.interest) - run.interest) > 0.05) {
+      console.error("ERROR: " + label + " ledger does not add up", unbalanced[0], unsourced[0], mismatched[0]);
+      return false;
+    }
+    return true;
+  };
+
+  const lent = calculateCascadeMulti(loans, { lumpSums, offsetRouting: "offset" });
+  const pooledIn = sum(lent.cascade.ledger.flatMap(e => e.loans), r => r.pooled);
+
+  // The exported table: a header, then a row per mortgage per month with a balance
+  const table = planScheduleRows(lent, ["Home", "Flat, \"B\"", "Offset"]);
+  const open = run => run.ledger.reduce((t, e) => t + e.loans.filter(r => r.opening > 0).length, 0);
+  const csv = toCsv(table.slice(0, 2));
+
+  if (check(lent.cascade, "Combined") && check(lent.baseline, "Separate")) {
+    if (Math.abs(pooledIn - 5000) > 0.05 || !lent.cascade.ledger.some(e => e.loans[2].deposited > 0)) {
+      console.error("ERROR: Ledger lost pooled lump sums or offset deposits", pooledIn);
+    } else if (table.length !== 1 + open(lent.cascade) + open(lent.baseline) ||
+        table[0].length !== 16 || table[1][0] !== "Combined" || table[table.length - 1][0] !== "Separate" ||
+        !csv.includes('"Extra from Flat, ""B"""') || csv.split("\r\n").length !== 3) {
+      console.error("ERROR: Schedule table wrong", table[0], csv);
+    } else {
+      console.log("PASS: Monthly ledger reconciles with balances and interest");
     }
   }
+}
 
-  console.log("PASS: Extreme rate priority enforced correctly");
+
+if (DEV_MODE) {
+  runPenceTest();
 }
 
-function runMassiveExtraTest() {
-  console.log("Running massive extra test...");
+function runPenceTest() {
+  console.log("Running integer pence test...");
 
-  const m1 = { balance: 200000, rate: 5, months: 300 };
-  const m2 = { balance: 150000, rate: 4, months: 300 };
+  const shares = apportionPence(100, [1, 1, 1]);
+  const skewed = apportionPence(1001, [0.3, 0.3, 0.4]);
 
-  const result = calculateCascade(m1, m2, 10000, 10000);
+  const rounding = [
+    [1.005, 101], [-2.345, -235], [0.1 + 0.2, 30], [10.999999, 1100]
+  ].filter(([n, pence]) => toPence(n) !== pence);
 
-  if (result.cascade.months <= 0) {
-    console.error("ERROR: Massive extra broke simulation");
-  } else {
-    console.log("PASS: Massive extra stable");
-  }
-}
+  // Every strategy, lump sums and an allowance: the flow balances to the penny
+  const loans = [
+    { balance: 123456.78, rate: 4.37, months: 211, extra: 333.33, maxAnnualOverpayment: 3000 },
+    { balance: 54321.09, rate: 5.91, months: 143, extra: 77.77 },
+    { balance: 98765.43, rate: 3.13, months: 277, extra: 10.01 }
+  ];
 
-function runRedirectMatrixTest() {
-  console.log("Running redirect matrix test...");
+  const lumpSums = [{ month: 7, amount: 1234.57, source: "pooled" }, { month: 30, amount: 999.99, source: 2 }];
 
-  const m1 = { balance: 200000, rate: 5, months: 300 };
-  const m2 = { balance: 100000, rate: 3, months: 300 };
+  // Each mortgage's rows, in pence over the whole run: every row
+  // closes at opening − principal − extra − balloon and the next
+  // opens there, down to zero, and the interest adds up to the total
+  const ledgerAddsUp = (run, mortgages = loans) => {
 
-  const a = calculateCascade(m1, m2, 300, 200, true, true);
-  const b = calculateCascade(m1, m2, 300, 200, false, false);
+    const open = mortgages.map(m => toPence(m.balance));
+    let interest = 0;
 
-  if (a.cascade.months > b.cascade.months) {
-    console.error("ERROR: Redirect worsened outcome");
+    const rowsAddUp = run.ledger.every(entry => entry.loans.every((r, i) => {
+
+      const whole = [r.opening, r.interest, r.principal, r.extra, r.balloon, r.closing]
+        .every(x => Math.abs(x * 100 - Math.round(x * 100)) < 1e-6);
+
+      const ok = whole &&
+        toPence(r.opening) === open[i] &&
+        toPence(r.opening) - toPence(r.principal) - toPence(r.extra) - toPence(r.balloon) ===
+        toPence(r.closing);
+
+      open[i] = toPence(r.closing);
+      interest += toPence(r.interest);
+
+      return ok;
+    }));
+
+    return rowsAddUp && open.every(x => x === 0) && interest === toPence(run.interest);
+  };
+
+  const leaks = Object.keys(ALLOCATION_STRATEGIES).filter(strategy => {
+
+    const result = calculateCascadeMulti(loans, {
+      strategy,
+      strategyOptions: { split: [33, 33, 34] },
+      lumpSums
+    });
+    const cascade = result.cascade;
+
+    const yearlyLeak = cascade.yearly.some(y =>
+      y.from.reduce((t, x) => t + toPence(x), toPence(y.pooled)) !==
+      y.extraTo.reduce((t, x) => t + toPence(x), 0)
+    );
+
+    const rowLeak = cascade.ledger.some(entry => entry.loans.some(r =>
+      r.from.reduce((t, x) => t + toPence(x), toPence(r.pooled)) !== toPence(r.extra + r.deposited)
+    ));
+
+    return yearlyLeak || rowLeak || !ledgerAddsUp(cascade) || !ledgerAddsUp(result.baseline);
+  });
+
+  // Kept separate, a pooled lump sum split three ways unevenly still adds up
+  const three = [100000, 100000, 100000].map((balance, i) => ({ balance, rate: 4 + i, months: 200, extra: 50 }));
+
+  const thirds = calculateCascadeMulti(three, { lumpSums: [{ month: 3, amount: 100, source: "pooled" }, { month: 14, amount: 1000.01, source: "pooled" }] }
+  ).baseline;
+
+  const baselinePooled = [3, 14].map(month =>
+    thirds.ledger[month - 1].loans.reduce((t, r) => t + toPence(r.pooled), 0)
+  );
+
+  if (shares.join() !== "34,33,33" || skewed.reduce((t, x) => t + x, 0) !== 1001 || skewed.join() !== "300,300,401") {
+    console.error("ERROR: Largest remainder apportionment wrong", shares, skewed);
+  } else if (rounding.length > 0) {
+    console.error("ERROR: Pence rounding rule wrong", rounding);
+  } else if (leaks.length > 0) {
+    console.error("ERROR: Money flow not exact to the penny", leaks);
+  } else if (baselinePooled.join() !== "10000,100001" || !ledgerAddsUp(thirds, three)) {
+    console.error("ERROR: Pooled lump sums kept separate not split to the penny", baselinePooled);
   } else {
-    console.log("PASS: Redirect behaves logically");
+    console.log("PASS: Money flow is exact to the penny");
   }
 }
 
-function runRandomFuzzer() {
-  console.log("Running random fuzzer...");
 
-  for (let i = 0; i < 1000; i++) {
+if (DEV_MODE) {
+  runProgressTest();
+}
 
-    const m1 = {
-      balance: 50000 + Math.random() * 300000,
-      rate: Math.random() * 10,
-      months: 60 + Math.floor(Math.random() * 360)
-    };
+function runProgressTest() {
+  console.log("Running progress reporting test...");
 
-    const m2 = {
-      balance: 50000 + Math.random() * 300000,
-      rate: Math.random() * 10,
-      months: 60 + Math.floor(Math.random() * 360)
-    };
+  const loans = [
+    { balance: 180000, rate: 4.7, months: 209, extra: 500 },
+    { balance: 250000, rate: 5.1, payment: 1100, extra: 100 }
+  ];
 
-    const result = calculateCascade(
-      m1, m2,
-      Math.random() * 1000,
-      Math.random() * 1000
-    );
+  const calls = [];
+  const onProgress = (done, total) => calls.push([done, total]);
 
-    if (!isFinite(result.cascade.interest)) {
-      console.error("ERROR: Random fuzzer broke engine");
-      return;
-    }
-  }
+  stressTestRates(loans, { shocks: [1, 2], strategies: ["avalanche"], onProgress });
+  const stress = calls.splice(0);
 
-  console.log("PASS: Random fuzzer stable");
+  // Mortgage 2's lower payment and higher balance can't be run, but still count
+  analyseSensitivity(loans, { onProgress });
+  const sensitivity = calls.splice(0);
+
+  const steady = list => list.every(([done, total], k) =>
+    done === k + 1 && total === list[0][1]
+  ) && list.length === list[0][1];
+
+  if (stress.join(";") !== "1,2;2,2") {
+    console.error("ERROR: Stress test progress wrong", stress);
+  } else if (!steady(sensitivity)) {
+    console.error("ERROR: Sensitivity progress does not reach its total", sensitivity);
+  } else {
+    console.log("PASS: Long analyses report their progress");
+  }
 }
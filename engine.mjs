@@ -0,0 +1,76 @@
+/*
+  =====================================================
+  Engine ES Module
+  =====================================================
+
+  ES module entry for engine.js, for Node and bundlers:
+
+    import { calculateCascadeMulti } from "./engine.mjs";
+
+  engine.js stays a plain script for index.html; this file
+  re-exports its ENGINE_EXPORTS by name (and as default).
+*/
+
+import engine from "./engine.js";
+
+export const {
+
+  // Entry points
+  calculateCascade,
+  calculateCascadeMulti,
+  simulateSingle,
+  simulateBaseline,
+  simulateCascade,
+
+  // Core maths
+  monthlyPayment,
+  remainingTerm,
+  computeScheduledPayment,
+
+  // Normalisers
+  normaliseMortgage,
+  normaliseTerm,
+  normaliseCalendar,
+  normaliseRepaymentType,
+  normaliseSwitches,
+  normaliseRateSchedule,
+  normaliseExtra,
+  normaliseLumpSums,
+  normaliseAnnualCap,
+  normaliseAllowance,
+  normaliseOffset,
+  normaliseLoan,
+  normaliseStrategyOptions,
+  normaliseInvestment,
+  normaliseMonteCarlo,
+
+  // Strategies and analyses
+  ALLOCATION_STRATEGIES,
+  registerAllocationStrategy,
+  optimiseAllocation,
+  compareOffsetRouting,
+  compareInvesting,
+  simulateRatePaths,
+  stressTestRates,
+  analyseSensitivity,
+  solveOverpayment,
+  solveMortgageFreeDate,
+
+  // Schedule export
+  scheduleRows,
+  planScheduleRows,
+  toCsv,
+
+  // Options and money
+  RECALCULATION_MODES,
+  INTEREST_METHODS,
+  OFFSET_ROUTINGS,
+  INVESTMENT_WRAPPERS,
+  SENSITIVITY_STEPS,
+  roundMoney,
+  toPence,
+  fromPence,
+  apportionPence
+} = engine;
+
+export default engine;